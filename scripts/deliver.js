@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Tool: Deliver a digest bundle to every channel in config.output.channels
+ * Usage: node deliver.js <bundle.json> [--config path] [--channel name]
+ * Returns: JSON array of per-channel delivery results on stdout
+ *
+ * Channel types (each with its own formatting):
+ *   telegram = Telegram Bot API, MarkdownV2 (see deliver_telegram.js)
+ *   slack    = Slack incoming webhook, mrkdwn
+ *   discord  = Discord webhook, Markdown, 2000-char messages
+ *   webhook  = generic JSON POST { date, format, text, bundle }
+ *   email    = SMTP (nodemailer), HTML body with a plain-text alternative
+ *
+ * Every channel may also narrow what it receives:
+ *   sections: ["papers", "repos", "media"], minSeverity: "high", minRelevance: 4
+ *
+ * Channels run independently: one failure never blocks the others. Each result is
+ * appended to delivery_log.jsonl in the data directory (options.dataDir, default data/).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const { request } = require('./http_client');
+const { deliverTelegram, splitMessages } = require('./deliver_telegram');
+const { renderDigest, renderDigestParts, templatesFromConfig } = require('./render_digest');
+
+const SKILL_DIR = path.dirname(__dirname);
+const DATA_DIR = path.join(SKILL_DIR, 'data');
+
+const SLACK_LIMIT = 39000;
+const DISCORD_LIMIT = 2000;
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// ─── Filters ─────────────────────────────────────────────────
+
+/**
+ * Narrow a bundle to what one channel asked for
+ */
+function filterBundle(bundle, channel) {
+  const sections = (bundle.sections || ['papers', 'repos', 'media'])
+    .filter(s => !channel.sections || channel.sections.includes(s));
+  const minSeverity = SEVERITY_RANK[channel.minSeverity] || 0;
+  const minRelevance = channel.minRelevance || 0;
+
+  return {
+    ...bundle,
+    sections,
+    papers: sections.includes('papers')
+      ? (bundle.papers || []).filter(p => !minRelevance || (p.relevance || 0) >= minRelevance)
+      : [],
+    repos: sections.includes('repos') ? (bundle.repos || []) : [],
+    domainRepos: sections.includes('repos') ? (bundle.domainRepos || []) : [],
+    risingRepos: sections.includes('repos') ? (bundle.risingRepos || []) : [],
+    media: sections.includes('media')
+      ? (bundle.media || []).filter(m => (SEVERITY_RANK[m.severity] || 0) >= minSeverity)
+      : []
+  };
+}
+
+// ─── Adapters ────────────────────────────────────────────────
+
+function postJSON(url, payload, source, headers = {}) {
+  return request(url, {
+    source,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+const ADAPTERS = {
+  async telegram(bundle, channel, config) {
+    const result = await deliverTelegram(bundle, {
+      ...config,
+      output: { ...config.output, telegram: { ...config.output?.telegram, ...channel } }
+    });
+    if (!result.ok) throw Object.assign(new Error(result.error), { messages: result.messages });
+    return { messages: result.messages };
+  },
+
+  async slack(bundle, channel, config) {
+    const parts = renderDigestParts(bundle, 'slack', templatesFromConfig(config));
+    const messages = splitMessages(parts, SLACK_LIMIT, 'slack');
+    for (const text of messages) {
+      await postJSON(channel.webhookUrl, { text, mrkdwn: true, unfurl_links: false }, 'Slack');
+    }
+    return { messages: messages.length };
+  },
+
+  async discord(bundle, channel, config) {
+    const parts = renderDigestParts(bundle, 'markdown', templatesFromConfig(config));
+    const messages = splitMessages(parts, DISCORD_LIMIT, 'markdown');
+    for (const content of messages) {
+      await postJSON(channel.webhookUrl, { content, allowed_mentions: { parse: [] } }, 'Discord');
+    }
+    return { messages: messages.length };
+  },
+
+  async webhook(bundle, channel, config) {
+    const format = channel.format || 'markdown';
+    await postJSON(channel.url, {
+      date: bundle.date,
+      format,
+      text: renderDigest(bundle, format, templatesFromConfig(config)),
+      bundle
+    }, 'Webhook', channel.headers);
+    return { messages: 1 };
+  },
+
+  async email(bundle, channel, config) {
+    const templates = templatesFromConfig(config);
+    const transport = nodemailer.createTransport({
+      host: channel.host,
+      port: channel.port || 587,
+      secure: channel.secure ?? channel.port === 465,
+      auth: channel.auth || (channel.user ? { user: channel.user, pass: channel.pass } : undefined),
+      connectionTimeout: 15000
+    });
+    await transport.sendMail({
+      from: channel.from,
+      to: channel.to,
+      subject: (channel.subject || '${title} (${date})')
+        .replace('${title}', templates.title)
+        .replace('${date}', bundle.date),
+      html: renderDigest(bundle, 'html', templates),
+      text: renderDigest(bundle, 'text', templates)
+    });
+    return { messages: 1 };
+  }
+};
+
+// ─── Delivery ────────────────────────────────────────────────
+
+/**
+ * Channels from config.output.channels; configs that only have output.telegram
+ * keep working as a single Telegram channel.
+ */
+function resolveChannels(config) {
+  const output = config.output || {};
+  if (Array.isArray(output.channels)) {
+    return output.channels.filter(c => c.enabled !== false);
+  }
+  if (output.telegram && output.telegram.enabled !== false) {
+    return [{ type: 'telegram', name: 'telegram' }];
+  }
+  return [];
+}
+
+function logDelivery(results, dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const lines = results.map(r => JSON.stringify(r)).join('\n');
+  if (lines) fs.appendFileSync(path.join(dataDir, 'delivery_log.jsonl'), lines + '\n');
+}
+
+/**
+ * options: only (channel name), log (append to the delivery log), dataDir (where the log lives)
+ */
+async function deliverAll(bundle, config = {}, options = {}) {
+  const { only = null, log = true, dataDir = DATA_DIR } = options;
+  const channels = resolveChannels(config).filter(c => !only || (c.name || c.type) === only);
+
+  const settled = await Promise.allSettled(channels.map(channel => {
+    const adapter = ADAPTERS[channel.type];
+    if (!adapter) return Promise.reject(new Error(`Unknown channel type "${channel.type}"`));
+    return adapter(filterBundle(bundle, channel), channel, config);
+  }));
+
+  const results = channels.map((channel, i) => {
+    const name = channel.name || channel.type;
+    const outcome = settled[i];
+    const result = {
+      date: bundle.date,
+      channel: name,
+      type: channel.type,
+      ok: outcome.status === 'fulfilled',
+      messages: outcome.status === 'fulfilled' ? outcome.value.messages : (outcome.reason?.messages || 0),
+      at: new Date().toISOString()
+    };
+    if (outcome.status === 'rejected') {
+      result.error = outcome.reason?.message || 'Unknown error';
+      console.error(`[Deliver] ${name}: FAILED - ${result.error}`);
+    } else {
+      console.error(`[Deliver] ${name}: sent ${result.messages} message(s)`);
+    }
+    return result;
+  });
+
+  if (log) logDelivery(results, dataDir);
+  return results;
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let bundlePath = null;
+  let configPath = path.join(SKILL_DIR, 'config.json');
+  let only = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config' && args[i + 1]) configPath = path.resolve(args[++i]);
+    else if (args[i] === '--channel' && args[i + 1]) only = args[++i];
+    else if (!args[i].startsWith('--')) bundlePath = args[i];
+  }
+
+  if (!bundlePath) {
+    console.error('Usage: node deliver.js <bundle.json> [--config path] [--channel name]');
+    process.exit(1);
+  }
+
+  const bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  deliverAll(bundle, config, { only })
+    .then(results => {
+      console.log(JSON.stringify(results, null, 2));
+      if (results.some(r => !r.ok)) process.exit(1);
+    })
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { deliverAll, filterBundle, resolveChannels, ADAPTERS };
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * Tool: Deliver a digest bundle to Telegram via the Bot API
+ * Usage: node deliver_telegram.js <bundle.json> [--config path]
+ * Returns: Delivery result JSON on stdout
+ *
+ * - Renders the bundle as MarkdownV2 and splits it into messages under Telegram's
+ *   4096-char limit, only ever breaking between cards (or between lines of an oversized card,
+ *   or words of an oversized line, never inside a bold/italic/link entity)
+ * - Retries 429s after the `retry_after` Telegram sends back (5xx/network errors with backoff)
+ * - If delivery still fails, writes the plain-text digest to <output.filePath>/digest_<date>.txt;
+ *   when some messages already went out, only the unsent ones are written
+ *
+ * Config (output.telegram): botToken (or TELEGRAM_BOT_TOKEN env), chatId,
+ *   apiBaseUrl (default https://api.telegram.org; point at a local stub in tests)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { request, HttpError } = require('./http_client');
+const { renderDigest, renderDigestParts, templatesFromConfig } = require('./render_digest');
+
+const SKILL_DIR = path.dirname(__dirname);
+const TELEGRAM_LIMIT = 4096;
+const DEFAULT_BASE_URL = 'https://api.telegram.org';
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// ─── Splitting ───────────────────────────────────────────────
+
+/**
+ * What a message must not be cut through, per format: entity markers (longest first, so "__"
+ * isn't read as two "_"), escapes and links. `flanking` markers only open before a non-space
+ * and close before a non-word character (Slack doesn't escape literal * or _ in text).
+ */
+const SYNTAX = {
+  // Telegram MarkdownV2
+  telegram: { markers: ['||', '__', '*', '_', '~', '`'], escape: /\\[\s\S]/y, link: 'markdown' },
+  // Discord Markdown (render_digest.js's markdown format)
+  markdown: { markers: ['**', '__', '||', '~~', '*', '_', '`'], escape: /\\[\s\S]/y, link: 'markdown' },
+  // Slack mrkdwn: HTML entities instead of backslash escapes, <url|text> links
+  slack: { markers: ['*', '_', '~', '`'], escape: /&(?:amp|lt|gt);/y, link: 'angle', flanking: true }
+};
+
+/**
+ * Markup state before each offset of a line: the entity markers still open and the start of
+ * an unfinished link. Offsets inside an escape or a multi-character marker are undefined.
+ */
+function entityStates(line, syntax = SYNTAX.telegram) {
+  const states = new Array(line.length + 1);
+  const open = [];
+  let link = null;
+  let inUrl = false;
+
+  for (let i = 0; i < line.length;) {
+    states[i] = { open: [...open], link };
+    const ch = line[i];
+    syntax.escape.lastIndex = i;
+    if (syntax.escape.test(line)) {
+      i = syntax.escape.lastIndex;
+    } else if (inUrl) {
+      if (ch === ')') {
+        inUrl = false;
+        link = null;
+      }
+      i++;
+    } else if (open[open.length - 1] === '`') {
+      // Code spans hold no other entities
+      if (ch === '`') open.pop();
+      i++;
+    } else if (syntax.link === 'angle' && link === null && ch === '<') {
+      link = i++;
+    } else if (syntax.link === 'angle' && link !== null) {
+      if (ch === '>') link = null;
+      i++;
+    } else if (syntax.link === 'markdown' && ch === '[' && link === null) {
+      link = i++;
+    } else if (syntax.link === 'markdown' && ch === ']' && link !== null && line[i + 1] === '(') {
+      inUrl = true;
+      i += 2;
+    } else {
+      const marker = syntax.markers.find(m => line.startsWith(m, i));
+      const after = line[i + (marker || '').length] || '';
+      const closes = marker && open[open.length - 1] === marker && !(syntax.flanking && /\w/.test(after));
+      const opens = marker && !closes && !(syntax.flanking && (/\w/.test(line[i - 1] || '') || !after.trim()));
+      if (closes) open.pop();
+      else if (opens) open.push(marker);
+      i += closes || opens ? marker.length : 1;
+    }
+  }
+  states[line.length] = { open: [...open], link };
+  return states;
+}
+
+function lastIndex(from, predicate) {
+  for (let i = from; i > 0; i--) {
+    if (predicate(i)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Cut a single over-long line, preferring a space outside any entity and never splitting an
+ * escape. A line that is one long bold/italic entity is closed at the cut (a space inside it
+ * if there is one) and reopened after it.
+ */
+function splitLine(line, limit, syntax = SYNTAX.telegram) {
+  const pieces = [];
+  let rest = line;
+  while (rest.length > limit) {
+    const states = entityStates(rest, syntax);
+    const outside = i => states[i] && !states[i].open.length && states[i].link === null;
+
+    let cut = lastIndex(limit, i => rest[i] === ' ' && outside(i));
+    if (cut === -1) cut = lastIndex(limit, outside);
+    if (cut !== -1) {
+      pieces.push(rest.substring(0, cut));
+      rest = rest.substring(cut).replace(/^ /, '');
+      continue;
+    }
+
+    const closing = i => [...states[i].open].reverse().join('');
+    const fits = i => states[i] && states[i].link === null && i + closing(i).length <= limit;
+    cut = lastIndex(limit, i => rest[i] === ' ' && fits(i));
+    if (cut === -1) cut = lastIndex(limit, fits);
+    if (cut !== -1) {
+      pieces.push(rest.substring(0, cut) + closing(cut));
+      rest = states[cut].open.join('') + rest.substring(cut).replace(/^ /, '');
+    } else {
+      // A link longer than a message: nothing better than a plain cut
+      cut = lastIndex(limit, i => Boolean(states[i]));
+      pieces.push(rest.substring(0, cut));
+      rest = rest.substring(cut);
+    }
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * MarkdownV2 message as plain text: escapes and entity markers dropped, links as "text (url)"
+ */
+function toPlainText(message) {
+  let text = '';
+  for (let i = 0; i < message.length; i++) {
+    const ch = message[i];
+    if (ch === '\\') {
+      text += message[++i] ?? '';
+    } else if (ch === ']' && message[i + 1] === '(') {
+      let url = '';
+      for (i += 2; i < message.length && message[i] !== ')'; i++) {
+        if (message[i] === '\\') i++;
+        url += message[i] ?? '';
+      }
+      text += ` (${url})`;
+    } else if (!'[*_~`|'.includes(ch)) {
+      text += ch;
+    }
+  }
+  return text;
+}
+
+/**
+ * Pack rendered blocks into messages of at most `limit` chars.
+ * Blocks are joined with a blank line; a block larger than the limit is broken at line boundaries.
+ * `format` is the markup the blocks are in: telegram, markdown (Discord) or slack.
+ */
+function splitMessages(parts, limit = TELEGRAM_LIMIT, format = 'telegram') {
+  const syntax = SYNTAX[format];
+  if (!syntax) throw new Error(`Cannot split ${format} messages`);
+  const units = [];
+  for (const part of parts) {
+    if (part.length <= limit) {
+      units.push(part);
+      continue;
+    }
+    let current = '';
+    for (const line of part.split('\n').flatMap(l => splitLine(l, limit, syntax))) {
+      if (current && current.length + 1 + line.length > limit) {
+        units.push(current);
+        current = line;
+      } else {
+        current = current ? `${current}\n${line}` : line;
+      }
+    }
+    if (current) units.push(current);
+  }
+
+  const messages = [];
+  let current = '';
+  for (const unit of units) {
+    if (current && current.length + 2 + unit.length > limit) {
+      messages.push(current);
+      current = unit;
+    } else {
+      current = current ? `${current}\n\n${unit}` : unit;
+    }
+  }
+  if (current) messages.push(current);
+  return messages;
+}
+
+// ─── Bot API ─────────────────────────────────────────────────
+
+async function sendMessage(text, { botToken, chatId, baseUrl = DEFAULT_BASE_URL, maxRetries = 3 }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/bot${botToken}/sendMessage`;
+  const body = JSON.stringify({
+    chat_id: chatId,
+    text,
+    parse_mode: 'MarkdownV2',
+    disable_web_page_preview: true
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { body: response } = await request(url, {
+        source: 'Telegram',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        retries: 0
+      });
+      return JSON.parse(response);
+    } catch (err) {
+      if (!(err instanceof HttpError) || !err.retryable || attempt >= maxRetries) throw err;
+      let delayMs = 1000 * 2 ** attempt;
+      if (err.status === 429) {
+        try {
+          delayMs = (JSON.parse(err.body).parameters?.retry_after ?? 1) * 1000;
+        } catch (e) { /* keep backoff */ }
+      }
+      console.error(`[Telegram] ${err.status === 429 ? 'Rate limited' : err.message}, retrying in ${delayMs}ms`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+// ─── Delivery ────────────────────────────────────────────────
+
+/**
+ * Save what didn't reach Telegram: the whole digest, or only the unsent messages
+ */
+function writeFallback(bundle, config, unsent = null) {
+  const dir = path.resolve(SKILL_DIR, config.output?.filePath || 'digests/');
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `digest_${bundle.date}.txt`);
+  const text = unsent ? unsent.map(toPlainText).join('\n\n') : renderDigest(bundle, 'text', templatesFromConfig(config));
+  fs.writeFileSync(file, text + '\n');
+  return file;
+}
+
+async function deliverTelegram(bundle, config = {}) {
+  const telegram = config.output?.telegram || {};
+  const botToken = telegram.botToken || process.env.TELEGRAM_BOT_TOKEN;
+  const result = { channel: 'telegram', ok: false, messages: 0 };
+  let messages = [];
+
+  try {
+    if (!botToken || !telegram.chatId) {
+      throw new Error('output.telegram.botToken and output.telegram.chatId are required');
+    }
+
+    const parts = renderDigestParts(bundle, 'telegram', templatesFromConfig(config));
+    messages = splitMessages(parts);
+    for (const text of messages) {
+      await sendMessage(text, {
+        botToken,
+        chatId: telegram.chatId,
+        baseUrl: telegram.apiBaseUrl || DEFAULT_BASE_URL
+      });
+      result.messages++;
+    }
+    result.ok = true;
+    console.error(`[Telegram] Sent ${messages.length} message(s)`);
+  } catch (err) {
+    result.error = err.message;
+    const unsent = result.messages ? messages.slice(result.messages) : null;
+    if (unsent) result.unsent = unsent.length;
+    result.fallbackPath = writeFallback(bundle, config, unsent);
+    console.error(`[Telegram] Delivery failed (${err.message}); ${unsent ? `${unsent.length} unsent message(s)` : 'digest'} saved to ${result.fallbackPath}`);
+  }
+
+  return result;
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let bundlePath = null;
+  let configPath = path.join(SKILL_DIR, 'config.json');
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config' && args[i + 1]) configPath = path.resolve(args[++i]);
+    else if (!args[i].startsWith('--')) bundlePath = args[i];
+  }
+
+  if (!bundlePath) {
+    console.error('Usage: node deliver_telegram.js <bundle.json> [--config path]');
+    process.exit(1);
+  }
+
+  const bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  deliverTelegram(bundle, config)
+    .then(result => {
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.ok) process.exit(1);
+    })
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { deliverTelegram, sendMessage, splitMessages, toPlainText, TELEGRAM_LIMIT };
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Tool: Add Semantic Scholar context (TLDR, influential citations, fields of study) to papers
+ * Usage: node enrich_semantic_scholar.js <papers.json> [--related N] [--api-key KEY]
+ *        [--record <dir> | --replay <dir>]
+ * Returns: JSON array of the same papers with tldr, influentialCitationCount, fieldsOfStudy,
+ *          semanticScholarId/Url and, with --related, relatedPapers
+ *
+ * Papers are looked up by DOI, or arXiv ID when there's no journal DOI, through the batch
+ * endpoint (500 per request). With --related N, the top N recommendations for each paper
+ * come from the recommendations API as relatedPapers: [{ title, url, year, citationCount }].
+ *
+ * Rate limits: 1 request/second with an API key (--api-key or S2_API_KEY), otherwise the
+ * shared pool (~100 requests per 5 minutes), so requests are spaced 1s or 3s apart.
+ * Papers Semantic Scholar doesn't know come back unchanged.
+ */
+
+const fs = require('fs');
+
+const { request, fetchJSON, useCassettesFromArgs } = require('./http_client');
+const { normalizeDoi, arxivIdOf } = require('./merge_papers');
+
+const API_URL = 'https://api.semanticscholar.org';
+const BATCH_SIZE = 500;
+const PAPER_FIELDS = 'paperId,externalIds,url,tldr,citationCount,influentialCitationCount,fieldsOfStudy,s2FieldsOfStudy';
+const RELATED_FIELDS = 'title,url,year,externalIds,citationCount';
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Semantic Scholar ID for a paper: DOI:<doi>, or ARXIV:<id> for preprints
+ */
+function s2IdOf(paper) {
+  const doi = normalizeDoi(paper.doi);
+  if (doi && !doi.startsWith('10.48550/')) return `DOI:${doi}`;
+  const arxivId = arxivIdOf(paper);
+  return arxivId ? `ARXIV:${arxivId}` : null;
+}
+
+function fieldsOfStudy(record) {
+  const fields = [
+    ...(record.fieldsOfStudy || []),
+    ...(record.s2FieldsOfStudy || []).map(f => f.category)
+  ];
+  return [...new Set(fields.filter(Boolean))];
+}
+
+function mapRelated(record) {
+  const doi = record.externalIds?.DOI;
+  return {
+    title: record.title,
+    url: doi ? `https://doi.org/${doi}` : record.url,
+    year: record.year || null,
+    citationCount: record.citationCount || 0
+  };
+}
+
+/**
+ * options: apiKey, relatedPapers (recommendations per paper, 0 = off),
+ *          relatedFor (only the first N papers get recommendations), delayMs, baseUrl
+ */
+async function enrichWithSemanticScholar(papers, options = {}) {
+  const {
+    apiKey = process.env.S2_API_KEY || null,
+    relatedPapers = 0,
+    relatedFor = Infinity,
+    delayMs = apiKey ? 1000 : 3000,
+    baseUrl = API_URL
+  } = options;
+
+  const headers = apiKey ? { 'x-api-key': apiKey } : {};
+  const ids = [...new Set(papers.map(s2IdOf).filter(Boolean))];
+  const records = new Map();
+  let requests = 0;
+  const pace = () => (requests++ ? sleep(delayMs) : Promise.resolve());
+
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const batch = ids.slice(i, i + BATCH_SIZE);
+    await pace();
+    const response = await request(`${baseUrl}/graph/v1/paper/batch?fields=${PAPER_FIELDS}`, {
+      source: 'Semantic Scholar',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ ids: batch })
+    });
+    // Results line up with the IDs sent; unknown papers are null
+    JSON.parse(response.body).forEach((record, j) => {
+      if (record) records.set(batch[j], record);
+    });
+  }
+
+  const enriched = [];
+  for (const [index, paper] of papers.entries()) {
+    const record = records.get(s2IdOf(paper));
+    if (!record) {
+      enriched.push(paper);
+      continue;
+    }
+
+    const result = {
+      ...paper,
+      semanticScholarId: record.paperId,
+      semanticScholarUrl: record.url || null,
+      tldr: record.tldr?.text || null,
+      influentialCitationCount: record.influentialCitationCount || 0,
+      fieldsOfStudy: fieldsOfStudy(record),
+      citationCount: Math.max(paper.citationCount || 0, record.citationCount || 0)
+    };
+
+    if (relatedPapers > 0 && index < relatedFor) {
+      try {
+        await pace();
+        const url = `${baseUrl}/recommendations/v1/papers/forpaper/${record.paperId}?limit=${relatedPapers}&fields=${RELATED_FIELDS}`;
+        const response = await fetchJSON(url, { source: 'Semantic Scholar', headers });
+        result.relatedPapers = (response.recommendedPapers || []).slice(0, relatedPapers).map(mapRelated);
+      } catch (err) {
+        console.error(`[SemanticScholar] No recommendations for ${paper.id}: ${err.message}`);
+      }
+    }
+
+    enriched.push(result);
+  }
+
+  return enriched;
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  useCassettesFromArgs(process.argv);
+  const args = process.argv.slice(2);
+  let papersPath = null;
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--related' && args[i + 1]) options.relatedPapers = parseInt(args[++i]);
+    else if (args[i] === '--api-key' && args[i + 1]) options.apiKey = args[++i];
+    else if (!args[i].startsWith('--')) papersPath = args[i];
+  }
+
+  if (!papersPath) {
+    console.error('Usage: node enrich_semantic_scholar.js <papers.json> [--related N] [--api-key KEY]');
+    process.exit(1);
+  }
+
+  enrichWithSemanticScholar(JSON.parse(fs.readFileSync(papersPath, 'utf8')), options)
+    .then(papers => console.log(JSON.stringify(papers, null, 2)))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { enrichWithSemanticScholar, s2IdOf };
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/**
+ * Tool: Extract food-safety entities from recall/outbreak text
+ * Usage: node extract_entities.js "<text>"
+ * Returns: JSON { pathogen, caseCount, hospitalizations, deaths, product, stateCount }
+ *
+ * Every entity is null or { value, text, start, end }: the normalized value plus the span of
+ * the text it came from (text.slice(start, end) === text). The pathogen also has a serotype
+ * or strain when one is named ("Salmonella Typhimurium", "E. coli O157:H7", "Listeria
+ * monocytogenes"); the earliest pathogen in the text wins.
+ *
+ * Counts accept digits ("1,234") and number words up to twenty, and "no deaths" / "no one has
+ * died" is 0. Case counts only come from illness wording ("45 people sickened", "12 confirmed
+ * cases", "12 cases of salmonellosis"), never from a number that is followed by "hospitalized"
+ * or "died", or from "12 cases of canned soup". In CDC's label layout ("Illnesses: 73
+ * Hospitalizations: 14 Deaths: 0 States: 12") a number belongs to the label before it, not the
+ * word after it; a number after any other colon ("Outbreak: 45 people sick") is read as usual.
+ *
+ * mediaFields(text) flattens the result into media item fields: pathogen, serotype,
+ * case_count, hospitalizations, deaths, states_count and entities (the spans).
+ */
+
+// ─── Numbers ─────────────────────────────────────────────────
+
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen',
+  'nineteen', 'twenty'
+];
+// "no one died" is not one death
+const NUMBER = `(?<!\\bno\\s)(\\d{1,3}(?:,\\d{3})+|\\d+|${NUMBER_WORDS.join('|')})`;
+// A number written before its noun, unless it is the value of a count label ("Illnesses: 73
+// Hospitalizations: 14" is not 73 hospitalizations); other colons ("Outbreak: 45 people sick")
+// don't count
+const COUNT_LABEL = '(?:ill(?:nesses)?|cases|hospitali[sz](?:ed|ations?)|deaths?|states)';
+const COUNT = `(?<!\\b${COUNT_LABEL}\\s*:\\s*)${NUMBER}`;
+
+function parseNumber(value) {
+  const lower = value.toLowerCase();
+  const word = NUMBER_WORDS.indexOf(lower);
+  return word !== -1 ? word : parseInt(lower.replace(/,/g, ''), 10);
+}
+
+function span(match, value, group = 0) {
+  const text = match[group];
+  const start = match.index + (group ? match[0].indexOf(text) : 0);
+  return { value, text, start, end: start + text.length };
+}
+
+/**
+ * First match of any pattern (earliest in the text); `group` is the capture holding the number
+ */
+function firstCount(text, patterns) {
+  let best = null;
+  for (const { pattern, group = 1, value } of patterns) {
+    const match = pattern.exec(text);
+    if (match && (!best || match.index < best.index)) {
+      best = { index: match.index, entity: span(match, value ?? parseNumber(match[group])) };
+    }
+  }
+  return best ? best.entity : null;
+}
+
+// ─── Pathogens ───────────────────────────────────────────────
+
+const SALMONELLA_SEROTYPES = [
+  'Typhimurium', 'Enteritidis', 'Newport', 'Javiana', 'Heidelberg', 'Infantis', 'Montevideo',
+  'Muenchen', 'Saintpaul', 'Oranienburg', 'Braenderup', 'Poona', 'Agona', 'Thompson', 'Paratyphi',
+  'Typhi', 'Dublin', 'Hadar', 'Mbandaka', 'Reading', 'Senftenberg', 'Stanley', 'Bareilly',
+  'Litchfield', 'Weltevreden', 'Uganda', 'Anatum', 'Kentucky', 'Schwarzengrund', 'Chester',
+  'Hartford', 'Sandiego', 'Urbana', 'Cotham', 'Oslo', 'Virchow'
+];
+
+/**
+ * name: normalized value; pattern: the pathogen; strain: serotype/strain right after it
+ * (capture 1); strainBefore: a strain written first ("O157:H7 E. coli")
+ */
+const PATHOGENS = [
+  {
+    name: 'Salmonella',
+    pattern: /\bSalmonella\b/i,
+    strain: new RegExp(`^\\s+(?:enterica\\s+)?(?:(?:serotype|serovar|ser\\.)\\s+([A-Z][A-Za-z]+)|(${SALMONELLA_SEROTYPES.join('|')})\\b)`)
+  },
+  {
+    name: 'E. coli',
+    pattern: /\b(?:E\.\s?coli|Escherichia coli|STEC|EHEC)\b/i,
+    strain: /^\s+(O\d{1,3}(?::H(?:\d{1,2}|-)|:NM)?)(?![\w:])/,
+    strainBefore: /\b(O\d{1,3}(?::H(?:\d{1,2}|-)|:NM)?)\s+$/
+  },
+  { name: 'Listeria', pattern: /\bListeria\b/i, strain: /^\s+(monocytogenes)\b/i },
+  { name: 'Campylobacter', pattern: /\bCampylobacter\b/i, strain: /^\s+(jejuni|coli)\b/i },
+  { name: 'Norovirus', pattern: /\bnorovirus\b/i, strain: /^\s+(GI{1,2}\.\d+)\b/ },
+  { name: 'Clostridium', pattern: /\bClostridium\b/i, strain: /^\s+(botulinum|perfringens|difficile)\b/i },
+  { name: 'Clostridium', pattern: /\bbotulism\b/i, serotype: 'botulinum' },
+  { name: 'Vibrio', pattern: /\bVibrio\b/i, strain: /^\s+(vulnificus|parahaemolyticus|cholerae)\b/i },
+  { name: 'Staphylococcus', pattern: /\bStaphylococcus\b/i, strain: /^\s+(aureus)\b/i },
+  { name: 'Shigella', pattern: /\bShigella\b/i, strain: /^\s+(sonnei|flexneri)\b/i },
+  { name: 'Hepatitis A', pattern: /\bhepatitis A\b/i },
+  { name: 'Cyclospora', pattern: /\bCyclospora\b/i, strain: /^\s+(cayetanensis)\b/i },
+  { name: 'Cronobacter', pattern: /\bCronobacter\b/i, strain: /^\s+(sakazakii)\b/i },
+  { name: 'Bacillus cereus', pattern: /\bBacillus cereus\b/i },
+  { name: 'Yersinia', pattern: /\bYersinia\b/i, strain: /^\s+(enterocolitica)\b/i }
+];
+
+function extractPathogenEntity(text) {
+  let best = null;
+  for (const pathogen of PATHOGENS) {
+    const match = pathogen.pattern.exec(text);
+    if (!match || (best && match.index >= best.start)) continue;
+
+    let start = match.index;
+    let end = match.index + match[0].length;
+    let serotype = pathogen.serotype || null;
+
+    const after = pathogen.strain && pathogen.strain.exec(text.slice(end));
+    const before = !after && pathogen.strainBefore && pathogen.strainBefore.exec(text.slice(0, start));
+    if (after) {
+      serotype = after[1] || after[2];
+      end += after[0].length;
+    } else if (before) {
+      serotype = before[1];
+      start = before.index;
+    }
+
+    best = { value: pathogen.name, serotype, text: text.slice(start, end), start, end };
+  }
+  return best;
+}
+
+// ─── Counts ──────────────────────────────────────────────────
+
+const PEOPLE = '(?:people|persons?|patients?|consumers?|child(?:ren)?|adults?|individuals?|residents?)';
+
+// What makes "cases" illnesses rather than boxes of product
+const ILLNESS = `(?:illness(?:es)?|infections?|disease|food\\s*poisoning|\\w+osis|${PATHOGENS.map(p => p.pattern.source).join('|')})`;
+const CASE_CONTEXT = `(?:\\s+of\\s+(?:\\w+\\s+){0,2}?${ILLNESS}|\\s+(?:(?:have|has)\\s+been\\s+|were\\s+)?(?:reported|confirmed|identified|linked)\\b|\\s+(?:in|from|across)\\s+${NUMBER}\\s+states\\b)`;
+
+const CASE_PATTERNS = [
+  // "45 confirmed illnesses", "12 reported cases"
+  { pattern: new RegExp(`\\b${COUNT}\\s+(?:(?:(?:confirmed|reported|additional|new|related|outbreak)\\s+)?(?:illnesses|infections|illness|infection)|(?:confirmed|reported|additional|new|related|outbreak|probable)\\s+cases?)\\b`, 'i') },
+  // "12 cases of salmonellosis", "12 cases have been reported"
+  { pattern: new RegExp(`\\b${COUNT}\\s+cases?(?=${CASE_CONTEXT})`, 'i') },
+  // "45 people sickened", "8 people have become ill"
+  { pattern: new RegExp(`\\b${COUNT}\\s+(?:more\\s+|other\\s+)?${PEOPLE}\\s+(?:(?:have|had)\\s+(?:been\\s+|become\\s+|fallen\\s+)?|were\\s+|got\\s+|became\\s+|fell\\s+)?(?:ill|sick|sickened|infected|reported\\s+ill)\\b`, 'i') },
+  // "sickened 45 people", "infected at least 12 people"
+  { pattern: new RegExp(`\\b(?:sicken(?:s|ed)?|infect(?:s|ed)?)\\s+(?:at\\s+least\\s+|more\\s+than\\s+|nearly\\s+)?${NUMBER}\\s+${PEOPLE}`, 'i') },
+  // "45 people in 12 states"
+  { pattern: new RegExp(`\\b${COUNT}\\s+${PEOPLE}\\s+(?:in|from|across)\\s+${NUMBER}\\s+states\\b`, 'i') },
+  // "Ill: 45", "Cases: 45"
+  { pattern: new RegExp(`\\b(?:ill(?:nesses)?|cases)\\s*:\\s*${NUMBER}\\b`, 'i') }
+];
+
+const HOSPITALIZATION_PATTERNS = [
+  { pattern: new RegExp(`\\b${COUNT}\\s+(?:${PEOPLE}\\s+)?(?:of\\s+(?:whom|them)\\s+)?(?:(?:have|had)\\s+been\\s+|were\\s+|was\\s+)?hospitali[sz]ed\\b`, 'i') },
+  { pattern: new RegExp(`\\b${COUNT}\\s+hospitali[sz]ations?\\b`, 'i') },
+  { pattern: new RegExp(`\\bhospitali[sz](?:ed|ations?)\\s*:\\s*${NUMBER}\\b`, 'i') },
+  { pattern: /\bno\s+(?:one\s+(?:has\s+been|was)\s+hospitali[sz]ed|hospitali[sz]ations)\b/i, value: 0 }
+];
+
+const DEATH_PATTERNS = [
+  { pattern: new RegExp(`\\b${COUNT}\\s+(?:deaths?|fatalities|fatality)\\b`, 'i') },
+  { pattern: new RegExp(`\\b${COUNT}\\s+(?:${PEOPLE}\\s+)?(?:of\\s+(?:whom|them)\\s+)?(?:(?:have|has)\\s+)?died\\b`, 'i') },
+  { pattern: new RegExp(`\\b(?:deaths?)\\s*:\\s*${NUMBER}\\b`, 'i') },
+  { pattern: /\b(?:no\s+(?:deaths|fatalities)|(?:no\s+one|nobody)\s+(?:has\s+|had\s+)?died)\b/i, value: 0 }
+];
+
+const STATE_COUNT_PATTERNS = [
+  { pattern: new RegExp(`\\b${COUNT}\\s+(?:U\\.S\\.\\s+)?states\\b`, 'i') },
+  { pattern: new RegExp(`\\bstates\\s*:\\s*${NUMBER}\\b`, 'i') }
+];
+
+// ─── Product ─────────────────────────────────────────────────
+
+const PRODUCT_WORD = "[A-Za-z][\\w'&-]*";
+const PRODUCT_END = "(?=\\s*(?:[,.;:()!?]|$|\\s(?:\\d|sold|distributed|from|made|in|at|and|due|because|over|for|has|have|is|are|was|were|that|sicken\\w*|kill\\w*|linked|after|products?\\s+(?:due|because|for))\\b))";
+
+const PRODUCT_PATTERNS = [
+  // "Acme Recalls Ground Beef Products Due to ..."
+  new RegExp(`\\brecalls?\\s+(${PRODUCT_WORD}(?:\\s+${PRODUCT_WORD}){0,5}?)\\s+(?:due\\s+to|because|for\\s+possible|over)\\b`, 'i'),
+  // "outbreak linked to cucumbers"
+  new RegExp(`\\b(?:linked|tied|traced(?:\\s+back)?|connected)\\s+to\\s+(?:eating\\s+)?(?:recalled\\s+)?(${PRODUCT_WORD}(?:\\s+(?:&\\s+)?${PRODUCT_WORD}){0,3}?)${PRODUCT_END}`, 'i')
+];
+
+function extractProductEntity(text) {
+  for (const pattern of PRODUCT_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match) return span(match, match[1], 1);
+  }
+  return null;
+}
+
+// ─── Extraction ──────────────────────────────────────────────
+
+function extractEntities(text) {
+  if (!text) {
+    return { pathogen: null, caseCount: null, hospitalizations: null, deaths: null, product: null, stateCount: null };
+  }
+  return {
+    pathogen: extractPathogenEntity(text),
+    caseCount: firstCount(text, CASE_PATTERNS),
+    hospitalizations: firstCount(text, HOSPITALIZATION_PATTERNS),
+    deaths: firstCount(text, DEATH_PATTERNS),
+    product: extractProductEntity(text),
+    stateCount: firstCount(text, STATE_COUNT_PATTERNS)
+  };
+}
+
+/**
+ * Normalized pathogen name ("E. coli") or null
+ */
+function extractPathogen(text) {
+  return text ? extractPathogenEntity(text)?.value || null : null;
+}
+
+/**
+ * Media item fields for a recall/outbreak text (product is left to fetchers that have a
+ * structured one; entities.product is there for the rest)
+ */
+function mediaFields(text) {
+  const entities = extractEntities(text);
+  const valueOf = entity => (entity ? entity.value : null);
+  return {
+    pathogen: valueOf(entities.pathogen),
+    serotype: entities.pathogen?.serotype || null,
+    case_count: valueOf(entities.caseCount),
+    hospitalizations: valueOf(entities.hospitalizations),
+    deaths: valueOf(entities.deaths),
+    states_count: valueOf(entities.stateCount),
+    entities
+  };
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const text = process.argv.slice(2).join(' ');
+  if (!text) {
+    console.error('Usage: node extract_entities.js "<text>"');
+    process.exit(1);
+  }
+  console.log(JSON.stringify(extractEntities(text), null, 2));
+}
+
+module.exports = { PATHOGENS, extractEntities, extractPathogen, mediaFields };
@@ -1,85 +1,146 @@
 #!/usr/bin/env node
 /**
  * Tool: Fetch papers from arXiv API
- * Usage: node fetch_arxiv.js <date> <categories> <keywords>
+ * Usage: node fetch_arxiv.js <date> <categories> <keywords> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N] [--record <dir> | --replay <dir>]
  * Returns: JSON array of papers
+ *
+ * Results are requested newest-submitted first and paged until the submitted date
+ * falls before the window (default window: just <date>; --since/--until widen it).
  */
 
-const http = require('http');
+const { parseString } = require('xml2js');
+const { fetchText, useCassettesFromArgs } = require('./http_client');
+
+const API_URL = 'https://export.arxiv.org/api/query';
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function textOf(node) {
+    if (node === undefined || node === null) return '';
+    const value = typeof node === 'object' ? node._ || '' : node;
+    return String(value).trim().replace(/\s+/g, ' ');
+}
+
+async function fetchArxiv(date, categories, keywords, options = {}) {
+    const {
+        since = date,
+        until = date,
+        pageSize = 100,
+        maxResults = 1000,
+        delayMs = 3000 // arXiv asks for 3 seconds between API calls
+    } = options;
 
-async function fetchArxiv(date, categories, keywords) {
     // arXiv categories like cs.LG, cs.CV, cs.AI
-    const catQuery = categories.map(c => `cat:${c}`).join('+OR+');
-    
+    const catQuery = categories.map(c => `cat:${c}`).join(' OR ');
+
     // Build keyword query
-    const kwQuery = keywords.map(k => `all:"${k}"`).join('+OR+');
-    
-    const searchQuery = `(${catQuery})+AND+(${kwQuery})`;
-    const url = `http://export.arxiv.org/api/query?search_query=${encodeURIComponent(searchQuery)}&start=0&max_results=20&sortBy=submittedDate&sortOrder=descending`;
-    
-    return new Promise((resolve, reject) => {
-        http.get(url, (res) => {
-            let data = '';
-            res.on('data', (chunk) => data += chunk);
-            res.on('end', () => {
-                const papers = parseArxivXML(data, date);
-                resolve(papers);
-            });
-        }).on('error', reject);
-    });
-}
+    const kwQuery = keywords.map(k => `all:"${k}"`).join(' OR ');
+
+    const searchQuery = `(${catQuery}) AND (${kwQuery})`;
 
-function parseArxivXML(xml, targetDate) {
     const papers = [];
-    const entries = xml.split('<entry>').slice(1);
-    
-    for (const entry of entries) {
-        const published = entry.match(/<published>(.*?)<\/published>/)?.[1] || '';
-        const pubDate = published.split('T')[0];
-        
-        // Only return papers from target date
-        if (pubDate !== targetDate) continue;
-        
-        const title = entry.match(/<title>(.*?)<\/title>/)?.[1]?.trim().replace(/\s+/g, ' ');
-        const summary = entry.match(/<summary>(.*?)<\/summary>/s)?.[1]?.trim().replace(/\s+/g, ' ');
-        const id = entry.match(/<id>(.*?)<\/id>/)?.[1];
-        const arxivId = id?.split('/abs/')?.[1];
-        
-        const authorMatches = entry.match(/<author>.*?<name>(.*?)<\/name>.*?<\/author>/gs) || [];
-        const authors = authorMatches.map(a => ({
-            name: a.match(/<name>(.*?)<\/name>/)?.[1]
-        }));
-        
-        papers.push({
-            source: 'arXiv',
-            id: arxivId,
-            doi: null,
-            title: title,
-            abstract: summary,
-            authors: authors,
-            venue: 'arXiv preprint',
-            citationCount: 0,
-            publicationDate: pubDate,
-            openAccess: true,
-            url: `https://arxiv.org/abs/${arxivId}`
-        });
+    for (let start = 0; start < maxResults; start += pageSize) {
+        if (start > 0) await sleep(delayMs);
+
+        const url = `${API_URL}?search_query=${encodeURIComponent(searchQuery)}&start=${start}&max_results=${pageSize}&sortBy=submittedDate&sortOrder=descending`;
+        const xml = await fetchText(url, { source: 'arXiv' });
+        const { entries, totalResults } = await parseArxivFeed(xml);
+
+        for (const paper of entries) {
+            if (paper.publicationDate >= since && paper.publicationDate <= until) papers.push(paper);
+        }
+
+        // Sorted newest first: once the oldest entry on a page predates the window, stop
+        const oldest = entries[entries.length - 1];
+        if (!oldest || oldest.publicationDate < since) break;
+        if (entries.length < pageSize || start + pageSize >= totalResults) break;
     }
-    
+
     return papers;
 }
 
+function parseArxivFeed(xml) {
+    return new Promise((resolve, reject) => {
+        parseString(xml, { explicitArray: false }, (err, result) => {
+            if (err) return reject(new Error(`arXiv XML parse error: ${err.message}`));
+
+            const feed = result?.feed || {};
+            const totalResults = parseInt(textOf(feed['opensearch:totalResults'])) || 0;
+            const entries = toArray(feed.entry).map(mapEntry).filter(Boolean);
+            resolve({ entries, totalResults });
+        });
+    });
+}
+
+function mapEntry(entry) {
+    const absUrl = textOf(entry.id);
+    const id = absUrl.split('/abs/')[1];
+    if (!id) return null;
+
+    const versionMatch = id.match(/v(\d+)$/);
+    const authors = toArray(entry.author).map(a => ({
+        name: textOf(a.name),
+        affiliations: toArray(a['arxiv:affiliation']).map(textOf).filter(Boolean)
+    }));
+    const links = toArray(entry.link).map(l => l.$ || {});
+    const pdfLink = links.find(l => l.title === 'pdf' || l.type === 'application/pdf');
+    const published = textOf(entry.published);
+    const updated = textOf(entry.updated);
+    const journalRef = textOf(entry['arxiv:journal_ref']);
+
+    return {
+        source: 'arXiv',
+        id,
+        arxivId: id.replace(/v\d+$/, ''),
+        version: versionMatch ? parseInt(versionMatch[1]) : 1,
+        doi: textOf(entry['arxiv:doi']) || null,
+        title: textOf(entry.title),
+        abstract: textOf(entry.summary),
+        authors,
+        affiliations: [...new Set(authors.flatMap(a => a.affiliations))],
+        venue: journalRef || 'arXiv preprint',
+        citationCount: 0,
+        publicationDate: published.split('T')[0],
+        updatedDate: updated.split('T')[0] || null,
+        primaryCategory: entry['arxiv:primary_category']?.$?.term || null,
+        categories: toArray(entry.category).map(c => c.$?.term).filter(Boolean),
+        openAccess: true,
+        url: `https://arxiv.org/abs/${id}`,
+        pdfUrl: pdfLink?.href ? pdfLink.href.replace(/^http:/, 'https:') : `https://arxiv.org/pdf/${id}`
+    };
+}
+
 // CLI usage
 if (require.main === module) {
-    const date = process.argv[2];
-    const categories = process.argv[3]?.split(',') || [];
-    const keywords = process.argv[4]?.split(',') || [];
-    
+    useCassettesFromArgs(process.argv);
+    const args = process.argv.slice(2);
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--since' && args[i + 1]) options.since = args[++i];
+        else if (args[i] === '--until' && args[i + 1]) options.until = args[++i];
+        else if (args[i] === '--max' && args[i + 1]) options.maxResults = parseInt(args[++i]);
+        else positional.push(args[i]);
+    }
+
+    const date = positional[0];
+    const categories = positional[1]?.split(',') || [];
+    const keywords = positional[2]?.split(',') || [];
+
     if (!date || categories.length === 0 || keywords.length === 0) {
-        console.error('Usage: node fetch_arxiv.js <date> <cat1,cat2,...> <kw1,kw2,...>');
+        console.error('Usage: node fetch_arxiv.js <date> <cat1,cat2,...> <kw1,kw2,...> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N]');
         process.exit(1);
     }
-    
-    fetchArxiv(date, categories, keywords)
+
+    fetchArxiv(date, categories, keywords, options)
         .then(papers => console.log(JSON.stringify(papers, null, 2)))
         .catch(err => {
             console.error(err.message);
@@ -87,4 +148,4 @@ if (require.main === module) {
         });
 }
 
-module.exports = { fetchArxiv };
+module.exports = { fetchArxiv, parseArxivFeed };
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Tool: Fetch preprints from bioRxiv and medRxiv
+ * Usage: node fetch_biorxiv.js <date> <keywords> [--since YYYY-MM-DD] [--until YYYY-MM-DD]
+ *        [--servers biorxiv,medrxiv] [--categories microbiology,epidemiology,bioinformatics] [--max N]
+ *        [--max-pages N] [--record <dir> | --replay <dir>]
+ * Returns: JSON array of papers
+ *
+ * Pages through the details API (api.biorxiv.org/details/<server>/<from>/<to>/<cursor>) for the
+ * window, keeps the subject collections asked for and preprints whose title or abstract mention
+ * a keyword. Only the latest version of each preprint is returned; once a preprint appears in a
+ * journal, publishedDoi links to it.
+ *
+ * Pages (100 preprints each) are fetched 1s apart. Paging stops once maxResults preprints are
+ * collected, or after maxPages pages of a server, so a wide window can't flood the API.
+ */
+
+const { fetchJSON, useCassettesFromArgs } = require('./http_client');
+
+const API_URL = 'https://api.biorxiv.org/details';
+const SERVERS = ['biorxiv', 'medrxiv'];
+const CATEGORIES = ['microbiology', 'epidemiology', 'bioinformatics'];
+const SERVER_NAMES = { biorxiv: 'bioRxiv', medrxiv: 'medRxiv' };
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+function normalizeCategory(category) {
+    return String(category || '').trim().toLowerCase().replace(/_/g, ' ');
+}
+
+/**
+ * options: since/until (default: date), servers, categories, maxResults, maxPages (per server), delayMs
+ */
+async function fetchBiorxiv(date, keywords, options = {}) {
+    const {
+        since = date,
+        until = date,
+        servers = SERVERS,
+        categories = CATEGORIES,
+        maxResults = 1000,
+        maxPages = 50,
+        delayMs = 1000
+    } = options;
+
+    const wantedCategories = new Set(categories.map(normalizeCategory));
+    const terms = keywords.map(k => k.toLowerCase());
+    const latest = new Map();
+    let requests = 0;
+
+    for (const server of servers) {
+        let cursor = 0;
+        for (let page = 0; latest.size < maxResults; page++) {
+            if (page >= maxPages) {
+                console.error(`[${SERVER_NAMES[server] || server}] Stopped at the ${maxPages}-page limit; narrow the window or raise maxPages`);
+                break;
+            }
+            if (requests++ > 0) await sleep(delayMs);
+            const url = `${API_URL}/${server}/${since}/${until}/${cursor}/json`;
+            const response = await fetchJSON(url, { source: SERVER_NAMES[server] || server });
+            const message = response.messages?.[0] || {};
+            const collection = response.collection || [];
+
+            for (const entry of collection) {
+                if (wantedCategories.size && !wantedCategories.has(normalizeCategory(entry.category))) continue;
+                const text = `${entry.title || ''} ${entry.abstract || ''}`.toLowerCase();
+                if (terms.length && !terms.some(t => text.includes(t))) continue;
+
+                const current = latest.get(entry.doi);
+                if (!current || parseInt(entry.version) > current.version) {
+                    latest.set(entry.doi, mapPreprint(entry, server));
+                }
+            }
+
+            cursor += collection.length;
+            const total = parseInt(message.total) || 0;
+            if (collection.length === 0 || cursor >= total) break;
+        }
+    }
+
+    return [...latest.values()].slice(0, maxResults);
+}
+
+/**
+ * "Smith, J.; Zhang, W." -> [{ name: "J. Smith" }, { name: "W. Zhang" }]
+ */
+function parseAuthors(authors) {
+    return String(authors || '')
+        .split(';')
+        .map(a => a.trim())
+        .filter(Boolean)
+        .map(a => {
+            const [surname, given] = a.split(',').map(s => s.trim());
+            return { name: given ? `${given} ${surname}` : surname };
+        });
+}
+
+function mapPreprint(entry, server) {
+    const version = parseInt(entry.version) || 1;
+    const site = server === 'medrxiv' ? 'https://www.medrxiv.org' : 'https://www.biorxiv.org';
+    const url = `${site}/content/${entry.doi}v${version}`;
+    const publishedDoi = entry.published && entry.published !== 'NA' ? entry.published : null;
+
+    return {
+        source: SERVER_NAMES[server] || server,
+        id: `https://doi.org/${entry.doi}`,
+        doi: entry.doi,
+        version,
+        title: (entry.title || '').trim(),
+        abstract: (entry.abstract || '').trim().replace(/\s+/g, ' '),
+        authors: parseAuthors(entry.authors),
+        correspondingInstitution: entry.author_corresponding_institution || null,
+        venue: `${SERVER_NAMES[server] || server} preprint`,
+        category: entry.category || null,
+        license: entry.license || null,
+        citationCount: 0,
+        publicationDate: entry.date,
+        openAccess: true,
+        publishedDoi,
+        publishedUrl: publishedDoi ? `https://doi.org/${publishedDoi}` : null,
+        url,
+        pdfUrl: `${url}.full.pdf`
+    };
+}
+
+// CLI usage
+if (require.main === module) {
+    useCassettesFromArgs(process.argv);
+    const args = process.argv.slice(2);
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--since' && args[i + 1]) options.since = args[++i];
+        else if (args[i] === '--until' && args[i + 1]) options.until = args[++i];
+        else if (args[i] === '--servers' && args[i + 1]) options.servers = args[++i].split(',');
+        else if (args[i] === '--categories' && args[i + 1]) options.categories = args[++i].split(',');
+        else if (args[i] === '--max' && args[i + 1]) options.maxResults = parseInt(args[++i]);
+        else if (args[i] === '--max-pages' && args[i + 1]) options.maxPages = parseInt(args[++i]);
+        else positional.push(args[i]);
+    }
+
+    const date = positional[0];
+    const keywords = positional[1]?.split(',') || [];
+
+    if (!date || keywords.length === 0) {
+        console.error('Usage: node fetch_biorxiv.js <date> <keyword1,keyword2,...> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--servers biorxiv,medrxiv] [--categories c1,c2] [--max N] [--max-pages N]');
+        process.exit(1);
+    }
+
+    fetchBiorxiv(date, keywords, options)
+        .then(papers => console.log(JSON.stringify(papers, null, 2)))
+        .catch(err => {
+            console.error(err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { fetchBiorxiv, parseAuthors };
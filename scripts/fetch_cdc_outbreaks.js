@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Tool: Fetch CDC outbreak investigations
- * Usage: node fetch_cdc_outbreaks.js [--days N] [--since YYYY-MM-DD]
+ * Usage: node fetch_cdc_outbreaks.js [--days N] [--since YYYY-MM-DD] [--record <dir> | --replay <dir>]
  * Returns: JSON array of standardized media items to stdout
  *
  * Strategy (CDC restructured their site in 2024-2025):
@@ -11,27 +11,10 @@
  * 4. Fallback: Return empty with warning
  */
 
-const https = require('https');
+const { fetchJSON, fetchText, useCassettesFromArgs } = require('./http_client');
 const { parseString } = require('xml2js');
-
-const PATHOGENS = [
-  'salmonella', 'e. coli', 'e.coli', 'escherichia coli', 'listeria',
-  'campylobacter', 'norovirus', 'clostridium', 'botulism', 'vibrio',
-  'staphylococcus', 'shigella', 'hepatitis a', 'cyclospora', 'cronobacter',
-  'bacillus cereus', 'yersinia'
-];
-
-function extractPathogen(text) {
-  if (!text) return null;
-  const lower = text.toLowerCase();
-  for (const p of PATHOGENS) {
-    if (lower.includes(p)) {
-      if (p === 'e. coli' || p === 'e.coli' || p === 'escherichia coli') return 'E. coli';
-      return p.charAt(0).toUpperCase() + p.slice(1);
-    }
-  }
-  return null;
-}
+const { detectHazards } = require('./hazards');
+const { mediaFields } = require('./extract_entities');
 
 function extractStates(text) {
   if (!text) return null;
@@ -40,12 +23,6 @@ function extractStates(text) {
   return states.length > 0 ? states : null;
 }
 
-function extractCaseCount(text) {
-  if (!text) return null;
-  const match = text.match(/(\d+)\s*(case|ill|sick|infected|people|person)/i);
-  return match ? parseInt(match[1]) : null;
-}
-
 function determineSeverity(text) {
   if (!text) return 'medium';
   const lower = text.toLowerCase();
@@ -70,32 +47,7 @@ function stripHtml(html) {
     .trim();
 }
 
-function fetchURL(url, timeoutMs = 15000) {
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, {
-      headers: {
-        'User-Agent': 'ResearchAgent/1.0',
-        'Accept': 'application/json,text/html,application/xml;q=0.9'
-      },
-      timeout: timeoutMs
-    }, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchURL(res.headers.location, timeoutMs).then(resolve).catch(reject);
-      }
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve({ data, contentType: res.headers['content-type'] || '' });
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}`));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
-  });
-}
+const CDC_HEADERS = { 'Accept': 'application/json,text/html,application/xml;q=0.9' };
 
 /**
  * Strategy 1: CDC Content Syndication API
@@ -113,8 +65,7 @@ async function tryCDCMediaAPI(cutoffDate) {
 
   for (const url of urls) {
     try {
-      const { data } = await fetchURL(url);
-      const response = JSON.parse(data);
+      const response = await fetchJSON(url, { source: 'CDC', headers: CDC_HEADERS });
       const results = response.results || [];
 
       for (const item of results) {
@@ -134,6 +85,7 @@ async function tryCDCMediaAPI(cutoffDate) {
         // Only keep food-safety/outbreak relevant items
         const isRelevant = /outbreak|recall|foodborne|food.?safety|investigation|illness|contamina/i.test(text);
         if (!isRelevant) continue;
+        const fields = mediaFields(text);
 
         allItems.push({
           source_type: 'media',
@@ -144,10 +96,10 @@ async function tryCDCMediaAPI(cutoffDate) {
           date: bestDate.toISOString().split('T')[0],
           category: 'Outbreak',
           severity: determineSeverity(text),
-          pathogen: extractPathogen(text),
-          product: null,
+          ...fields,
+          ...detectHazards(text, fields.pathogen),
+          product: fields.entities.product?.value || null,
           states: extractStates(text),
-          case_count: extractCaseCount(text),
           _dedup_key: title.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 60)
         });
       }
@@ -173,7 +125,7 @@ async function tryCDCOutbreakPages(cutoffDate) {
 
   for (const url of pageUrls) {
     try {
-      const { data } = await fetchURL(url, 10000);
+      const data = await fetchText(url, { source: 'CDC', headers: CDC_HEADERS, timeoutMs: 10000, retries: 0 });
 
       // Extract outbreak links from the page
       const outbreaks = [];
@@ -187,6 +139,7 @@ async function tryCDCOutbreakPages(cutoffDate) {
         // Look for outbreak investigation links
         if (/outbreak|investigation|salmonella|listeria|e\.\s*coli/i.test(text) && text.length > 15) {
           const fullUrl = href.startsWith('http') ? href : `https://www.cdc.gov${href}`;
+          const fields = mediaFields(text);
 
           outbreaks.push({
             source_type: 'media',
@@ -198,8 +151,9 @@ async function tryCDCOutbreakPages(cutoffDate) {
             date_estimated: true,
             category: 'Outbreak',
             severity: determineSeverity(text),
-            pathogen: extractPathogen(text),
-            product: null,
+            ...fields,
+            ...detectHazards(text, fields.pathogen),
+            product: fields.entities.product?.value || null,
             states: extractStates(text),
             _dedup_key: text.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 60)
           });
@@ -226,7 +180,7 @@ async function tryCDCRSS(cutoffDate) {
 
   for (const url of rssUrls) {
     try {
-      const { data } = await fetchURL(url, 10000);
+      const data = await fetchText(url, { source: 'CDC', headers: CDC_HEADERS, timeoutMs: 10000, retries: 0 });
 
       return new Promise((resolve) => {
         parseString(data, { explicitArray: false, trim: true }, (err, result) => {
@@ -245,6 +199,7 @@ async function tryCDCRSS(cutoffDate) {
               const text = `${title} ${description}`;
 
               if (!/outbreak|recall|foodborne|food.?safety|investigation|illness/i.test(text)) return null;
+              const fields = mediaFields(text);
 
               return {
                 source_type: 'media',
@@ -255,8 +210,9 @@ async function tryCDCRSS(cutoffDate) {
                 date: pubDate.toISOString().split('T')[0],
                 category: 'Outbreak',
                 severity: determineSeverity(text),
-                pathogen: extractPathogen(text),
-                product: null,
+                ...fields,
+                ...detectHazards(text, fields.pathogen),
+                product: fields.entities.product?.value || null,
                 states: extractStates(text),
                 _dedup_key: title.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 60)
               };
@@ -315,6 +271,7 @@ async function fetchCDCOutbreaks(options = {}) {
 
 // CLI usage
 if (require.main === module) {
+  useCassettesFromArgs(process.argv);
   const args = process.argv.slice(2);
   const options = {};
 
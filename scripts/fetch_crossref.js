@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * Tool: Fetch journal articles from Crossref and fill gaps in papers from other sources
+ * Usage: node fetch_crossref.js <date> <keywords> [--since YYYY-MM-DD] [--until YYYY-MM-DD]
+ *        [--issn 0362-028X,0956-7135] [--max N] [--mailto you@example.com] [--record <dir> | --replay <dir>]
+ *        node fetch_crossref.js --enrich <papers.json> [--mailto you@example.com]
+ * Returns: JSON array of papers
+ *
+ * Fetch: /works filtered by publication date (from-pub-date/until-pub-date) and, optionally,
+ * the ISSNs of journals we track, ranked against the keywords; cursor paging. Crossref's
+ * query= only ranks, it doesn't filter, so without ISSNs works whose title and abstract
+ * mention no keyword are dropped, and paging stops at the first page with no match.
+ *
+ * Enrich: looks papers up by DOI (50 per request) and fills in a missing abstract (JATS
+ * markup stripped), license, funders and reference count. Existing values are never replaced.
+ */
+
+const fs = require('fs');
+
+const { fetchJSON, useCassettesFromArgs } = require('./http_client');
+const { normalizeDoi } = require('./merge_papers');
+
+const API_URL = 'https://api.crossref.org/works';
+const PAGE_SIZE = 100;
+const ENRICH_BATCH_SIZE = 50;
+const SELECT_FIELDS = [
+    'DOI', 'title', 'abstract', 'author', 'container-title', 'ISSN', 'type', 'published',
+    'issued', 'is-referenced-by-count', 'reference-count', 'license', 'funder', 'URL'
+].join(',');
+
+// ─── JATS ────────────────────────────────────────────────────
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+        }
+        return ENTITIES[code.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Crossref abstracts are JATS XML: drop the "Abstract" heading, turn section titles
+ * into "Label: " prefixes and strip the remaining tags.
+ */
+function stripJats(text) {
+    if (!text) return '';
+    return decodeEntities(String(text)
+        .replace(/<(?:jats:)?title>\s*abstract\s*<\/(?:jats:)?title>/gi, ' ')
+        .replace(/<(?:jats:)?title>([\s\S]*?)<\/(?:jats:)?title>/gi, ' $1: ')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([:.,;])/g, '$1')
+        .trim();
+}
+
+// ─── Fetch ───────────────────────────────────────────────────
+
+async function fetchCrossref(date, keywords, options = {}) {
+    const {
+        since = date,
+        until = date,
+        issns = [],
+        maxResults = 200,
+        perPage = PAGE_SIZE,
+        mailto = process.env.CROSSREF_MAILTO || process.env.OPENALEX_MAILTO || null
+    } = options;
+
+    const filter = [`from-pub-date:${since}`, `until-pub-date:${until}`, ...issns.map(issn => `issn:${issn}`)].join(',');
+    let baseUrl = `${API_URL}?filter=${encodeURIComponent(filter)}&select=${SELECT_FIELDS}`;
+    if (keywords.length) baseUrl += `&query=${encodeURIComponent(keywords.join(' '))}`;
+    if (mailto) baseUrl += `&mailto=${encodeURIComponent(mailto)}`;
+
+    // Tracked journals are on-topic as a whole; anything else has to mention a keyword
+    const terms = issns.length ? [] : keywords.map(k => k.toLowerCase());
+    const matches = paper => !terms.length || terms.some(t => `${paper.title} ${paper.abstract}`.toLowerCase().includes(t));
+
+    const papers = [];
+    let cursor = '*';
+    while (papers.length < maxResults) {
+        const rows = Math.min(perPage, maxResults - papers.length);
+        const response = await fetchJSON(`${baseUrl}&rows=${rows}&cursor=${encodeURIComponent(cursor)}`, { source: 'Crossref' });
+        const items = response.message?.items || [];
+        const kept = items.map(mapWork).filter(matches);
+        papers.push(...kept);
+
+        cursor = response.message?.['next-cursor'];
+        // Results come best match first: a page without a match means the rest won't have one
+        if (!cursor || items.length < rows || !kept.length) break;
+    }
+
+    return papers.slice(0, maxResults);
+}
+
+function dateOf(item) {
+    const parts = (item.published || item.issued)?.['date-parts']?.[0] || [];
+    if (!parts[0]) return null;
+    return [parts[0], parts[1] || 1, parts[2] || 1].map((n, i) => String(n).padStart(i ? 2 : 4, '0')).join('-');
+}
+
+function mapLicense(item) {
+    return (item.license || [])[0]?.URL || null;
+}
+
+function mapFunders(item) {
+    return (item.funder || []).map(f => ({ name: f.name, doi: f.DOI || null, awards: f.award || [] }));
+}
+
+function mapWork(item) {
+    const license = mapLicense(item);
+    return {
+        source: 'Crossref',
+        id: `https://doi.org/${item.DOI}`,
+        doi: item.DOI,
+        title: stripJats((item.title || [])[0]),
+        abstract: stripJats(item.abstract),
+        authors: (item.author || []).map(a => ({
+            name: a.name || [a.given, a.family].filter(Boolean).join(' '),
+            orcid: a.ORCID || null,
+            affiliations: (a.affiliation || []).map(af => af.name).filter(Boolean)
+        })),
+        venue: (item['container-title'] || [])[0] || null,
+        issn: item.ISSN || [],
+        type: item.type || null,
+        citationCount: item['is-referenced-by-count'] || 0,
+        referenceCount: item['reference-count'] ?? null,
+        license,
+        funders: mapFunders(item),
+        publicationDate: dateOf(item),
+        openAccess: /creativecommons\.org/i.test(license || ''),
+        url: item.URL || `https://doi.org/${item.DOI}`
+    };
+}
+
+// ─── Enrich ──────────────────────────────────────────────────
+
+function needsEnrichment(paper) {
+    return !(paper.abstract || '').trim()
+        || !paper.license
+        || !paper.funders
+        || paper.referenceCount === undefined || paper.referenceCount === null;
+}
+
+/**
+ * DOI to look up; arXiv DOIs are registered with DataCite, not Crossref
+ */
+function crossrefDoiOf(paper) {
+    const doi = normalizeDoi(paper.doi);
+    return doi && !doi.startsWith('10.48550/') ? doi : null;
+}
+
+/**
+ * Fill missing abstract, license, funders and referenceCount from Crossref.
+ * Returns a new array; papers without a DOI or unknown to Crossref come back unchanged.
+ */
+async function enrichWithCrossref(papers, options = {}) {
+    const { mailto = process.env.CROSSREF_MAILTO || process.env.OPENALEX_MAILTO || null } = options;
+
+    const dois = [...new Set(papers.filter(needsEnrichment).map(crossrefDoiOf).filter(Boolean))];
+    const works = new Map();
+
+    for (let i = 0; i < dois.length; i += ENRICH_BATCH_SIZE) {
+        const batch = dois.slice(i, i + ENRICH_BATCH_SIZE);
+        const filter = batch.map(doi => `doi:${doi}`).join(',');
+        let url = `${API_URL}?filter=${encodeURIComponent(filter)}&select=${SELECT_FIELDS}&rows=${batch.length}`;
+        if (mailto) url += `&mailto=${encodeURIComponent(mailto)}`;
+
+        const response = await fetchJSON(url, { source: 'Crossref' });
+        for (const item of response.message?.items || []) {
+            works.set(normalizeDoi(item.DOI), mapWork(item));
+        }
+    }
+
+    return papers.map(paper => {
+        const work = works.get(crossrefDoiOf(paper));
+        if (!work || !needsEnrichment(paper)) return paper;
+
+        const enriched = { ...paper };
+        if (!(paper.abstract || '').trim() && work.abstract) {
+            enriched.abstract = work.abstract;
+            enriched.abstractSource = 'Crossref';
+        }
+        if (!paper.license && work.license) enriched.license = work.license;
+        if (!paper.funders) enriched.funders = work.funders;
+        if (paper.referenceCount === undefined || paper.referenceCount === null) enriched.referenceCount = work.referenceCount;
+        return enriched;
+    });
+}
+
+// CLI usage
+if (require.main === module) {
+    useCassettesFromArgs(process.argv);
+    const args = process.argv.slice(2);
+    const positional = [];
+    const options = {};
+    let enrichPath = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--since' && args[i + 1]) options.since = args[++i];
+        else if (args[i] === '--until' && args[i + 1]) options.until = args[++i];
+        else if (args[i] === '--issn' && args[i + 1]) options.issns = args[++i].split(',');
+        else if (args[i] === '--max' && args[i + 1]) options.maxResults = parseInt(args[++i]);
+        else if (args[i] === '--mailto' && args[i + 1]) options.mailto = args[++i];
+        else if (args[i] === '--enrich' && args[i + 1]) enrichPath = args[++i];
+        else positional.push(args[i]);
+    }
+
+    const date = positional[0];
+    const keywords = positional[1]?.split(',') || [];
+
+    if (!enrichPath && (!date || keywords.length === 0)) {
+        console.error('Usage: node fetch_crossref.js <date> <keyword1,keyword2,...> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--issn X,Y] [--max N] [--mailto email]');
+        console.error('       node fetch_crossref.js --enrich <papers.json> [--mailto email]');
+        process.exit(1);
+    }
+
+    const run = enrichPath
+        ? enrichWithCrossref(JSON.parse(fs.readFileSync(enrichPath, 'utf8')), options)
+        : fetchCrossref(date, keywords, options);
+
+    run
+        .then(papers => console.log(JSON.stringify(papers, null, 2)))
+        .catch(err => {
+            console.error(err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { fetchCrossref, enrichWithCrossref, mapWork, stripJats };
@@ -1,38 +1,33 @@
 #!/usr/bin/env node
 /**
  * Tool: Fetch food recalls from openFDA API
- * Usage: node fetch_fda_recalls.js [--days N] [--since YYYY-MM-DD] [--limit N]
+ * Usage: node fetch_fda_recalls.js [--days N] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--limit N]
+ *        [--classification "Class I"] [--state CA] [--firm NAME] [--reason TEXT]
+ *        [--record <dir> | --replay <dir>]
+ *        node fetch_fda_recalls.js --recheck [--date YYYY-MM-DD]
  * Returns: JSON array of standardized media items to stdout
- * 
+ *
  * Uses: https://api.fda.gov/food/enforcement.json
  * Docs: https://open.fda.gov/apis/food/enforcement/
+ *
+ * Results are paged with `skip` until openFDA's total is reached (openFDA stops at skip 25,000);
+ * --limit caps the total. Filters are openFDA field searches: classification, state (the
+ * recalling firm's state or a mention in the distribution pattern), recalling firm, reason.
+ *
+ * --recheck looks up every open recall in data/media_history.jsonl again and prints one
+ * update item (update: true, changes: [{ field, from, to }]) per recall whose status or
+ * classification changed since it was reported, e.g. Ongoing -> Terminated.
  */
 
-const https = require('https');
-
-const PATHOGENS = [
-  'salmonella', 'e. coli', 'e.coli', 'escherichia coli', 'listeria',
-  'campylobacter', 'norovirus', 'clostridium', 'botulism', 'vibrio',
-  'staphylococcus', 'shigella', 'hepatitis a', 'cyclospora', 'cronobacter',
-  'bacillus cereus', 'yersinia'
-];
-
-const ALLERGENS = [
-  'milk', 'egg', 'peanut', 'tree nut', 'almond', 'cashew', 'walnut',
-  'wheat', 'soy', 'fish', 'shellfish', 'sesame', 'gluten', 'sulfite'
-];
-
-function extractPathogen(text) {
-  if (!text) return null;
-  const lower = text.toLowerCase();
-  for (const p of PATHOGENS) {
-    if (lower.includes(p)) {
-      if (p === 'e. coli' || p === 'e.coli' || p === 'escherichia coli') return 'E. coli';
-      return p.charAt(0).toUpperCase() + p.slice(1);
-    }
-  }
-  return null;
-}
+const { fetchJSON, useCassettesFromArgs } = require('./http_client');
+const { openHistory } = require('./history');
+const { detectHazards, recallCategory } = require('./hazards');
+const { mediaFields } = require('./extract_entities');
+
+const API_URL = 'https://api.fda.gov/food/enforcement.json';
+const PAGE_SIZE = 100;
+const MAX_SKIP = 25000; // openFDA rejects larger skip values
+const RECHECK_BATCH = 50;
 
 function extractProduct(description) {
   if (!description) return null;
@@ -59,120 +54,213 @@ function classificationToSeverity(classification) {
   return 'medium';
 }
 
-function categorizeRecall(reason) {
-  if (!reason) return 'Recall';
-  const lower = reason.toLowerCase();
-  for (const a of ALLERGENS) {
-    if (lower.includes(a) && (lower.includes('undeclared') || lower.includes('allergen'))) return 'Recall';
-  }
-  if (lower.includes('contaminated') || lower.includes('pathogen')) return 'Recall';
-  return 'Recall';
-}
-
 function formatDate(dateStr) {
   // openFDA dates are in YYYYMMDD format
   if (!dateStr || dateStr.length !== 8) return null;
   return `${dateStr.substring(0, 4)}-${dateStr.substring(4, 6)}-${dateStr.substring(6, 8)}`;
 }
 
-function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { 'User-Agent': 'ResearchAgent/1.0' } }, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error(`JSON parse error: ${e.message}`));
-          }
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
-        }
-      });
-    }).on('error', reject);
-  });
+function toSearchDate(date) {
+  return date.toISOString().split('T')[0].replace(/-/g, '');
+}
+
+function quote(value) {
+  return `"${encodeURIComponent(String(value).replace(/"/g, '')).replace(/%20/g, '+')}"`;
+}
+
+/**
+ * openFDA search expression: report date window plus optional field filters, AND-ed
+ */
+function buildSearch({ fromDate, toDate, classification, state, firm, reason }) {
+  const terms = [`report_date:[${fromDate}+TO+${toDate}]`];
+  if (classification) terms.push(`classification:${quote(classification)}`);
+  if (state) terms.push(`(state:${quote(state)}+distribution_pattern:${quote(state)})`);
+  if (firm) terms.push(`recalling_firm:${quote(firm)}`);
+  if (reason) terms.push(`reason_for_recall:${quote(reason)}`);
+  return terms.join('+AND+');
+}
+
+function mapRecall(recall) {
+  const reportDate = formatDate(recall.report_date);
+  const recallDate = formatDate(recall.recall_initiation_date);
+  const reason = recall.reason_for_recall || '';
+  const product = extractProduct(recall.product_description);
+  const fields = mediaFields(reason);
+  const states = extractStates(recall.distribution_pattern);
+  const severity = classificationToSeverity(recall.classification);
+  const hazards = detectHazards(reason, fields.pathogen);
+
+  // Build a meaningful title
+  const firm = recall.recalling_firm || 'Unknown Firm';
+  const classLabel = recall.classification || '';
+  const title = `${firm} Recalls ${product || 'Product'} (${classLabel})`;
+
+  // Build summary
+  const summaryParts = [reason];
+  if (recall.distribution_pattern) summaryParts.push(`Distribution: ${recall.distribution_pattern}`);
+  if (recall.product_quantity) summaryParts.push(`Quantity: ${recall.product_quantity}`);
+
+  return {
+    source_type: 'media',
+    sources: ['FDA'],
+    source_urls: [`https://api.fda.gov/food/enforcement.json?search=recall_number:"${recall.recall_number}"`],
+    title,
+    summary: summaryParts.join(' | '),
+    date: reportDate || recallDate || new Date().toISOString().split('T')[0],
+    category: recallCategory('Recall', hazards.hazard_type),
+    severity,
+    ...fields,
+    ...hazards,
+    product,
+    states,
+    recall_number: recall.recall_number,
+    classification: recall.classification,
+    recalling_firm: firm,
+    status: recall.status,
+    _dedup_key: (recall.recall_number || title).toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 60)
+  };
+}
+
+/**
+ * Every page of an openFDA search. A 404 means nothing (more) matched. Other errors are
+ * thrown when no page came back yet, so the caller sees the failure; after that they end
+ * paging and keep what was already fetched.
+ */
+async function fetchAllPages(search, { limit = Infinity, pageSize = PAGE_SIZE } = {}) {
+  const results = [];
+  let total = null;
+
+  while (results.length < limit && (total === null || results.length < total)) {
+    const skip = results.length;
+    if (skip > MAX_SKIP) {
+      console.error(`[FDA Recalls] openFDA stops paging at ${MAX_SKIP}; ${total - skip} recalls not fetched`);
+      break;
+    }
+    const size = Math.min(pageSize, limit - skip);
+    const url = `${API_URL}?search=${search}&limit=${size}&skip=${skip}&sort=report_date:desc`;
+
+    let response;
+    try {
+      response = await fetchJSON(url, { source: 'FDA Recalls' });
+    } catch (err) {
+      // openFDA returns 404 when no results match the search
+      if (err.status === 404) {
+        if (!skip) console.error('[FDA Recalls] No recalls found for search');
+        break;
+      }
+      if (!skip) throw err;
+      console.error(`[FDA Recalls] Error after ${skip} recalls, keeping those: ${err.message}`);
+      break;
+    }
+
+    const page = response.results || [];
+    total = response.meta?.results?.total ?? skip + page.length;
+    results.push(...page);
+    if (page.length < size) break;
+  }
+
+  return results;
 }
 
+/**
+ * options: days, since, until (default today), limit (max recalls), pageSize,
+ *          classification ("Class I"), state ("CA"), firm, reason
+ */
 async function fetchFDARecalls(options = {}) {
-  const { days = 7, since = null, limit = 50 } = options;
+  const { days = 7, since = null, until = null, limit = Infinity, pageSize = PAGE_SIZE } = options;
 
   const cutoffDate = since
     ? new Date(since + 'T00:00:00Z')
     : new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
-  // Format date range for openFDA filter
-  const fromDate = cutoffDate.toISOString().split('T')[0].replace(/-/g, '');
-  const toDate = new Date().toISOString().split('T')[0].replace(/-/g, '');
-
-  const url = `https://api.fda.gov/food/enforcement.json?search=report_date:[${fromDate}+TO+${toDate}]&limit=${limit}&sort=report_date:desc`;
-
-  try {
-    const response = await fetchJSON(url);
-    const results = response.results || [];
-
-    return results.map(recall => {
-      const reportDate = formatDate(recall.report_date);
-      const recallDate = formatDate(recall.recall_initiation_date);
-      const reason = recall.reason_for_recall || '';
-      const product = extractProduct(recall.product_description);
-      const pathogen = extractPathogen(reason);
-      const states = extractStates(recall.distribution_pattern);
-      const severity = classificationToSeverity(recall.classification);
-
-      // Build a meaningful title
-      const firm = recall.recalling_firm || 'Unknown Firm';
-      const classLabel = recall.classification || '';
-      const title = `${firm} Recalls ${product || 'Product'} (${classLabel})`;
-
-      // Build summary
-      const summaryParts = [reason];
-      if (recall.distribution_pattern) summaryParts.push(`Distribution: ${recall.distribution_pattern}`);
-      if (recall.product_quantity) summaryParts.push(`Quantity: ${recall.product_quantity}`);
-
-      return {
-        source_type: 'media',
-        sources: ['FDA'],
-        source_urls: [`https://api.fda.gov/food/enforcement.json?search=recall_number:"${recall.recall_number}"`],
-        title,
-        summary: summaryParts.join(' | '),
-        date: reportDate || recallDate || new Date().toISOString().split('T')[0],
-        category: 'Recall',
-        severity,
-        pathogen,
-        product,
-        states,
-        recall_number: recall.recall_number,
-        classification: recall.classification,
-        recalling_firm: firm,
-        status: recall.status,
-        _dedup_key: (recall.recall_number || title).toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 60)
-      };
-    });
-  } catch (err) {
-    // openFDA returns 404 when no results match the search
-    if (err.message.includes('404')) {
-      console.error('[FDA Recalls] No recalls found for date range');
-      return [];
+  const search = buildSearch({
+    ...options,
+    fromDate: toSearchDate(cutoffDate),
+    toDate: toSearchDate(until ? new Date(until + 'T00:00:00Z') : new Date())
+  });
+
+  const recalls = await fetchAllPages(search, { limit, pageSize });
+  return recalls.map(mapRecall);
+}
+
+/**
+ * Latest reported state of each recall: later history entries (incl. updates) win
+ */
+function reportedRecalls(entries) {
+  const latest = new Map();
+  for (const entry of entries) {
+    if (entry.recall_number) latest.set(entry.recall_number, entry);
+  }
+  return [...latest.values()].filter(entry => entry.status !== 'Terminated');
+}
+
+function describeChange({ field, from, to }) {
+  return field === 'status' ? `now ${to}` : `reclassified ${from || 'unclassified'} → ${to}`;
+}
+
+/**
+ * Look reported recalls up again and return an update item for each one whose
+ * status or classification changed. options: today (date of the updates)
+ */
+async function recheckFDARecalls(entries, options = {}) {
+  const { today = new Date().toISOString().split('T')[0] } = options;
+  const reported = reportedRecalls(entries);
+  const updates = [];
+
+  for (let i = 0; i < reported.length; i += RECHECK_BATCH) {
+    const batch = reported.slice(i, i + RECHECK_BATCH);
+    const search = batch.map(entry => `recall_number:${quote(entry.recall_number)}`).join('+');
+    const current = new Map((await fetchAllPages(search)).map(recall => [recall.recall_number, recall]));
+
+    for (const previous of batch) {
+      const recall = current.get(previous.recall_number);
+      if (!recall) continue;
+
+      const changes = ['status', 'classification']
+        .filter(field => recall[field] && recall[field] !== previous[field])
+        .map(field => ({ field, from: previous[field] || null, to: recall[field] }));
+      if (!changes.length) continue;
+
+      const item = mapRecall(recall);
+      updates.push({
+        ...item,
+        title: `Update: ${item.recalling_firm} Recall ${recall.recall_number} ${changes.map(describeChange).join(', ')}`,
+        date: today,
+        update: true,
+        changes,
+        _dedup_key: `update${item._dedup_key}${recall.status}${recall.classification}`.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 80)
+      });
     }
-    console.error(`[FDA Recalls] Error: ${err.message}`);
-    return [];
   }
+
+  return updates;
 }
 
 // CLI usage
 if (require.main === module) {
+  useCassettesFromArgs(process.argv);
   const args = process.argv.slice(2);
   const options = {};
+  let recheck = false;
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--days' && args[i + 1]) options.days = parseInt(args[++i]);
     if (args[i] === '--since' && args[i + 1]) options.since = args[++i];
+    if (args[i] === '--until' && args[i + 1]) options.until = args[++i];
     if (args[i] === '--limit' && args[i + 1]) options.limit = parseInt(args[++i]);
+    if (args[i] === '--classification' && args[i + 1]) options.classification = args[++i];
+    if (args[i] === '--state' && args[i + 1]) options.state = args[++i].toUpperCase();
+    if (args[i] === '--firm' && args[i + 1]) options.firm = args[++i];
+    if (args[i] === '--reason' && args[i + 1]) options.reason = args[++i];
+    if (args[i] === '--date' && args[i + 1]) options.today = args[++i];
+    if (args[i] === '--recheck') recheck = true;
   }
 
-  fetchFDARecalls(options)
+  const run = recheck
+    ? recheckFDARecalls(openHistory('media', { today: options.today }).entries(), options)
+    : fetchFDARecalls(options);
+
+  run
     .then(items => console.log(JSON.stringify(items, null, 2)))
     .catch(err => {
       console.error(err.message);
@@ -180,4 +268,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { fetchFDARecalls };
+module.exports = { fetchFDARecalls, recheckFDARecalls, buildSearch };
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Tool: Fetch articles from Food Safety Magazine RSS feeds (multiple topics)
- * Usage: node fetch_food_safety_magazine.js [--days N] [--since YYYY-MM-DD] [--topics 305,306,...]
+ * Usage: node fetch_food_safety_magazine.js [--days N] [--since YYYY-MM-DD] [--topics 305,306,...] [--record <dir> | --replay <dir>]
  * Returns: JSON array of standardized media items to stdout
  * 
  * Topic IDs:
@@ -13,8 +13,10 @@
  *   313 = Physical
  */
 
-const https = require('https');
+const { fetchText, useCassettesFromArgs } = require('./http_client');
 const { parseString } = require('xml2js');
+const { detectHazards, recallCategory } = require('./hazards');
+const { mediaFields } = require('./extract_entities');
 
 const DEFAULT_TOPICS = {
   305: 'Recall',
@@ -34,25 +36,6 @@ const TOPIC_NAMES = {
   313: 'Physical'
 };
 
-const PATHOGENS = [
-  'salmonella', 'e. coli', 'e.coli', 'escherichia coli', 'listeria',
-  'campylobacter', 'norovirus', 'clostridium', 'botulism', 'vibrio',
-  'staphylococcus', 'shigella', 'hepatitis a', 'cyclospora', 'cronobacter',
-  'bacillus cereus', 'yersinia'
-];
-
-function extractPathogen(text) {
-  if (!text) return null;
-  const lower = text.toLowerCase();
-  for (const p of PATHOGENS) {
-    if (lower.includes(p)) {
-      if (p === 'e. coli' || p === 'e.coli' || p === 'escherichia coli') return 'E. coli';
-      return p.charAt(0).toUpperCase() + p.slice(1);
-    }
-  }
-  return null;
-}
-
 function determineSeverity(title, description) {
   const text = `${title} ${description}`.toLowerCase();
   if (text.includes('death') || text.includes('died') || text.includes('fatal') || text.includes('class i')) return 'high';
@@ -75,27 +58,6 @@ function stripHtml(html) {
     .trim();
 }
 
-function fetchRSS(url) {
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, {
-      headers: { 'User-Agent': 'ResearchAgent/1.0' },
-      timeout: 15000
-    }, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(data);
-        } else {
-          reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error(`Timeout for ${url}`)); });
-  });
-}
-
 function parseRSSFeed(xml) {
   return new Promise((resolve, reject) => {
     parseString(xml, { explicitArray: false, trim: true }, (err, result) => {
@@ -124,7 +86,7 @@ async function fetchFoodSafetyMagazine(options = {}) {
     const topicName = TOPIC_NAMES[topicId] || `Topic ${topicId}`;
 
     try {
-      const xml = await fetchRSS(url);
+      const xml = await fetchText(url, { source: 'Food Safety Magazine' });
       const items = await parseRSSFeed(xml);
 
       for (const item of items) {
@@ -137,6 +99,8 @@ async function fetchFoodSafetyMagazine(options = {}) {
 
         const title = stripHtml(item.title || '');
         const description = stripHtml(item.description || '');
+        const fields = mediaFields(`${title} ${description}`);
+        const hazards = detectHazards(`${title} ${description}`, fields.pathogen);
 
         allArticles.push({
           source_type: 'media',
@@ -145,10 +109,11 @@ async function fetchFoodSafetyMagazine(options = {}) {
           title,
           summary: description,
           date: pubDate.toISOString().split('T')[0],
-          category: categoryDefault,
+          category: recallCategory(categoryDefault, hazards.hazard_type),
           severity: determineSeverity(title, description),
-          pathogen: extractPathogen(`${title} ${description}`),
-          product: null,
+          ...fields,
+          ...hazards,
+          product: fields.entities.product?.value || null,
           states: null,
           tags: [topicName],
           _dedup_key: title.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 60)
@@ -169,6 +134,7 @@ async function fetchFoodSafetyMagazine(options = {}) {
 
 // CLI usage
 if (require.main === module) {
+  useCassettesFromArgs(process.argv);
   const args = process.argv.slice(2);
   const options = {};
 
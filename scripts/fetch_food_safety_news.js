@@ -1,36 +1,17 @@
 #!/usr/bin/env node
 /**
  * Tool: Fetch articles from Food Safety News RSS feed
- * Usage: node fetch_food_safety_news.js [--days N] [--since YYYY-MM-DD]
+ * Usage: node fetch_food_safety_news.js [--days N] [--since YYYY-MM-DD] [--record <dir> | --replay <dir>]
  * Returns: JSON array of standardized media items to stdout
  */
 
-const https = require('https');
+const { fetchText, useCassettesFromArgs } = require('./http_client');
 const { parseString } = require('xml2js');
+const { detectHazards, recallCategory } = require('./hazards');
+const { mediaFields } = require('./extract_entities');
 
 const RSS_URL = 'https://www.foodsafetynews.com/rss/';
 
-// Common pathogens for extraction
-const PATHOGENS = [
-  'salmonella', 'e. coli', 'e.coli', 'escherichia coli', 'listeria',
-  'campylobacter', 'norovirus', 'clostridium', 'botulism', 'vibrio',
-  'staphylococcus', 'shigella', 'hepatitis a', 'cyclospora', 'cronobacter',
-  'bacillus cereus', 'yersinia'
-];
-
-function extractPathogen(text) {
-  if (!text) return null;
-  const lower = text.toLowerCase();
-  for (const p of PATHOGENS) {
-    if (lower.includes(p)) {
-      // Normalize the name
-      if (p === 'e. coli' || p === 'e.coli' || p === 'escherichia coli') return 'E. coli';
-      return p.charAt(0).toUpperCase() + p.slice(1);
-    }
-  }
-  return null;
-}
-
 function categorizeArticle(title, description, categories) {
   const text = `${title} ${description} ${(categories || []).join(' ')}`.toLowerCase();
   if (text.includes('recall') || text.includes('recalled')) return 'Recall';
@@ -63,22 +44,6 @@ function stripHtml(html) {
     .trim();
 }
 
-function fetchRSS(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { 'User-Agent': 'ResearchAgent/1.0' } }, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(data);
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}`));
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
 async function fetchFoodSafetyNews(options = {}) {
   const { days = 7, since = null } = options;
 
@@ -87,7 +52,7 @@ async function fetchFoodSafetyNews(options = {}) {
     : new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
   try {
-    const xml = await fetchRSS(RSS_URL);
+    const xml = await fetchText(RSS_URL, { source: 'Food Safety News' });
 
     return new Promise((resolve, reject) => {
       parseString(xml, { explicitArray: false, trim: true }, (err, result) => {
@@ -107,6 +72,8 @@ async function fetchFoodSafetyNews(options = {}) {
               ? (Array.isArray(item.category) ? item.category : [item.category])
               : [];
             const category = categorizeArticle(title, description, categories);
+            const fields = mediaFields(`${title} ${description}`);
+            const hazards = detectHazards(`${title} ${description}`, fields.pathogen);
 
             return {
               source_type: 'media',
@@ -115,10 +82,11 @@ async function fetchFoodSafetyNews(options = {}) {
               title,
               summary: description,
               date: pubDate.toISOString().split('T')[0],
-              category,
+              category: recallCategory(category, hazards.hazard_type),
               severity: determineSeverity(title, description, category),
-              pathogen: extractPathogen(`${title} ${description}`),
-              product: null,
+              ...fields,
+              ...hazards,
+              product: fields.entities.product?.value || null,
               states: null,
               tags: categories,
               _dedup_key: title.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 60)
@@ -137,6 +105,7 @@ async function fetchFoodSafetyNews(options = {}) {
 
 // CLI usage
 if (require.main === module) {
+  useCassettesFromArgs(process.argv);
   const args = process.argv.slice(2);
   const options = {};
 
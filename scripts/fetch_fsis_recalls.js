@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Tool: Fetch USDA FSIS meat/poultry/egg recalls
- * Usage: node fetch_fsis_recalls.js [--days N] [--since YYYY-MM-DD]
+ * Usage: node fetch_fsis_recalls.js [--days N] [--since YYYY-MM-DD] [--record <dir> | --replay <dir>]
  * Returns: JSON array of standardized media items to stdout
  *
  * Strategy:
@@ -11,15 +11,10 @@
  * 3. Fallback: Return empty array with warning
  */
 
-const https = require('https');
-const http = require('http');
+const { fetchJSON, fetchText, useCassettesFromArgs } = require('./http_client');
 const { parseString } = require('xml2js');
-
-const PATHOGENS = [
-  'salmonella', 'e. coli', 'e.coli', 'escherichia coli', 'listeria',
-  'campylobacter', 'norovirus', 'clostridium', 'botulism', 'vibrio',
-  'staphylococcus', 'shigella', 'hepatitis a', 'cyclospora', 'cronobacter'
-];
+const { detectHazards, recallCategory } = require('./hazards');
+const { mediaFields } = require('./extract_entities');
 
 const FSIS_PRODUCTS = [
   'meat', 'beef', 'pork', 'chicken', 'turkey', 'poultry', 'egg',
@@ -28,18 +23,6 @@ const FSIS_PRODUCTS = [
   'duck', 'goose', 'bison', 'venison', 'rabbit'
 ];
 
-function extractPathogen(text) {
-  if (!text) return null;
-  const lower = text.toLowerCase();
-  for (const p of PATHOGENS) {
-    if (lower.includes(p)) {
-      if (p === 'e. coli' || p === 'e.coli' || p === 'escherichia coli') return 'E. coli';
-      return p.charAt(0).toUpperCase() + p.slice(1);
-    }
-  }
-  return null;
-}
-
 function extractStates(text) {
   if (!text) return null;
   const statePattern = /\b(AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|DC)\b/g;
@@ -66,34 +49,11 @@ function classificationToSeverity(classification) {
   return 'medium';
 }
 
-function fetchURL(url, timeoutMs = 15000) {
-  const mod = url.startsWith('https') ? https : http;
-  return new Promise((resolve, reject) => {
-    const req = mod.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-      },
-      timeout: timeoutMs
-    }, (res) => {
-      // Follow redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchURL(res.headers.location, timeoutMs).then(resolve).catch(reject);
-      }
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(data);
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}`));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
-  });
-}
+const BROWSER_OPTIONS = {
+  source: 'FSIS',
+  userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  headers: { 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' }
+};
 
 /**
  * Strategy 1: Try scraping FSIS recalls page
@@ -102,7 +62,7 @@ function fetchURL(url, timeoutMs = 15000) {
  */
 async function tryScrapeFSIS(cutoffDate) {
   try {
-    const html = await fetchURL('https://www.fsis.usda.gov/recalls-alerts');
+    const html = await fetchText('https://www.fsis.usda.gov/recalls-alerts', BROWSER_OPTIONS);
 
     // Look for embedded JSON data (Drupal often embeds data in script tags)
     const jsonMatch = html.match(/drupalSettings["\s]*[:,=]\s*({[\s\S]*?})\s*[;<]/);
@@ -129,6 +89,8 @@ async function tryScrapeFSIS(cutoffDate) {
           const recallDate = new Date(dateMatch[1]);
           if (recallDate >= cutoffDate) {
             const title = linkMatch[2].replace(/<[^>]*>/g, '').trim();
+            const fields = mediaFields(title);
+            const hazards = detectHazards(title, fields.pathogen);
             const url = linkMatch[1].startsWith('http')
               ? linkMatch[1]
               : `https://www.fsis.usda.gov${linkMatch[1]}`;
@@ -140,10 +102,11 @@ async function tryScrapeFSIS(cutoffDate) {
               title,
               summary: title,
               date: recallDate.toISOString().split('T')[0],
-              category: 'Recall',
+              category: recallCategory('Recall', hazards.hazard_type),
               severity: 'medium',
-              pathogen: extractPathogen(title),
-              product: null,
+              ...fields,
+              ...hazards,
+              product: fields.entities.product?.value || null,
               states: null,
               _dedup_key: title.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 60)
             });
@@ -171,8 +134,7 @@ async function tryOpenFDAFallback(cutoffDate, limit = 100) {
   const url = `https://api.fda.gov/food/enforcement.json?search=report_date:[${fromDate}+TO+${toDate}]&limit=${limit}&sort=report_date:desc`;
 
   try {
-    const data = await fetchURL(url);
-    const response = JSON.parse(data);
+    const response = await fetchJSON(url, { source: 'FSIS' });
     const results = response.results || [];
 
     // Filter for FSIS-regulated products (meat, poultry, eggs)
@@ -183,6 +145,8 @@ async function tryOpenFDAFallback(cutoffDate, limit = 100) {
         const product = recall.product_description?.split(';')[0]?.split(',')[0]?.trim() || 'Unknown Product';
         const reason = recall.reason_for_recall || '';
         const firm = recall.recalling_firm || 'Unknown Firm';
+        const fields = mediaFields(reason);
+        const hazards = detectHazards(reason, fields.pathogen);
 
         return {
           source_type: 'media',
@@ -194,9 +158,10 @@ async function tryOpenFDAFallback(cutoffDate, limit = 100) {
           title: `${firm} Recalls ${product.substring(0, 80)} (${recall.classification || 'Unclassified'})`,
           summary: `${reason} | Distribution: ${recall.distribution_pattern || 'Unknown'}`,
           date: reportDate || new Date().toISOString().split('T')[0],
-          category: 'Recall',
+          category: recallCategory('Recall', hazards.hazard_type),
           severity: classificationToSeverity(recall.classification),
-          pathogen: extractPathogen(reason),
+          ...fields,
+          ...hazards,
           product: product.substring(0, 100),
           states: extractStates(recall.distribution_pattern),
           recall_number: recall.recall_number,
@@ -206,7 +171,7 @@ async function tryOpenFDAFallback(cutoffDate, limit = 100) {
         };
       });
   } catch (err) {
-    if (err.message.includes('404')) {
+    if (err.status === 404) {
       console.error('[FSIS] No FDA recalls found for date range');
       return [];
     }
@@ -238,6 +203,7 @@ async function fetchFSISRecalls(options = {}) {
 
 // CLI usage
 if (require.main === module) {
+  useCassettesFromArgs(process.argv);
   const args = process.argv.slice(2);
   const options = {};
 
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Tool: Find repositories in our domain with the GitHub search API
+ * Usage: node fetch_github_search.js <date> <keywords> [--topics food-safety,food-science]
+ *        [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N] [--record <dir> | --replay <dir>]
+ * Returns: JSON array of repositories (same shape as fetch_github_trending.js), fastest growing first
+ *
+ * Searches repos pushed in the window whose name, description or topics mention a keyword
+ * (up to 5 keywords OR-ed per query), plus one query per GitHub topic. Repos are ranked by
+ * recent star growth (starsPerDay):
+ *   - created in the last 30 days: stars per day since creation (all of its stars are recent)
+ *   - older: stars gained since the star-history snapshot (star_history.js) nearest before the
+ *     window, per day
+ *   - older without a snapshot: null, ranked after the rest by stars; a lifetime average
+ *     would put any big old repo on top
+ *
+ * The search API allows 10 requests/minute without a token and 30 with one (GITHUB_TOKEN),
+ * so queries are spaced 6s or 2s apart.
+ */
+
+const { fetchJSON, useCassettesFromArgs } = require('./http_client');
+const { openStarHistory } = require('./star_history');
+
+const API_URL = 'https://api.github.com/search/repositories';
+const KEYWORDS_PER_QUERY = 5; // GitHub allows at most five AND/OR/NOT operators
+const PER_PAGE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NEW_REPO_DAYS = 30;
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+function buildQueries(keywords, topics, since, until) {
+    const window = `pushed:${since}..${until}`;
+    const queries = [];
+
+    for (let i = 0; i < keywords.length; i += KEYWORDS_PER_QUERY) {
+        const terms = keywords.slice(i, i + KEYWORDS_PER_QUERY).map(k => (/\s/.test(k) ? `"${k}"` : k));
+        const group = terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0];
+        queries.push(`${group} in:name,description,topics ${window}`);
+    }
+    for (const topic of topics) {
+        queries.push(`topic:${topic} ${window}`);
+    }
+
+    return queries;
+}
+
+/**
+ * options: topics, since/until (default: date), maxResults, token, delayMs,
+ *          starSnapshots (id -> [{ date, stars }], e.g. a star-history store's history())
+ */
+async function fetchGitHubSearch(date, keywords, options = {}) {
+    const {
+        topics = [],
+        since = date,
+        until = date,
+        maxResults = 10,
+        token = process.env.GITHUB_TOKEN || null,
+        delayMs = token ? 2000 : 6000,
+        starSnapshots = () => []
+    } = options;
+
+    const headers = { 'Accept': 'application/vnd.github+json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const repos = new Map();
+    const queries = buildQueries(keywords, topics, since, until);
+
+    for (const [i, query] of queries.entries()) {
+        if (i > 0) await sleep(delayMs);
+        const url = `${API_URL}?q=${encodeURIComponent(query)}&sort=stars&order=desc&per_page=${PER_PAGE}`;
+        const response = await fetchJSON(url, { source: 'GitHub Search', headers });
+
+        for (const item of response.items || []) {
+            const repo = mapRepo(item, { since, until, snapshots: starSnapshots(item.full_name.toLowerCase()) });
+            const existing = repos.get(repo.id);
+            if (existing) existing.matchedQueries.push(query);
+            else repos.set(repo.id, { ...repo, matchedQueries: [query] });
+        }
+    }
+
+    return [...repos.values()]
+        .sort((a, b) => ((b.starsPerDay ?? -Infinity) - (a.starsPerDay ?? -Infinity)) || (b.stars - a.stars))
+        .slice(0, maxResults);
+}
+
+/**
+ * Stars per day over the recent past, or null when only a lifetime average is known
+ */
+function recentStarsPerDay(stars, createdAt, { since, until, snapshots = [] }) {
+    const end = Date.parse(`${until}T23:59:59Z`);
+    const ageDays = Math.max(1, (end - Date.parse(createdAt)) / DAY_MS);
+    if (ageDays <= NEW_REPO_DAYS) return stars / ageDays;
+
+    // The snapshot nearest before the window, else the oldest one inside it
+    const past = snapshots.filter(s => s.date < until);
+    const baseline = past.filter(s => s.date <= since).pop() || past[0];
+    if (!baseline) return null;
+    return (stars - baseline.stars) / Math.max(1, (end - Date.parse(`${baseline.date}T23:59:59Z`)) / DAY_MS);
+}
+
+function mapRepo(item, window) {
+    const stars = item.stargazers_count || 0;
+    const perDay = recentStarsPerDay(stars, item.created_at, window);
+
+    return {
+        source: 'GitHub-Search',
+        id: item.full_name.toLowerCase(),
+        name: item.full_name,
+        description: item.description || '',
+        url: item.html_url,
+        stars,
+        forks: item.forks_count || 0,
+        starsToday: null,
+        starsInPeriod: null,
+        since: null,
+        starsPerDay: perDay === null ? null : Math.round(perDay * 100) / 100,
+        language: item.language || null,
+        builtBy: [],
+        owner: { name: item.owner?.login || item.full_name.split('/')[0], url: item.owner?.html_url || null },
+        topics: item.topics || [],
+        createdAt: item.created_at || null,
+        updatedAt: item.pushed_at || item.updated_at || null
+    };
+}
+
+// CLI usage
+if (require.main === module) {
+    useCassettesFromArgs(process.argv);
+    const args = process.argv.slice(2);
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--topics' && args[i + 1]) options.topics = args[++i].split(',');
+        else if (args[i] === '--since' && args[i + 1]) options.since = args[++i];
+        else if (args[i] === '--until' && args[i + 1]) options.until = args[++i];
+        else if (args[i] === '--max' && args[i + 1]) options.maxResults = parseInt(args[++i]);
+        else positional.push(args[i]);
+    }
+
+    const date = positional[0];
+    const keywords = positional[1]?.split(',') || [];
+
+    if (!date || (keywords.length === 0 && !options.topics)) {
+        console.error('Usage: node fetch_github_search.js <date> <keyword1,keyword2,...> [--topics t1,t2] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N]');
+        process.exit(1);
+    }
+
+    const stars = openStarHistory();
+    fetchGitHubSearch(date, keywords, { ...options, starSnapshots: id => stars.history(id) })
+        .then(repos => console.log(JSON.stringify(repos, null, 2)))
+        .catch(err => {
+            console.error(err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { fetchGitHubSearch, buildQueries };
@@ -1,101 +1,222 @@
 #!/usr/bin/env node
 /**
  * Tool: Scrape GitHub trending page
- * Usage: node fetch_github_trending_scrape.js [limit] [language]
- * Returns: JSON array of repositories
+ * Usage: node fetch_github_trending.js [limit] [language] [--since daily|weekly|monthly] [--spoken en]
+ *        [--topics] [--developers] [--record <dir> | --replay <dir>]
+ * Returns: JSON array of repositories (or developers with --developers)
+ *
+ * Repositories come from github.com/trending[/<language>]; --topics looks each one up in the
+ * GitHub API for topics and created/updated dates (set GITHUB_TOKEN for the higher rate limit).
+ * Developers come from github.com/trending/developers[/<language>].
  */
 
-const https = require('https');
+const { fetchText, fetchJSON, useCassettesFromArgs } = require('./http_client');
 
-async function fetchGitHubTrending(limit = 25, language = '') {
-    const path = language ? `/trending/${language}` : '/trending';
-    const options = {
-        hostname: 'github.com',
-        path: path,
-        headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; daily-debrief-bot)',
-            'Accept': 'text/html'
-        }
-    };
-    
-    return new Promise((resolve, reject) => {
-        https.get(options, (res) => {
-            let html = '';
-            res.on('data', (chunk) => html += chunk);
-            res.on('end', () => {
-                if (res.statusCode === 200) {
-                    try {
-                        const repos = parseGitHubTrendingHTML(html, limit);
-                        resolve(repos);
-                    } catch (err) {
-                        reject(new Error(`Failed to parse GitHub trending: ${err.message}`));
-                    }
-                } else {
-                    reject(new Error(`GitHub returned status ${res.statusCode}`));
-                }
-            });
-        }).on('error', reject);
+const PERIODS = { daily: 'today', weekly: 'this week', monthly: 'this month' };
+
+function trendingUrl(page, language, { since = 'daily', spokenLanguage = '' } = {}) {
+    if (!PERIODS[since]) throw new Error(`since must be one of: ${Object.keys(PERIODS).join(', ')}`);
+
+    const params = new URLSearchParams();
+    if (since !== 'daily') params.set('since', since);
+    if (spokenLanguage) params.set('spoken_language_code', spokenLanguage);
+    const query = params.toString();
+    return `https://github.com${page}${language ? `/${encodeURIComponent(language)}` : ''}${query ? `?${query}` : ''}`;
+}
+
+function fetchTrendingPage(url) {
+    return fetchText(url, {
+        source: 'GitHub',
+        userAgent: 'Mozilla/5.0 (compatible; daily-debrief-bot)',
+        headers: { 'Accept': 'text/html' }
     });
 }
 
-function parseGitHubTrendingHTML(html, limit) {
+/**
+ * options: since (daily|weekly|monthly), spokenLanguage (ISO 639-1 code, e.g. "en"),
+ *          topics (look up topics and dates in the GitHub API), token
+ */
+async function fetchGitHubTrending(limit = 25, language = '', options = {}) {
+    const { since = 'daily', topics = false, token = process.env.GITHUB_TOKEN || null } = options;
+    const html = await fetchTrendingPage(trendingUrl('/trending', language, options));
+
+    let repos;
+    try {
+        repos = parseGitHubTrendingHTML(html, limit, since);
+    } catch (err) {
+        throw new Error(`Failed to parse GitHub trending: ${err.message}`);
+    }
+
+    return topics ? addRepoDetails(repos, token) : repos;
+}
+
+async function fetchGitHubTrendingDevelopers(limit = 25, language = '', options = {}) {
+    const html = await fetchTrendingPage(trendingUrl('/trending/developers', language, options));
+
+    try {
+        return parseGitHubTrendingDevelopersHTML(html, limit);
+    } catch (err) {
+        throw new Error(`Failed to parse GitHub trending developers: ${err.message}`);
+    }
+}
+
+function parseCount(value) {
+    return value ? parseInt(value.replace(/,/g, '')) : 0;
+}
+
+function stripTags(html) {
+    return html.replace(/<[^>]+>/g, '').replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+}
+
+function parseGitHubTrendingHTML(html, limit, since = 'daily') {
     const repos = [];
-    
+
     // GitHub trending uses specific HTML structure
     // Each repo is in an article with class "Box-row"
     const articleRegex = /<article[^>]*class="[^"]*Box-row[^"]*"[^>]*>([\s\S]*?)<\/article>/g;
-    
+
     let match;
     while ((match = articleRegex.exec(html)) !== null && repos.length < limit) {
         const article = match[1];
-        
+
         // Extract repo name
         const nameMatch = article.match(/<h2[^>]*>[\s\S]*?<a[^>]*href="\/([^"]+)"[^>]*>([\s\S]*?)<\/a>/);
         if (!nameMatch) continue;
-        
+
         const fullName = nameMatch[1];
-        
+        const [owner] = fullName.split('/');
+
         // Extract description
         const descMatch = article.match(/<p[^>]*class="[^"]*col-9[^"]*"[^>]*>([\s\S]*?)<\/p>/);
-        const description = descMatch ? descMatch[1].replace(/<[^>]+>/g, '').trim() : '';
-        
+        const description = descMatch ? stripTags(descMatch[1]) : '';
+
         // Extract language
         const langMatch = article.match(/itemprop="programmingLanguage">([^<]+)</);
         const language = langMatch ? langMatch[1].trim() : null;
-        
-        // Extract stars today
-        const starsMatch = article.match(/<svg[^>]*octicon-star[^>]*>[\s\S]*?<\/svg>\s*([\d,]+)/);
-        const starsToday = starsMatch ? parseInt(starsMatch[1].replace(/,/g, '')) : 0;
-        
-        // Extract total stars from the star count span
-        const totalStarsMatch = article.match(/aria-label="(\d[\d,]*)\s+stars?"/);
-        const totalStars = totalStarsMatch ? parseInt(totalStarsMatch[1].replace(/,/g, '')) : starsToday;
-        
+
+        // Total stars and forks are the counts after the stargazers and forks links' icons
+        const totalStarsMatch = article.match(/href="\/[^"]+\/stargazers"[^>]*>[\s\S]*?<\/svg>\s*([\d,]+)/);
+        const forksMatch = article.match(/href="\/[^"]+\/(?:forks|network\/members)[^"]*"[^>]*>[\s\S]*?<\/svg>\s*([\d,]+)/);
+
+        // "321 stars today" / "1,234 stars this week" / "5,678 stars this month"
+        const periodMatch = article.match(/([\d,]+)\s+stars?\s+(?:today|this week|this month)/);
+        const starsInPeriod = periodMatch ? parseCount(periodMatch[1]) : 0;
+
+        // "Built by" avatars link to the contributors' profiles
+        const builtBy = [...article.matchAll(/<img[^>]*class="[^"]*avatar[^"]*"[^>]*alt="@([^"]+)"/g)].map(m => m[1]);
+
         repos.push({
             source: 'GitHub-Trending',
+            id: fullName.toLowerCase(),
             name: fullName,
             description: description,
             url: `https://github.com/${fullName}`,
-            stars: totalStars,
-            starsToday: starsToday,
-            language: language
+            stars: parseCount(totalStarsMatch?.[1]),
+            forks: parseCount(forksMatch?.[1]),
+            starsToday: since === 'daily' ? starsInPeriod : null,
+            starsInPeriod,
+            since,
+            language: language,
+            builtBy,
+            owner: { name: owner, url: `https://github.com/${owner}` }
         });
     }
-    
+
     return repos;
 }
 
+function parseGitHubTrendingDevelopersHTML(html, limit) {
+    const developers = [];
+    const articleRegex = /<article[^>]*class="[^"]*Box-row[^"]*"[^>]*id="pa-([^"]+)"[^>]*>([\s\S]*?)<\/article>/g;
+
+    let match;
+    while ((match = articleRegex.exec(html)) !== null && developers.length < limit) {
+        const [, login, article] = match;
+
+        const nameMatch = article.match(/<h1[^>]*class="[^"]*h3[^"]*"[^>]*>\s*<a[^>]*>([\s\S]*?)<\/a>/);
+        const avatarMatch = article.match(/<img[^>]*class="[^"]*avatar[^"]*"[^>]*src="([^"]+)"/);
+
+        // The "Popular repo" block, when the developer has one
+        const repoMatch = article.match(/<h1[^>]*class="[^"]*h4[^"]*"[^>]*>\s*<a[^>]*href="\/([^"]+)"/);
+        const repoDescMatch = article.match(/<div[^>]*class="[^"]*f6 color-fg-muted mt-1[^"]*"[^>]*>([\s\S]*?)<\/div>/);
+
+        developers.push({
+            source: 'GitHub-Trending',
+            type: 'developer',
+            id: login.toLowerCase(),
+            login,
+            name: nameMatch ? stripTags(nameMatch[1]) : login,
+            url: `https://github.com/${login}`,
+            avatarUrl: avatarMatch ? avatarMatch[1].replace(/&amp;/g, '&') : null,
+            popularRepo: repoMatch ? {
+                name: repoMatch[1],
+                description: repoDescMatch ? stripTags(repoDescMatch[1]) : '',
+                url: `https://github.com/${repoMatch[1]}`
+            } : null
+        });
+    }
+
+    return developers;
+}
+
+/**
+ * Topics and created/updated dates from the GitHub API; a failed lookup leaves the repo as scraped
+ */
+async function addRepoDetails(repos, token) {
+    const headers = { 'Accept': 'application/vnd.github+json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const detailed = [];
+    for (const repo of repos) {
+        try {
+            const details = await fetchJSON(`https://api.github.com/repos/${repo.name}`, { source: 'GitHub API', headers });
+            detailed.push({
+                ...repo,
+                topics: details.topics || [],
+                createdAt: details.created_at || null,
+                updatedAt: details.pushed_at || details.updated_at || null
+            });
+        } catch (err) {
+            console.error(`[GitHub] No details for ${repo.name}: ${err.message}`);
+            detailed.push(repo);
+        }
+    }
+    return detailed;
+}
+
 // CLI usage
 if (require.main === module) {
-    const limit = parseInt(process.argv[2]) || 25;
-    const language = process.argv[3] || '';
-    
-    fetchGitHubTrending(limit, language)
-        .then(repos => console.log(JSON.stringify(repos, null, 2)))
+    useCassettesFromArgs(process.argv);
+    const args = process.argv.slice(2);
+    const positional = [];
+    const options = {};
+    let developers = false;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--since' && args[i + 1]) options.since = args[++i];
+        else if (args[i] === '--spoken' && args[i + 1]) options.spokenLanguage = args[++i];
+        else if (args[i] === '--topics') options.topics = true;
+        else if (args[i] === '--developers') developers = true;
+        else positional.push(args[i]);
+    }
+
+    const limit = parseInt(positional[0]) || 25;
+    const language = positional[1] || '';
+    const run = developers
+        ? fetchGitHubTrendingDevelopers(limit, language, options)
+        : fetchGitHubTrending(limit, language, options);
+
+    run
+        .then(items => console.log(JSON.stringify(items, null, 2)))
         .catch(err => {
             console.error(err.message);
             process.exit(1);
         });
 }
 
-module.exports = { fetchGitHubTrending };
+module.exports = {
+    fetchGitHubTrending,
+    fetchGitHubTrendingDevelopers,
+    parseGitHubTrendingHTML,
+    parseGitHubTrendingDevelopersHTML
+};
@@ -2,6 +2,7 @@
 /**
  * Tool: Fetch and merge all media sources for the daily research debrief
  * Usage: node fetch_media_sources.js [--days N] [--since YYYY-MM-DD] [--sources all|fsn,fsm,fda,fsis,cdc]
+ *        [--record <dir> | --replay <dir>]
  * Returns: Unified JSON array of deduplicated, merged media items to stdout
  *
  * Sources:
@@ -17,6 +18,7 @@ const { fetchFoodSafetyMagazine } = require('./fetch_food_safety_magazine');
 const { fetchFDARecalls } = require('./fetch_fda_recalls');
 const { fetchFSISRecalls } = require('./fetch_fsis_recalls');
 const { fetchCDCOutbreaks } = require('./fetch_cdc_outbreaks');
+const { useCassettesFromArgs } = require('./http_client');
 
 // ─── Similarity & Dedup Helpers ──────────────────────────────
 
@@ -89,8 +91,18 @@ function mergeItems(primary, secondary) {
   if (!merged.states && secondary.states) merged.states = secondary.states;
   if (!merged.recall_number && secondary.recall_number) merged.recall_number = secondary.recall_number;
   if (!merged.classification && secondary.classification) merged.classification = secondary.classification;
+  if (!merged.serotype && secondary.serotype) merged.serotype = secondary.serotype;
   if (!merged.case_count && secondary.case_count) merged.case_count = secondary.case_count;
+  if (merged.hospitalizations == null && secondary.hospitalizations != null) merged.hospitalizations = secondary.hospitalizations;
+  if (merged.deaths == null && secondary.deaths != null) merged.deaths = secondary.deaths;
+  if (!merged.states_count && secondary.states_count) merged.states_count = secondary.states_count;
   if (!merged.recalling_firm && secondary.recalling_firm) merged.recalling_firm = secondary.recalling_firm;
+  if (!merged.hazard_type && secondary.hazard_type) merged.hazard_type = secondary.hazard_type;
+
+  // Merge allergens
+  if (secondary.allergens && secondary.allergens.length) {
+    merged.allergens = [...new Set([...(merged.allergens || []), ...secondary.allergens])];
+  }
 
   // Use the longer/richer summary
   if (secondary.summary && secondary.summary.length > (merged.summary || '').length) {
@@ -139,11 +151,15 @@ function deduplicateAndMerge(items) {
 
 // ─── Main Fetch ──────────────────────────────────────────────
 
+/**
+ * options: days, since, enabledSources, fda (openFDA filters, see fetch_fda_recalls.js)
+ */
 async function fetchAllMediaSources(options = {}) {
   const {
     days = 1,
     since = null,
-    enabledSources = ['fsn', 'fsm', 'fda', 'fsis', 'cdc']
+    enabledSources = ['fsn', 'fsm', 'fda', 'fsis', 'cdc'],
+    fda = {}
   } = options;
 
   const fetchOptions = { days, since };
@@ -151,7 +167,7 @@ async function fetchAllMediaSources(options = {}) {
 
   if (enabledSources.includes('fsn')) fetchers.fsn = fetchFoodSafetyNews(fetchOptions);
   if (enabledSources.includes('fsm')) fetchers.fsm = fetchFoodSafetyMagazine(fetchOptions);
-  if (enabledSources.includes('fda')) fetchers.fda = fetchFDARecalls(fetchOptions);
+  if (enabledSources.includes('fda')) fetchers.fda = fetchFDARecalls({ ...fetchOptions, ...fda });
   if (enabledSources.includes('fsis')) fetchers.fsis = fetchFSISRecalls(fetchOptions);
   if (enabledSources.includes('cdc')) fetchers.cdc = fetchCDCOutbreaks(fetchOptions);
 
@@ -201,6 +217,7 @@ async function fetchAllMediaSources(options = {}) {
 // ─── CLI ──────────────────────────────────────────────────────
 
 if (require.main === module) {
+  useCassettesFromArgs(process.argv);
   const args = process.argv.slice(2);
   const options = {};
 
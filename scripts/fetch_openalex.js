@@ -1,47 +1,106 @@
 #!/usr/bin/env node
 /**
  * Tool: Fetch papers from OpenAlex API
- * Usage: node fetch_openalex.js <date> <keywords> [perPage]
+ * Usage: node fetch_openalex.js <date> <keywords> [perPage] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N]
+ *        [--mailto you@example.com] [--concepts C1,C2] [--topics T1,T2] [--type article] [--language en] [--oa]
+ *        [--record <dir> | --replay <dir>]
  * Returns: JSON array of papers
+ *
+ * Pages with OpenAlex cursors until --max papers (default 200) or the last page.
+ * The window defaults to just <date>; --since/--until widen it (e.g. a weekly catch-up).
+ * --mailto (or OPENALEX_MAILTO) puts requests in the polite pool.
  */
 
-const https = require('https');
-
-async function fetchOpenAlex(date, keywords, perPage = 50) {
-    const domainKeywords = keywords.map(k => `"${k}"`).join('|');
-    const filterParam = `publication_date:${date},default.search:${encodeURIComponent(domainKeywords)}`;
-    const url = `https://api.openalex.org/works?filter=${filterParam}&per-page=${perPage}&select=title,doi,id,abstract_inverted_index,primary_location,concepts,cited_by_count,publication_date,open_access,authorships`;
-    
-    return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', (chunk) => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode === 200) {
-                    const response = JSON.parse(data);
-                    const papers = response.results.map(p => ({
-                        source: 'OpenAlex',
-                        id: p.id,
-                        doi: p.doi,
-                        title: p.title,
-                        abstract: reconstructAbstract(p.abstract_inverted_index),
-                        authors: p.authorships?.map(a => ({
-                            name: a.author?.display_name,
-                            id: a.author?.id
-                        })) || [],
-                        venue: p.primary_location?.source?.display_name,
-                        citationCount: p.cited_by_count || 0,
-                        publicationDate: p.publication_date,
-                        openAccess: p.open_access?.is_oa || false,
-                        url: p.doi ? `https://doi.org/${p.doi}` : p.id
-                    }));
-                    resolve(papers);
-                } else {
-                    reject(new Error(`OpenAlex API error: ${res.statusCode}`));
-                }
-            });
-        }).on('error', reject);
-    });
+const { fetchJSON, useCassettesFromArgs } = require('./http_client');
+
+const SELECT_FIELDS = [
+    'title', 'doi', 'id', 'abstract_inverted_index', 'primary_location', 'best_oa_location',
+    'concepts', 'topics', 'cited_by_count', 'referenced_works_count', 'publication_date',
+    'open_access', 'authorships', 'type', 'language'
+].join(',');
+
+/**
+ * Structured filters -> OpenAlex filter clauses (values inside one clause are OR'd)
+ */
+function buildFilters({ concepts = [], topics = [], type = null, language = null, isOa = null } = {}) {
+    const clauses = [];
+    if (concepts.length) clauses.push(`concepts.id:${concepts.join('|')}`);
+    if (topics.length) clauses.push(`topics.id:${topics.join('|')}`);
+    if (type) clauses.push(`type:${type}`);
+    if (language) clauses.push(`language:${language}`);
+    if (isOa !== null && isOa !== undefined) clauses.push(`open_access.is_oa:${isOa}`);
+    return clauses;
+}
+
+async function fetchOpenAlex(date, keywords, perPage = 50, options = {}) {
+    const { since = date, until = date, filters = {} } = options;
+
+    const clauses = [
+        `from_publication_date:${since}`,
+        `to_publication_date:${until}`,
+        ...buildFilters(filters)
+    ];
+    if (keywords.length) {
+        const domainKeywords = keywords.map(k => `"${k}"`).join('|');
+        clauses.push(`default.search:${encodeURIComponent(domainKeywords)}`);
+    }
+
+    return fetchWorks(clauses, { ...options, perPage });
+}
+
+/**
+ * Page through /works for the given filter clauses with OpenAlex cursors
+ */
+async function fetchWorks(clauses, options = {}) {
+    const {
+        perPage = 50,
+        maxResults = 200,
+        mailto = process.env.OPENALEX_MAILTO || null
+    } = options;
+
+    const papers = [];
+    let cursor = '*';
+    while (cursor && papers.length < maxResults) {
+        const pageSize = Math.min(perPage, 200, maxResults - papers.length);
+        let url = `https://api.openalex.org/works?filter=${clauses.join(',')}&per-page=${pageSize}&cursor=${encodeURIComponent(cursor)}&select=${SELECT_FIELDS}`;
+        if (mailto) url += `&mailto=${encodeURIComponent(mailto)}`;
+
+        const response = await fetchJSON(url, { source: 'OpenAlex' });
+        const results = response.results || [];
+        papers.push(...results.map(mapWork));
+
+        cursor = results.length ? response.meta?.next_cursor : null;
+    }
+
+    return papers.slice(0, maxResults);
+}
+
+/**
+ * OpenAlex work -> standardized paper object
+ */
+function mapWork(p) {
+    return {
+        source: 'OpenAlex',
+        id: p.id,
+        doi: p.doi,
+        title: p.title,
+        abstract: reconstructAbstract(p.abstract_inverted_index),
+        authors: p.authorships?.map(a => ({
+            name: a.author?.display_name,
+            id: a.author?.id,
+            orcid: a.author?.orcid || null
+        })) || [],
+        venue: p.primary_location?.source?.display_name,
+        citationCount: p.cited_by_count || 0,
+        referencedWorksCount: p.referenced_works_count || 0,
+        publicationDate: p.publication_date,
+        type: p.type || null,
+        language: p.language || null,
+        topics: p.topics?.map(t => ({ id: t.id, name: t.display_name, score: t.score })) || [],
+        openAccess: p.open_access?.is_oa || false,
+        oaPdfUrl: p.best_oa_location?.pdf_url || p.primary_location?.pdf_url || null,
+        url: p.doi || p.id // OpenAlex DOIs are already https://doi.org/ URLs
+    };
 }
 
 function reconstructAbstract(invertedIndex) {
@@ -57,16 +116,34 @@ function reconstructAbstract(invertedIndex) {
 
 // CLI usage
 if (require.main === module) {
-    const date = process.argv[2];
-    const keywords = process.argv[3]?.split(',') || [];
-    const perPage = parseInt(process.argv[4]) || 50;
-    
+    useCassettesFromArgs(process.argv);
+    const args = process.argv.slice(2);
+    const positional = [];
+    const options = { filters: {} };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--since' && args[i + 1]) options.since = args[++i];
+        else if (args[i] === '--until' && args[i + 1]) options.until = args[++i];
+        else if (args[i] === '--max' && args[i + 1]) options.maxResults = parseInt(args[++i]);
+        else if (args[i] === '--mailto' && args[i + 1]) options.mailto = args[++i];
+        else if (args[i] === '--concepts' && args[i + 1]) options.filters.concepts = args[++i].split(',');
+        else if (args[i] === '--topics' && args[i + 1]) options.filters.topics = args[++i].split(',');
+        else if (args[i] === '--type' && args[i + 1]) options.filters.type = args[++i];
+        else if (args[i] === '--language' && args[i + 1]) options.filters.language = args[++i];
+        else if (args[i] === '--oa') options.filters.isOa = true;
+        else positional.push(args[i]);
+    }
+
+    const date = positional[0];
+    const keywords = positional[1]?.split(',') || [];
+    const perPage = parseInt(positional[2]) || 50;
+
     if (!date || keywords.length === 0) {
-        console.error('Usage: node fetch_openalex.js <date> <keyword1,keyword2,...> [perPage]');
+        console.error('Usage: node fetch_openalex.js <date> <keyword1,keyword2,...> [perPage] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N] [--mailto email] [--concepts ids] [--topics ids] [--type t] [--language l] [--oa]');
         process.exit(1);
     }
-    
-    fetchOpenAlex(date, keywords, perPage)
+
+    fetchOpenAlex(date, keywords, perPage, options)
         .then(papers => console.log(JSON.stringify(papers, null, 2)))
         .catch(err => {
             console.error(err.message);
@@ -74,4 +151,4 @@ if (require.main === module) {
         });
 }
 
-module.exports = { fetchOpenAlex };
+module.exports = { fetchOpenAlex, fetchWorks, mapWork, reconstructAbstract };
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Tool: Fetch papers from PubMed via NCBI E-utilities
+ * Usage: node fetch_pubmed.js <date> <keywords> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N]
+ *        [--api-key KEY] [--email you@example.com] [--record <dir> | --replay <dir>]
+ * Returns: JSON array of papers
+ *
+ * 1. ESearch finds PMIDs added to PubMed (Entrez date) in the window whose title/abstract
+ *    mention any keyword
+ * 2. ESummary gives title, journal, publication date and article IDs (DOI, PMCID)
+ * 3. EFetch gives the full structured abstract, MeSH terms and author affiliations/ORCIDs
+ *
+ * NCBI allows 3 requests/second without an API key and 10 with one (--api-key or NCBI_API_KEY).
+ */
+
+const { parseString } = require('xml2js');
+const { fetchJSON, fetchText, useCassettesFromArgs } = require('./http_client');
+
+const EUTILS_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+const BATCH_SIZE = 200;
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function textOf(node) {
+    if (node === undefined || node === null) return '';
+    const value = typeof node === 'object' ? node._ || '' : node;
+    return String(value).trim().replace(/\s+/g, ' ');
+}
+
+// Inline markup PubMed allows inside titles and abstracts (<i>, <sup>, MathML, ...). xml2js
+// would turn it into child nodes and drop it from the text, so it is flattened first.
+const MIXED_CONTENT = /<(AbstractText|ArticleTitle|VernacularTitle)\b([^>]*)(?<!\/)>([\s\S]*?)<\/\1>/g;
+
+function flattenMarkup(xml) {
+    return xml.replace(MIXED_CONTENT, (_, tag, attrs, inner) => {
+        const text = inner
+            .replace(/<sup>\s*/gi, '^')
+            .replace(/<\/?[A-Za-z][\w:.-]*(?:\s[^>]*)?\/?>/g, '');
+        return `<${tag}${attrs}>${text}</${tag}>`;
+    });
+}
+
+function toEutilsDate(date) {
+    return date.replace(/-/g, '/');
+}
+
+async function fetchPubMed(date, keywords, options = {}) {
+    const {
+        since = date,
+        until = date,
+        maxResults = 200,
+        apiKey = process.env.NCBI_API_KEY || null,
+        email = process.env.NCBI_EMAIL || null,
+        delayMs = apiKey ? 100 : 340 // stay under 10 or 3 requests/second
+    } = options;
+
+    let auth = '&tool=daily-debrief';
+    if (email) auth += `&email=${encodeURIComponent(email)}`;
+    if (apiKey) auth += `&api_key=${encodeURIComponent(apiKey)}`;
+
+    const term = keywords.map(k => `"${k}"[tiab]`).join(' OR ');
+    const searchUrl = `${EUTILS_URL}/esearch.fcgi?db=pubmed&term=${encodeURIComponent(`(${term})`)}`
+        + `&datetype=edat&mindate=${toEutilsDate(since)}&maxdate=${toEutilsDate(until)}`
+        + `&retmax=${maxResults}&retmode=json${auth}`;
+    const search = await fetchJSON(searchUrl, { source: 'PubMed' });
+    const pmids = search.esearchresult?.idlist || [];
+
+    const papers = [];
+    for (let i = 0; i < pmids.length; i += BATCH_SIZE) {
+        const ids = pmids.slice(i, i + BATCH_SIZE).join(',');
+
+        await sleep(delayMs);
+        const summary = await fetchJSON(`${EUTILS_URL}/esummary.fcgi?db=pubmed&id=${ids}&retmode=json${auth}`, { source: 'PubMed' });
+
+        await sleep(delayMs);
+        const xml = await fetchText(`${EUTILS_URL}/efetch.fcgi?db=pubmed&id=${ids}&retmode=xml${auth}`, { source: 'PubMed' });
+        const details = await parsePubMedXml(xml);
+
+        for (const pmid of pmids.slice(i, i + BATCH_SIZE)) {
+            const doc = summary.result?.[pmid];
+            if (doc) papers.push(mapArticle(pmid, doc, details.get(pmid) || {}));
+        }
+    }
+
+    return papers;
+}
+
+/**
+ * EFetch XML -> Map(pmid -> { title, abstract, abstractSections, meshTerms, authors })
+ */
+function parsePubMedXml(xml) {
+    return new Promise((resolve, reject) => {
+        parseString(flattenMarkup(xml), { explicitArray: false }, (err, result) => {
+            if (err) return reject(new Error(`PubMed XML parse error: ${err.message}`));
+
+            const details = new Map();
+            for (const article of toArray(result?.PubmedArticleSet?.PubmedArticle)) {
+                const citation = article.MedlineCitation || {};
+                const pmid = textOf(citation.PMID);
+                if (!pmid) continue;
+
+                const sections = toArray(citation.Article?.Abstract?.AbstractText).map(node => ({
+                    label: node?.$?.Label || null,
+                    text: textOf(node)
+                })).filter(s => s.text);
+
+                details.set(pmid, {
+                    // Non-English articles may only have a title in their own language
+                    title: textOf(citation.Article?.ArticleTitle) || textOf(citation.Article?.VernacularTitle),
+                    abstract: sections.map(s => (s.label ? `${s.label}: ${s.text}` : s.text)).join('\n'),
+                    abstractSections: sections,
+                    meshTerms: toArray(citation.MeshHeadingList?.MeshHeading).map(h => textOf(h.DescriptorName)).filter(Boolean),
+                    authors: toArray(citation.Article?.AuthorList?.Author).map(mapAuthor).filter(a => a.name)
+                });
+            }
+            resolve(details);
+        });
+    });
+}
+
+function mapAuthor(author) {
+    const name = author.CollectiveName
+        ? textOf(author.CollectiveName)
+        : [textOf(author.ForeName), textOf(author.LastName)].filter(Boolean).join(' ');
+    const orcid = toArray(author.Identifier).find(id => id?.$?.Source === 'ORCID');
+    return {
+        name,
+        affiliations: toArray(author.AffiliationInfo).map(a => textOf(a.Affiliation)).filter(Boolean),
+        orcid: orcid ? textOf(orcid) : null
+    };
+}
+
+function mapArticle(pmid, doc, details) {
+    const ids = Object.fromEntries((doc.articleids || []).map(a => [a.idtype, a.value]));
+    const pmcid = ids.pmc || null;
+    const sortDate = (doc.sortpubdate || '').split(' ')[0].replace(/\//g, '-');
+
+    return {
+        source: 'PubMed',
+        id: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+        pmid,
+        pmcid,
+        doi: ids.doi || null,
+        // ESummary's title keeps the raw <i>/<sup> tags, EFetch's is flattened
+        title: (details.title || doc.title || '').replace(/\.$/, ''),
+        abstract: details.abstract || '',
+        abstractSections: details.abstractSections || [],
+        authors: details.authors?.length
+            ? details.authors
+            : (doc.authors || []).filter(a => a.authtype === 'Author').map(a => ({ name: a.name, affiliations: [], orcid: null })),
+        venue: doc.fulljournalname || doc.source || null,
+        meshTerms: details.meshTerms || [],
+        citationCount: 0,
+        publicationDate: sortDate || null,
+        openAccess: Boolean(pmcid),
+        url: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+        pmcUrl: pmcid ? `https://www.ncbi.nlm.nih.gov/pmc/articles/${pmcid}/` : null
+    };
+}
+
+// CLI usage
+if (require.main === module) {
+    useCassettesFromArgs(process.argv);
+    const args = process.argv.slice(2);
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--since' && args[i + 1]) options.since = args[++i];
+        else if (args[i] === '--until' && args[i + 1]) options.until = args[++i];
+        else if (args[i] === '--max' && args[i + 1]) options.maxResults = parseInt(args[++i]);
+        else if (args[i] === '--api-key' && args[i + 1]) options.apiKey = args[++i];
+        else if (args[i] === '--email' && args[i + 1]) options.email = args[++i];
+        else positional.push(args[i]);
+    }
+
+    const date = positional[0];
+    const keywords = positional[1]?.split(',') || [];
+
+    if (!date || keywords.length === 0) {
+        console.error('Usage: node fetch_pubmed.js <date> <keyword1,keyword2,...> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N] [--api-key KEY] [--email email]');
+        process.exit(1);
+    }
+
+    fetchPubMed(date, keywords, options)
+        .then(papers => console.log(JSON.stringify(papers, null, 2)))
+        .catch(err => {
+            console.error(err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { fetchPubMed, parsePubMedXml };
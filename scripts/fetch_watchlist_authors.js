@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Tool: Fetch new works by watchlisted authors from OpenAlex
+ * Usage: node fetch_watchlist_authors.js <date> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N]
+ *        [--mailto you@example.com] [--watchlist path] [--record <dir> | --replay <dir>]
+ * Returns: JSON array of papers, each flagged isWatchlistAuthor with the matching watchlist name(s)
+ *
+ * Unlike fetch_openalex.js there is no keyword search: everything the watchlisted
+ * authors published in the window comes back. Entries without an openalex_id are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { fetchWorks } = require('./fetch_openalex');
+const { useCassettesFromArgs } = require('./http_client');
+
+const SKILL_DIR = path.dirname(__dirname);
+
+// OpenAlex accepts up to 100 OR'd values per filter; stay well below it
+const IDS_PER_QUERY = 50;
+
+/**
+ * "https://openalex.org/A123", "a123" -> "A123"
+ */
+function normalizeAuthorId(id) {
+    if (!id) return null;
+    const match = String(id).trim().match(/(A\d+)$/i);
+    return match ? match[1].toUpperCase() : null;
+}
+
+function loadWatchlist(watchlistPath = path.join(SKILL_DIR, 'authors_watchlist.json')) {
+    if (!fs.existsSync(watchlistPath)) return [];
+    const data = JSON.parse(fs.readFileSync(watchlistPath, 'utf8'));
+    return data.authors || [];
+}
+
+async function fetchWatchlistAuthors(date, authors, options = {}) {
+    const { since = date, until = date, ...paging } = options;
+
+    const namesById = new Map();
+    for (const author of authors) {
+        const id = normalizeAuthorId(author.openalex_id);
+        if (id) namesById.set(id, author.name);
+    }
+    const ids = [...namesById.keys()];
+    if (ids.length === 0) return [];
+
+    const papers = [];
+    for (let i = 0; i < ids.length; i += IDS_PER_QUERY) {
+        const clauses = [
+            `author.id:${ids.slice(i, i + IDS_PER_QUERY).join('|')}`,
+            `from_publication_date:${since}`,
+            `to_publication_date:${until}`
+        ];
+        papers.push(...await fetchWorks(clauses, paging));
+    }
+
+    // A paper co-authored by two watchlisted people can show up in two chunks
+    const byId = new Map();
+    for (const paper of papers) {
+        if (byId.has(paper.id)) continue;
+        const names = paper.authors
+            .map(a => namesById.get(normalizeAuthorId(a.id)))
+            .filter(Boolean);
+        byId.set(paper.id, {
+            ...paper,
+            isWatchlistAuthor: true,
+            watchlistAuthor: [...new Set(names)].join(', ') || null
+        });
+    }
+
+    return [...byId.values()];
+}
+
+// CLI usage
+if (require.main === module) {
+    useCassettesFromArgs(process.argv);
+    const args = process.argv.slice(2);
+    const positional = [];
+    const options = {};
+    let watchlistPath;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--since' && args[i + 1]) options.since = args[++i];
+        else if (args[i] === '--until' && args[i + 1]) options.until = args[++i];
+        else if (args[i] === '--max' && args[i + 1]) options.maxResults = parseInt(args[++i]);
+        else if (args[i] === '--mailto' && args[i + 1]) options.mailto = args[++i];
+        else if (args[i] === '--watchlist' && args[i + 1]) watchlistPath = path.resolve(args[++i]);
+        else positional.push(args[i]);
+    }
+
+    const date = positional[0];
+    if (!date) {
+        console.error('Usage: node fetch_watchlist_authors.js <date> [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--max N] [--mailto email] [--watchlist path]');
+        process.exit(1);
+    }
+
+    fetchWatchlistAuthors(date, loadWatchlist(watchlistPath), options)
+        .then(papers => console.log(JSON.stringify(papers, null, 2)))
+        .catch(err => {
+            console.error(err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { fetchWatchlistAuthors, loadWatchlist, normalizeAuthorId };
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Tool: Find allergens and the hazard type in recall/news text
+ * Usage: node hazards.js "<text>" [--pathogen NAME]
+ * Returns: JSON { allergens, hazard_type }
+ *
+ * allergens: the FALCPA major food allergens (milk, egg, fish, shellfish, tree nuts, peanuts,
+ * wheat, soy, sesame), matched through synonyms ("whey" -> milk, "cashew" -> tree nuts). Only
+ * mentions near "undeclared", "allergen", "not declared", etc. count, so "peanut butter recalled
+ * for Salmonella" has no allergens. openFDA's own wording counts too: "packaging that did not
+ * reveal the presence of wheat and soy", "contains milk and egg which are not listed".
+ *
+ * hazard_type: pathogen | allergen | foreign material | chemical | undeclared ingredient, or null.
+ * A pathogen (as extracted by the fetcher) wins over the others.
+ */
+
+// ─── Allergens ───────────────────────────────────────────────
+
+// Canonical name -> synonyms (regex sources, matched as whole words)
+const ALLERGENS = {
+  'milk': [
+    '(?<!(?:coconut|almond|oat|rice|soy|cashew|non-dairy) )milk', 'dairy', 'whey', 'casein(?:ates?)?',
+    'lactose', 'buttermilk', '(?<!(?:peanut|cocoa|shea|nut|apple|almond|cashew|seed) )butter', 'cheese',
+    'yogh?urt', 'ghee'
+  ],
+  'egg': ['eggs?', 'albumin', 'albumen', 'ovalbumin'],
+  'fish': ['fish', 'anchov(?:y|ies)', 'cod', 'salmon', 'tuna', 'tilapia', 'pollock', 'catfish', 'haddock'],
+  'shellfish': ['shellfish', 'crustaceans?', 'shrimp', 'prawns?', 'crabs?', 'lobsters?', 'cra[wy]fish', 'langoustines?'],
+  'tree nuts': [
+    'tree ?nuts?', 'almonds?', 'cashews?', 'walnuts?', 'pecans?', 'pistachios?', 'hazelnuts?', 'filberts?',
+    'macadamias?', 'brazil nuts?', 'pine nuts?'
+  ],
+  'peanuts': ['peanuts?', 'groundnuts?', 'arachis'],
+  'wheat': ['wheat', 'semolina', 'durum', 'spelt', 'farina'],
+  'soy': ['soy', 'soya', 'soybeans?', 'edamame', 'tofu'],
+  'sesame': ['sesame', 'tahini', 'benne']
+};
+
+const ALLERGEN_PATTERNS = Object.entries(ALLERGENS)
+  .map(([name, synonyms]) => [name, new RegExp(`\\b(?:${synonyms.join('|')})\\b`, 'i')]);
+
+// Words that make an allergen mention the hazard rather than the product. "contains ... not
+// listed" spans the allergens it refers to, so the match itself is part of the window.
+const ALLERGEN_CONTEXT = /undeclared|allerg(?:en|ens|ic|y|ies)|not declared|undisclosed|\bcontains?\b[^.;!?]{1,80}?\bnot (?:listed|declared)|not listed|(?:did|does|do) not (?:reveal|declare|list|disclose)(?: the presence of)?|cross[- ]contact|may contain/gi;
+// The part of the text a context word refers to: a bit before it, up to the end of the clause after it
+const BEFORE_CONTEXT = 30;
+const AFTER_CONTEXT = 80;
+const CLAUSE_END = /[.;!?]|\s(?:in|on the|found|after|because|during|which)\s/i;
+
+function contextWindows(text) {
+  const windows = [];
+  for (const match of text.matchAll(ALLERGEN_CONTEXT)) {
+    const before = text.slice(Math.max(0, match.index - BEFORE_CONTEXT), match.index);
+    let after = text.slice(match.index + match[0].length, match.index + match[0].length + AFTER_CONTEXT);
+    const end = after.search(CLAUSE_END);
+    if (end !== -1) after = after.slice(0, end);
+    // Only the clause the context word is in
+    windows.push(`${before.split(/[.;!?]/).pop()} ${match[0]} ${after}`);
+  }
+  return windows;
+}
+
+/**
+ * Canonical allergen names mentioned as a hazard, in FALCPA order
+ */
+function extractAllergens(text) {
+  if (!text) return [];
+  const windows = contextWindows(text);
+  if (!windows.length) return [];
+  return ALLERGEN_PATTERNS
+    .filter(([, pattern]) => windows.some(w => pattern.test(w)))
+    .map(([name]) => name);
+}
+
+// ─── Hazard Type ─────────────────────────────────────────────
+
+const HAZARD_PATTERNS = [
+  ['foreign material', /foreign (?:material|matter|object)s?|extraneous (?:material|matter)|pieces? of (?:plastic|metal|glass|rubber|wood)|(?:plastic|metal|glass|rubber|wood|bone) (?:fragments?|pieces?|shavings?)/i],
+  ['chemical', /chemical|pesticides?|\b(?:elevated|high|excessive) (?:levels of )?(?:lead|arsenic|cadmium|mercury)\b|\blead (?:levels|content|contamination|poisoning)\b|arsenic|cadmium|mercury|mycotoxins?|aflatoxins?|patulin|histamine|sanitizer|cleaning (?:agent|solution)|toxins?\b/i],
+  ['undeclared ingredient', /undeclared|not declared|unapproved (?:color|additive|ingredient)|sulfites?|FD&C|misbrand/i]
+];
+
+const ALLERGEN_WORD = /allerg(?:en|ens|ic|y|ies)/i;
+
+/**
+ * options: pathogen (already extracted), allergens (from extractAllergens)
+ */
+function classifyHazard(text, options = {}) {
+  const { pathogen = null, allergens = extractAllergens(text) } = options;
+  if (pathogen) return 'pathogen';
+  if (allergens.length || (text && ALLERGEN_WORD.test(text) && /undeclared|not declared|undisclosed/i.test(text))) return 'allergen';
+  if (!text) return null;
+  for (const [type, pattern] of HAZARD_PATTERNS) {
+    if (pattern.test(text)) return type;
+  }
+  return null;
+}
+
+/**
+ * Recalls whose hazard is an allergen are filed under Allergen
+ */
+function recallCategory(category, hazardType) {
+  return category === 'Recall' && hazardType === 'allergen' ? 'Allergen' : category;
+}
+
+/**
+ * { allergens, hazard_type } for a media item
+ */
+function detectHazards(text, pathogen = null) {
+  const allergens = extractAllergens(text);
+  return { allergens, hazard_type: classifyHazard(text, { pathogen, allergens }) };
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let text = null;
+  let pathogen = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--pathogen' && args[i + 1]) pathogen = args[++i];
+    else text = args[i];
+  }
+
+  if (!text) {
+    console.error('Usage: node hazards.js "<text>" [--pathogen NAME]');
+    process.exit(1);
+  }
+
+  console.log(JSON.stringify(detectHazards(text, pathogen), null, 2));
+}
+
+module.exports = { ALLERGENS, extractAllergens, classifyHazard, detectHazards, recallCategory };
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * Tool: Track which papers, repos and media items have already been reported
+ * Usage: node history.js mark --bundle <bundle.json> [--date YYYY-MM-DD]
+ *        node history.js mark <papers|repos|media> <items.json> [--date YYYY-MM-DD]
+ *        node history.js check <papers|repos|media> <items.json>     (prints the unseen items)
+ *        node history.js compact [papers|repos|media]
+ *        [--config path]
+ *
+ * History lives in data/<type>_history.jsonl, one JSON object per line. Files are
+ * always rewritten through a temp file + rename, so a crash never leaves half a line.
+ *
+ * Identifiers are normalized before comparing:
+ *   papers - DOI (case, https://doi.org/ and doi: prefixes), arXiv ID (version dropped,
+ *            incl. 10.48550/arXiv.X DOIs), OpenAlex ID (URL or bare W123)
+ *   repos  - owner/name, case-insensitive
+ *   media  - source URLs and recall numbers (recall updates: recall number + new status/classification)
+ *
+ * Entries older than history.expiryDays.<type> (config.json) no longer count as seen
+ * and are dropped by `compact`. Paper entries keep the `id` field sync_to_memory.js reads;
+ * media entries store the full item for the memory archive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { normalizeDoi, arxivIdOf } = require('./merge_papers');
+
+const SKILL_DIR = path.dirname(__dirname);
+const DATA_DIR = path.join(SKILL_DIR, 'data');
+
+const TYPES = ['papers', 'repos', 'media'];
+const DEFAULT_EXPIRY_DAYS = { papers: null, repos: 30, media: 90 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Identifiers ─────────────────────────────────────────────
+
+function openAlexIdOf(id) {
+  const match = String(id || '').trim().match(/^(?:https?:\/\/openalex\.org\/)?(W\d+)$/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+function bareArxivId(id) {
+  const match = String(id || '').trim().match(/^((?:\d{4}\.\d{4,5})|(?:[a-z-]+(?:\.[A-Z]{2})?\/\d{7}))(v\d+)?$/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+const KEYS = {
+  papers(item) {
+    const doi = normalizeDoi(item.doi);
+    const arxivId = arxivIdOf(item) || bareArxivId(item.id);
+    const openAlexId = openAlexIdOf(item.id);
+    return [
+      doi && `doi:${doi}`,
+      arxivId && `arxiv:${arxivId}`,
+      openAlexId && `openalex:${openAlexId}`,
+      !doi && !arxivId && !openAlexId && item.id && `id:${item.id}`
+    ].filter(Boolean);
+  },
+
+  repos(item) {
+    return [item.name, item.id]
+      .filter(value => typeof value === 'string' && value.includes('/'))
+      .map(value => `repo:${value.toLowerCase()}`);
+  },
+
+  media(item) {
+    // A recall update is new for each status/classification it reports
+    if (item.update && item.recall_number) {
+      return [`update:${item.recall_number}:${item.status || ''}:${item.classification || ''}`];
+    }
+    return [
+      ...(item.source_urls || []).map(url => `url:${url}`),
+      item.recall_number && `recall:${item.recall_number}`
+    ].filter(Boolean);
+  }
+};
+
+/**
+ * What gets written for each reported item
+ */
+const ENTRIES = {
+  papers: (item, date) => ({
+    id: item.id,
+    doi: item.doi || null,
+    arxivId: arxivIdOf(item) || bareArxivId(item.id) || undefined,
+    title: item.title,
+    date
+  }),
+  repos: (item, date) => ({ id: item.id || item.name, name: item.name, date }),
+  media: (item, date) => ({ source_type: 'media', ...item, date: item.date || date, seenDate: date })
+};
+
+// ─── Files ───────────────────────────────────────────────────
+
+function readJSONL(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try { return JSON.parse(line); } catch (e) { return null; }
+    })
+    .filter(Boolean);
+}
+
+function writeJSONL(file, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+  fs.renameSync(tmp, file);
+}
+
+// ─── History ─────────────────────────────────────────────────
+
+/**
+ * Open one history file.
+ * options: dataDir, expiryDays (null = never expires), today (YYYY-MM-DD, for expiry)
+ */
+function openHistory(type, options = {}) {
+  if (!TYPES.includes(type)) throw new Error(`History type must be one of: ${TYPES.join(', ')}`);
+
+  const {
+    dataDir = DATA_DIR,
+    expiryDays = DEFAULT_EXPIRY_DAYS[type],
+    today = new Date().toISOString().split('T')[0]
+  } = options;
+
+  const file = path.join(dataDir, `${type}_history.jsonl`);
+  const keysOf = KEYS[type];
+  const seenDateOf = entry => entry.seenDate || entry.date;
+
+  function isExpired(entry) {
+    if (!expiryDays) return false;
+    const seen = Date.parse(seenDateOf(entry));
+    return Number.isFinite(seen) && Date.parse(today) - seen > expiryDays * DAY_MS;
+  }
+
+  let entries = readJSONL(file);
+  let seen = null;
+
+  function index() {
+    if (!seen) seen = new Set(entries.filter(e => !isExpired(e)).flatMap(keysOf));
+    return seen;
+  }
+
+  return {
+    type,
+    file,
+
+    /**
+     * Entries that haven't expired, oldest first
+     */
+    entries() {
+      return entries.filter(e => !isExpired(e));
+    },
+
+    hasSeen(item) {
+      const keys = index();
+      return keysOf(item).some(key => keys.has(key));
+    },
+
+    /**
+     * Record items as reported on `date`; items already in history are skipped
+     */
+    markSeen(items, date = today) {
+      const added = [];
+      for (const item of items) {
+        if (this.hasSeen(item)) continue;
+        const entry = ENTRIES[type](item, date);
+        added.push(entry);
+        for (const key of keysOf(entry)) index().add(key);
+      }
+      if (added.length) {
+        entries = [...entries, ...added];
+        writeJSONL(file, entries);
+      }
+      return added.length;
+    },
+
+    /**
+     * Drop expired entries and repeated identifiers (the newest record wins)
+     */
+    compact() {
+      const before = entries.length;
+      const keys = new Set();
+      const kept = [];
+      for (const entry of [...entries].reverse()) {
+        if (isExpired(entry)) continue;
+        const entryKeys = keysOf(entry);
+        if (entryKeys.length && entryKeys.every(key => keys.has(key))) continue;
+        entryKeys.forEach(key => keys.add(key));
+        kept.push(entry);
+      }
+      entries = kept.reverse();
+      seen = null;
+      writeJSONL(file, entries);
+      return { type, before, after: entries.length };
+    }
+  };
+}
+
+/**
+ * One handle per type, with expiry windows from config.history.expiryDays
+ */
+function openAllHistory(config = {}, options = {}) {
+  const expiry = { ...DEFAULT_EXPIRY_DAYS, ...(config.history?.expiryDays || {}) };
+  return Object.fromEntries(TYPES.map(type => [type, openHistory(type, { ...options, expiryDays: expiry[type] })]));
+}
+
+/**
+ * Record everything a bundle reported (rising repos recur on purpose and aren't recorded);
+ * returns the number of new entries per type
+ */
+function markBundleSeen(history, bundle, date = bundle.date) {
+  return Object.fromEntries(TYPES.map(type => {
+    const items = type === 'repos' ? [...(bundle.repos || []), ...(bundle.domainRepos || [])] : bundle[type] || [];
+    return [type, history[type].markSeen(items, date)];
+  }));
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = [];
+  let bundlePath = null;
+  let date = null;
+  let configPath = path.join(SKILL_DIR, 'config.json');
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--bundle' && args[i + 1]) bundlePath = args[++i];
+    else if (args[i] === '--date' && args[i + 1]) date = args[++i];
+    else if (args[i] === '--config' && args[i + 1]) configPath = path.resolve(args[++i]);
+    else positional.push(args[i]);
+  }
+
+  const [command, type, itemsPath] = positional;
+  const usage = () => {
+    console.error('Usage: node history.js mark --bundle <bundle.json> [--date YYYY-MM-DD]');
+    console.error('       node history.js mark|check <papers|repos|media> <items.json> [--date YYYY-MM-DD]');
+    console.error('       node history.js compact [papers|repos|media]');
+    process.exit(1);
+  };
+
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  const history = openAllHistory(config);
+
+  try {
+    if (command === 'mark' && bundlePath) {
+      const bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+      for (const [t, added] of Object.entries(markBundleSeen(history, bundle, date || bundle.date))) {
+        console.error(`[History] ${t}: ${added} new`);
+      }
+    } else if ((command === 'mark' || command === 'check') && history[type] && itemsPath) {
+      const items = JSON.parse(fs.readFileSync(itemsPath, 'utf8'));
+      if (command === 'mark') {
+        console.error(`[History] ${type}: ${history[type].markSeen(items, date || undefined)} new`);
+      } else {
+        console.log(JSON.stringify(items.filter(item => !history[type].hasSeen(item)), null, 2));
+      }
+    } else if (command === 'compact' && (!type || history[type])) {
+      for (const t of type ? [type] : TYPES) {
+        const { before, after } = history[t].compact();
+        console.error(`[History] ${t}: ${before} -> ${after} entries`);
+      }
+    } else {
+      usage();
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { openHistory, openAllHistory, markBundleSeen, KEYS, DEFAULT_EXPIRY_DAYS };
@@ -0,0 +1,320 @@
+/**
+ * Shared HTTP client for all fetchers
+ * Usage: const { fetchJSON, fetchText } = require('./http_client');
+ *
+ * Every request gets:
+ *   - retries with exponential backoff on 429/5xx and network errors (honors Retry-After)
+ *   - a timeout (per-host overrides in HOST_TIMEOUTS or options.timeoutMs)
+ *   - redirect following up to options.maxRedirects
+ *   - gzip/deflate/br decoding
+ *   - a max body size (options.maxBytes), on the wire and once decompressed
+ * Failures are always thrown as HttpError carrying source, url and status.
+ * Credentials in URLs (api_key/key/token query params, Telegram /bot<token>/ paths) are masked
+ * wherever a URL leaves the client: retry logs, HttpError.url/message and cassettes.
+ *
+ * Cassettes: with --record <dir> every response (body + headers) is saved to <dir>;
+ * with --replay <dir> responses are served from <dir> and the network is never touched.
+ * CLIs opt in with useCassettesFromArgs(process.argv).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const zlib = require('zlib');
+
+const DEFAULTS = {
+  retries: 2,
+  backoffMs: 500,
+  maxBackoffMs: 30000,
+  timeoutMs: 15000,
+  maxRedirects: 5,
+  maxBytes: 10 * 1024 * 1024,
+  userAgent: 'ResearchAgent/1.0'
+};
+
+// Slow or flaky hosts get more time; everything else uses DEFAULTS.timeoutMs
+const HOST_TIMEOUTS = {
+  'export.arxiv.org': 30000,
+  'api.openalex.org': 20000,
+  'www.fsis.usda.gov': 20000,
+  'www.cdc.gov': 10000
+};
+
+// Query parameters whose values are credentials
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'api-key', 'access_token', 'token', 'client_secret', 'password'];
+const SECRET_PARAM_PATTERN = new RegExp(`([?&](?:${SECRET_PARAMS.join('|')})=)[^&#]*`, 'gi');
+// Telegram puts the bot token in the path: /bot123456:ABC-def/sendMessage
+const SECRET_PATH_PATTERN = /\/bot\d+:[\w-]+/g;
+const REDACTED = 'REDACTED';
+
+// Record/replay state, shared by every fetcher loaded in this process
+const cassettes = { mode: null, dir: null };
+
+class HttpError extends Error {
+  constructor(message, { source = null, url = null, status = null, body = null, headers = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.source = source;
+    this.url = redactUrl(url);
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * URL with credentials masked, safe to log, throw or record
+ */
+function redactUrl(url) {
+  if (!url) return url;
+  return String(url)
+    .replace(SECRET_PARAM_PATTERN, `$1${REDACTED}`)
+    .replace(SECRET_PATH_PATTERN, `/bot${REDACTED}`);
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Decompress a body; maxBytes caps the decoded size too, so a small compressed body can't
+ * expand past it (zlib throws a RangeError instead)
+ */
+function decodeBody(buffer, encoding, maxBytes) {
+  const options = maxBytes ? { maxOutputLength: maxBytes } : {};
+  switch ((encoding || '').toLowerCase()) {
+    case 'gzip': return zlib.gunzipSync(buffer, options);
+    case 'deflate': return zlib.inflateSync(buffer, options);
+    case 'br': return zlib.brotliDecompressSync(buffer, options);
+    default: return buffer;
+  }
+}
+
+/**
+ * Single attempt: one request, following redirects, no retries
+ */
+function requestOnce(url, opts, redirectsLeft) {
+  const parsed = new URL(url);
+  const mod = parsed.protocol === 'http:' ? http : https;
+  const timeoutMs = opts.timeoutMs || HOST_TIMEOUTS[parsed.hostname] || DEFAULTS.timeoutMs;
+
+  const headers = {
+    'User-Agent': opts.userAgent || DEFAULTS.userAgent,
+    'Accept-Encoding': 'gzip, deflate, br',
+    ...(opts.headers || {})
+  };
+  if (opts.body != null && !headers['Content-Length']) {
+    headers['Content-Length'] = Buffer.byteLength(opts.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = mod.request(url, { method: opts.method || 'GET', headers, timeout: timeoutMs }, (res) => {
+      const status = res.statusCode;
+
+      if (status >= 300 && status < 400 && res.headers.location) {
+        res.resume();
+        if (redirectsLeft <= 0) {
+          return reject(new HttpError(`Too many redirects`, { source: opts.source, url, status }));
+        }
+        const next = new URL(res.headers.location, url).toString();
+        return requestOnce(next, opts, redirectsLeft - 1).then(resolve, reject);
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > opts.maxBytes) {
+          req.destroy();
+          reject(new HttpError(`Response exceeds ${opts.maxBytes} bytes`, { source: opts.source, url, status }));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        if (size > opts.maxBytes) return;
+        let body;
+        try {
+          body = decodeBody(Buffer.concat(chunks), res.headers['content-encoding'], opts.maxBytes).toString('utf8');
+        } catch (e) {
+          if (e instanceof RangeError) {
+            return reject(new HttpError(`Response exceeds ${opts.maxBytes} bytes`, { source: opts.source, url, status }));
+          }
+          return reject(new HttpError(`Decode error: ${e.message}`, { source: opts.source, url, status }));
+        }
+
+        if (status >= 200 && status < 300) {
+          resolve({ status, headers: res.headers, body, url });
+        } else {
+          const err = new HttpError(`HTTP ${status}: ${body.substring(0, 200)}`, {
+            source: opts.source, url, status, body, headers: res.headers, retryable: isRetryableStatus(status)
+          });
+          err.retryAfterMs = parseRetryAfter(res.headers['retry-after']);
+          reject(err);
+        }
+      });
+      res.on('error', (e) => reject(new HttpError(e.message, { source: opts.source, url, retryable: true })));
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new HttpError(`Timeout after ${timeoutMs}ms`, { source: opts.source, url, retryable: true }));
+    });
+    req.on('error', (e) => {
+      if (e instanceof HttpError) return reject(e);
+      reject(new HttpError(e.message, { source: opts.source, url, retryable: true }));
+    });
+
+    if (opts.body != null) req.write(opts.body);
+    req.end();
+  });
+}
+
+// ─── Cassettes ───────────────────────────────────────────────
+
+/**
+ * Cassette file for a request: <host>_<hash>.json, keyed on method, URL (credentials masked,
+ * so a cassette replays with any key) and body
+ */
+function cassettePath(dir, method, url, body) {
+  const hash = crypto.createHash('sha1')
+    .update(`${method} ${redactUrl(url)}\n${body || ''}`)
+    .digest('hex')
+    .substring(0, 16);
+  const host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+  return path.join(dir, `${host}_${hash}.json`);
+}
+
+function useCassettes({ record = null, replay = null } = {}) {
+  if (record && replay) throw new Error('Use either --record or --replay, not both');
+  cassettes.mode = record ? 'record' : replay ? 'replay' : null;
+  cassettes.dir = record || replay || null;
+  if (cassettes.mode === 'record') fs.mkdirSync(cassettes.dir, { recursive: true });
+}
+
+/**
+ * Strip --record <dir> / --replay <dir> out of argv (in place) and enable cassettes.
+ * Call before reading positional arguments.
+ */
+function useCassettesFromArgs(argv) {
+  const options = {};
+  for (const flag of ['record', 'replay']) {
+    const i = argv.indexOf(`--${flag}`);
+    if (i !== -1 && argv[i + 1]) {
+      options[flag] = path.resolve(argv[i + 1]);
+      argv.splice(i, 2);
+    }
+  }
+  useCassettes(options);
+}
+
+function saveCassette(url, opts, response) {
+  const method = opts.method || 'GET';
+  const headers = { ...response.headers };
+  delete headers['set-cookie'];
+  delete headers['content-encoding'];
+  delete headers['content-length'];
+  const cassette = {
+    request: { method, url: redactUrl(url) },
+    response: { status: response.status, headers, body: response.body }
+  };
+  fs.writeFileSync(cassettePath(cassettes.dir, method, url, opts.body), JSON.stringify(cassette, null, 2));
+}
+
+function replayCassette(url, opts) {
+  const file = cassettePath(cassettes.dir, opts.method || 'GET', url, opts.body);
+  if (!fs.existsSync(file)) {
+    throw new HttpError(`No cassette for ${opts.method || 'GET'} ${redactUrl(url)}`, { source: opts.source, url });
+  }
+  const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (response.status >= 200 && response.status < 300) {
+    return { status: response.status, headers: response.headers, body: response.body, url };
+  }
+  throw new HttpError(`HTTP ${response.status}: ${response.body.substring(0, 200)}`, {
+    source: opts.source, url, status: response.status, body: response.body, headers: response.headers
+  });
+}
+
+// ─── Requests ────────────────────────────────────────────────
+
+/**
+ * Make a request with retries. Resolves to { status, headers, body, url }.
+ *
+ * Options: source, method, headers, body, retries, backoffMs, maxBackoffMs,
+ *          timeoutMs, maxRedirects, maxBytes, userAgent
+ */
+async function request(url, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+
+  if (cassettes.mode === 'replay') return replayCassette(url, opts);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await requestOnce(url, opts, opts.maxRedirects);
+      if (cassettes.mode === 'record') saveCassette(url, opts, response);
+      return response;
+    } catch (err) {
+      const error = err instanceof HttpError
+        ? err
+        : new HttpError(err.message, { source: opts.source, url });
+      if (!error.retryable || attempt >= opts.retries) {
+        if (cassettes.mode === 'record' && error.status) saveCassette(url, opts, error);
+        throw error;
+      }
+
+      const backoff = Math.min(opts.maxBackoffMs, opts.backoffMs * 2 ** attempt);
+      const delay = error.retryAfterMs != null ? Math.min(error.retryAfterMs, opts.maxBackoffMs) : backoff;
+      console.error(`${opts.source ? `[${opts.source}] ` : ''}Retrying ${redactUrl(url)} in ${delay}ms (${error.status || error.message})`);
+      await sleep(delay);
+    }
+  }
+}
+
+async function fetchText(url, options = {}) {
+  const { body } = await request(url, options);
+  return body;
+}
+
+async function fetchJSON(url, options = {}) {
+  const { body, status } = await request(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(options.headers || {}) }
+  });
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    throw new HttpError(`JSON parse error: ${e.message}`, { source: options.source, url, status, body });
+  }
+}
+
+module.exports = {
+  request,
+  fetchText,
+  fetchJSON,
+  HttpError,
+  parseRetryAfter,
+  redactUrl,
+  useCassettes,
+  useCassettesFromArgs,
+  cassettePath,
+  HOST_TIMEOUTS
+};
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Tool: Match paper authors against authors_watchlist.json
+ * Usage: node match_authors.js <papers.json> [--watchlist path]
+ * Returns: The papers JSON with watchlist flags added
+ *
+ * Strategies, strongest first:
+ *   openalex_id  - same OpenAlex author ID                      (confidence: high)
+ *   orcid        - same ORCID                                    (confidence: high)
+ *   full_name    - same name after normalizing diacritics, case,
+ *                  "Smith, Jane" order and watchlist name_variants (confidence: medium)
+ *   initials     - same surname, compatible initials ("J. Smith") (confidence: low)
+ *
+ * high/medium matches set isWatchlistAuthor + watchlistAuthor; a paper with only low
+ * matches gets possibleWatchlistAuthor instead, so it shows up as a "possible watchlist author".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SKILL_DIR = path.dirname(__dirname);
+const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+
+// ─── Normalization ───────────────────────────────────────────
+
+/**
+ * "Jané  Smith" -> "jane smith", "Smith, Jane" -> "jane smith", "Jean-Luc" -> "jean luc"
+ */
+function normalizeName(name) {
+    let value = String(name || '').trim();
+    const comma = value.match(/^([^,]+),\s*(.+)$/);
+    if (comma) value = `${comma[2]} ${comma[1]}`;
+
+    return value
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * "Jane M. Smith" -> { surname: "smith", initials: "jm" }
+ */
+function nameKey(name) {
+    const tokens = normalizeName(name).split(' ').filter(Boolean);
+    if (tokens.length === 0) return null;
+    return {
+        surname: tokens[tokens.length - 1],
+        initials: tokens.slice(0, -1).map(t => t[0]).join('')
+    };
+}
+
+function initialsCompatible(a, b) {
+    if (!a || !b || a[0] !== b[0]) return false;
+    const n = Math.min(a.length, b.length);
+    return a.slice(0, n) === b.slice(0, n);
+}
+
+function normalizeOpenAlexId(id) {
+    const match = String(id || '').trim().match(/(A\d+)$/i);
+    return match ? match[1].toUpperCase() : null;
+}
+
+function normalizeOrcid(orcid) {
+    const match = String(orcid || '').match(/(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i);
+    return match ? match[1].toUpperCase() : null;
+}
+
+// ─── Matching ────────────────────────────────────────────────
+
+/**
+ * Index the watchlist once; returns matchAuthor(author) -> { entry, strategy, confidence } | null
+ */
+function buildMatcher(watchlist) {
+    const byId = new Map();
+    const byOrcid = new Map();
+    const byName = new Map();
+    const keys = [];
+
+    for (const entry of watchlist) {
+        const id = normalizeOpenAlexId(entry.openalex_id);
+        const orcid = normalizeOrcid(entry.orcid);
+        if (id) byId.set(id, entry);
+        if (orcid) byOrcid.set(orcid, entry);
+
+        for (const name of [entry.name, ...(entry.name_variants || [])]) {
+            const normalized = normalizeName(name);
+            if (normalized && !byName.has(normalized)) byName.set(normalized, entry);
+        }
+        const key = nameKey(entry.name);
+        if (key) keys.push({ key, entry });
+    }
+
+    return function matchAuthor(author) {
+        const id = normalizeOpenAlexId(author.id);
+        if (id && byId.has(id)) return { entry: byId.get(id), strategy: 'openalex_id', confidence: 'high' };
+
+        const orcid = normalizeOrcid(author.orcid);
+        if (orcid && byOrcid.has(orcid)) return { entry: byOrcid.get(orcid), strategy: 'orcid', confidence: 'high' };
+
+        const normalized = normalizeName(author.name);
+        if (normalized && byName.has(normalized)) {
+            return { entry: byName.get(normalized), strategy: 'full_name', confidence: 'medium' };
+        }
+
+        const key = nameKey(author.name);
+        if (key) {
+            const hit = keys.find(k => k.key.surname === key.surname && initialsCompatible(k.key.initials, key.initials));
+            if (hit) return { entry: hit.entry, strategy: 'initials', confidence: 'low' };
+        }
+
+        return null;
+    };
+}
+
+/**
+ * Set isWatchlistAuthor / watchlistAuthor / possibleWatchlistAuthor / watchlistMatches on each paper
+ */
+function annotatePapers(papers, watchlist) {
+    const matchAuthor = buildMatcher(watchlist);
+
+    return papers.map(paper => {
+        // One match per watchlist entry, keeping the most confident
+        const best = new Map();
+        for (const author of paper.authors || []) {
+            const match = matchAuthor(author);
+            if (!match) continue;
+            const current = best.get(match.entry);
+            if (!current || CONFIDENCE_RANK[match.confidence] > CONFIDENCE_RANK[current.confidence]) {
+                best.set(match.entry, { ...match, author: author.name });
+            }
+        }
+
+        const matches = [...best.values()].map(m => ({
+            name: m.entry.name,
+            author: m.author,
+            strategy: m.strategy,
+            confidence: m.confidence
+        }));
+        const confident = matches.filter(m => m.confidence !== 'low');
+        const possible = matches.filter(m => m.confidence === 'low');
+
+        const { isWatchlistAuthor, watchlistAuthor, possibleWatchlistAuthor, watchlistMatches, ...rest } = paper;
+        if (matches.length === 0) return rest;
+        if (confident.length) {
+            return {
+                ...rest,
+                isWatchlistAuthor: true,
+                watchlistAuthor: confident.map(m => m.name).join(', '),
+                watchlistMatches: matches
+            };
+        }
+        return {
+            ...rest,
+            isWatchlistAuthor: false,
+            possibleWatchlistAuthor: possible.map(m => m.name).join(', '),
+            watchlistMatches: matches
+        };
+    });
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    let papersPath = null;
+    let watchlistPath = path.join(SKILL_DIR, 'authors_watchlist.json');
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--watchlist' && args[i + 1]) watchlistPath = path.resolve(args[++i]);
+        else if (!args[i].startsWith('--')) papersPath = args[i];
+    }
+
+    if (!papersPath) {
+        console.error('Usage: node match_authors.js <papers.json> [--watchlist path]');
+        process.exit(1);
+    }
+
+    const papers = JSON.parse(fs.readFileSync(papersPath, 'utf8'));
+    const watchlist = fs.existsSync(watchlistPath)
+        ? JSON.parse(fs.readFileSync(watchlistPath, 'utf8')).authors || []
+        : [];
+    console.log(JSON.stringify(annotatePapers(papers, watchlist), null, 2));
+}
+
+module.exports = { annotatePapers, buildMatcher, normalizeName, nameKey, normalizeOrcid };
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * Tool: Merge the same paper found by several sources into one record
+ * Usage: node merge_papers.js <papers.json> [more_papers.json ...]
+ * Returns: Merged JSON array of papers to stdout
+ *
+ * Two papers are the same work when they share:
+ *   - a DOI (case and https://doi.org/ prefix ignored; a bioRxiv/medRxiv preprint's
+ *     publishedDoi counts too), or
+ *   - an arXiv ID (version ignored; arXiv DOIs 10.48550/arXiv.X count too), or
+ *   - a near-identical title and the same first-author surname
+ *
+ * The merged record keeps the published DOI/URL plus the arXiv URL, the longer
+ * abstract, the real venue, the highest citation count and every contributing source.
+ */
+
+const fs = require('fs');
+
+const { nameKey } = require('./match_authors');
+
+const ARXIV_DOI_PREFIX = '10.48550/arxiv.';
+const PREPRINT_DOI_PREFIXES = [ARXIV_DOI_PREFIX, '10.1101/'];
+const TITLE_THRESHOLD = 0.9;
+
+// ─── Identifiers ─────────────────────────────────────────────
+
+function normalizeDoi(doi) {
+  if (!doi) return null;
+  return String(doi).trim().toLowerCase()
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//, '')
+    .replace(/^doi:\s*/, '') || null;
+}
+
+function stripArxivVersion(id) {
+  return id ? String(id).trim().toLowerCase().replace(/v\d+$/, '') : null;
+}
+
+/**
+ * arXiv ID without version, from arxivId, an arXiv DOI or an arxiv.org URL
+ */
+function arxivIdOf(paper) {
+  if (paper.arxivId) return stripArxivVersion(paper.arxivId);
+
+  const doi = normalizeDoi(paper.doi);
+  if (doi && doi.startsWith(ARXIV_DOI_PREFIX)) return stripArxivVersion(doi.slice(ARXIV_DOI_PREFIX.length));
+
+  const match = String(paper.url || '').match(/arxiv\.org\/(?:abs|pdf)\/([^?#]+)/i);
+  return match ? stripArxivVersion(match[1]) : null;
+}
+
+/**
+ * DOI of the published version (preprint DOIs - arXiv 10.48550, bioRxiv/medRxiv 10.1101 - don't count)
+ */
+function publishedDoiOf(paper) {
+  const doi = normalizeDoi(paper.doi);
+  return doi && !PREPRINT_DOI_PREFIXES.some(prefix => doi.startsWith(prefix)) ? doi : null;
+}
+
+/**
+ * Every DOI a record answers to: its own plus the journal DOI a preprint was published under
+ */
+function doisOf(paper) {
+  return [normalizeDoi(paper.doi), normalizeDoi(paper.publishedDoi)].filter(Boolean);
+}
+
+// ─── Similarity ──────────────────────────────────────────────
+
+function titleWords(title) {
+  return new Set(String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 2));
+}
+
+/**
+ * Word-overlap (Jaccard) similarity of two titles, 0-1
+ */
+function titleSimilarity(a, b) {
+  const wordsA = titleWords(a);
+  const wordsB = titleWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let intersection = 0;
+  for (const w of wordsA) {
+    if (wordsB.has(w)) intersection++;
+  }
+  return intersection / (wordsA.size + wordsB.size - intersection);
+}
+
+function sameFirstAuthor(a, b) {
+  const keyA = nameKey(a.authors?.[0]?.name);
+  const keyB = nameKey(b.authors?.[0]?.name);
+  return Boolean(keyA && keyB && keyA.surname === keyB.surname);
+}
+
+function areSamePaper(a, b) {
+  const doisB = doisOf(b);
+  if (doisOf(a).some(doi => doisB.includes(doi))) return true;
+
+  const arxivA = arxivIdOf(a);
+  if (arxivA && arxivA === arxivIdOf(b)) return true;
+
+  return titleSimilarity(a.title, b.title) >= TITLE_THRESHOLD && sameFirstAuthor(a, b);
+}
+
+// ─── Merge ───────────────────────────────────────────────────
+
+function sourcesOf(paper) {
+  return paper.sources || [paper.source].filter(Boolean);
+}
+
+function isPreprintVenue(venue) {
+  return !venue || /arxiv|biorxiv|medrxiv/i.test(venue);
+}
+
+/**
+ * Merge two records of the same paper; primary wins unless secondary has something better
+ */
+function mergePaper(primary, secondary) {
+  const merged = { ...secondary, ...primary };
+
+  merged.sources = [...new Set([...sourcesOf(primary), ...sourcesOf(secondary)])];
+
+  // Prefer the published DOI and its landing page over the preprint
+  const published = publishedDoiOf(primary) ? primary : publishedDoiOf(secondary) ? secondary : primary;
+  merged.doi = published.doi || primary.doi || secondary.doi || null;
+  merged.url = published.url || primary.url || secondary.url;
+  merged.urls = [...new Set([...(primary.urls || [primary.url]), ...(secondary.urls || [secondary.url])].filter(Boolean))];
+
+  const arxivId = arxivIdOf(primary) || arxivIdOf(secondary);
+  if (arxivId) {
+    merged.arxivId = arxivId;
+    merged.arxivUrl = primary.arxivUrl || secondary.arxivUrl
+      || [primary, secondary].find(p => p.source === 'arXiv')?.url
+      || `https://arxiv.org/abs/${arxivId}`;
+  }
+
+  // Use the longer/richer abstract
+  if ((secondary.abstract || '').length > (primary.abstract || '').length) {
+    merged.abstract = secondary.abstract;
+  }
+
+  // A journal beats "arXiv preprint" / "bioRxiv preprint"
+  if (isPreprintVenue(primary.venue) && !isPreprintVenue(secondary.venue)) {
+    merged.venue = secondary.venue;
+  }
+
+  merged.citationCount = Math.max(primary.citationCount || 0, secondary.citationCount || 0);
+  merged.openAccess = Boolean(primary.openAccess || secondary.openAccess);
+
+  // Keep the author list that carries IDs (OpenAlex) over bare names
+  const hasIds = p => (p.authors || []).some(a => a.id);
+  if (!hasIds(primary) && hasIds(secondary)) merged.authors = secondary.authors;
+
+  return merged;
+}
+
+/**
+ * Collapse duplicates across all sources; earlier papers are the primary record
+ */
+function mergePapers(papers) {
+  const clusters = [];
+
+  for (const paper of papers) {
+    const index = clusters.findIndex(c => areSamePaper(c, paper));
+    if (index === -1) clusters.push({ ...paper, sources: sourcesOf(paper) });
+    else clusters[index] = mergePaper(clusters[index], paper);
+  }
+
+  return clusters;
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const files = process.argv.slice(2);
+
+  if (files.length === 0) {
+    console.error('Usage: node merge_papers.js <papers.json> [more_papers.json ...]');
+    process.exit(1);
+  }
+
+  const papers = files.flatMap(f => JSON.parse(fs.readFileSync(f, 'utf8')));
+  console.log(JSON.stringify(mergePapers(papers), null, 2));
+}
+
+module.exports = { mergePapers, mergePaper, areSamePaper, titleSimilarity, arxivIdOf, normalizeDoi };
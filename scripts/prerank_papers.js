@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Tool: Rank paper candidates locally before they go to the LLM
+ * Usage: node prerank_papers.js <papers.json> [--config path] [--min-score N] [--top K]
+ * Returns: JSON array of the kept papers, best first, each with prerankScore and matchedTerms
+ *
+ * Scores title + abstract with BM25 against domain.keywords.technical and
+ * domain.keywords.domain (keywords are matched as phrases; title hits count double).
+ * Papers matching both groups get their score multiplied by bothGroupsBonus.
+ *
+ * Papers with an empty abstract are rejected outright (the SKILL.md hard gate);
+ * watchlist-author papers pass the score and top-K cutoffs regardless.
+ * Config (filters.prerank): minScore, topK, bothGroupsBonus
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SKILL_DIR = path.dirname(__dirname);
+
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_WEIGHT = 2;
+const DEFAULTS = { minScore: 0, topK: null, bothGroupsBonus: 1.5 };
+
+// ─── Text ────────────────────────────────────────────────────
+
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Phrase matcher tolerant of a plural on the last word ("sensor" finds "sensors")
+ */
+function phrasePattern(keyword) {
+  const phrase = normalizeText(keyword); // only [a-z0-9 ] left, nothing to escape
+  return phrase ? new RegExp(`\\b${phrase}(?:s|es)?\\b`, 'g') : null;
+}
+
+function countMatches(pattern, text) {
+  if (!pattern) return 0;
+  pattern.lastIndex = 0;
+  return (text.match(pattern) || []).length;
+}
+
+// ─── BM25 ────────────────────────────────────────────────────
+
+/**
+ * Score every paper against one keyword group. Returns [{ score, terms }] aligned with docs.
+ */
+function bm25(docs, keywords) {
+  const terms = keywords
+    .map(keyword => ({ keyword, pattern: phrasePattern(keyword) }))
+    .filter(t => t.pattern);
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+
+  const tf = docs.map(doc => terms.map(t => TITLE_WEIGHT * countMatches(t.pattern, doc.title) + countMatches(t.pattern, doc.abstract)));
+  const df = terms.map((_, j) => tf.filter(row => row[j] > 0).length);
+
+  return docs.map((doc, i) => {
+    let score = 0;
+    const matched = [];
+    terms.forEach((term, j) => {
+      const f = tf[i][j];
+      if (!f) return;
+      const idf = Math.log(1 + (docs.length - df[j] + 0.5) / (df[j] + 0.5));
+      score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * doc.length / avgLength));
+      matched.push(term.keyword);
+    });
+    return { score, terms: matched };
+  });
+}
+
+// ─── Ranking ─────────────────────────────────────────────────
+
+function hasAbstract(paper) {
+  return typeof paper.abstract === 'string' && paper.abstract.trim().length > 0;
+}
+
+/**
+ * Returns { papers, rejected }: papers kept for the LLM (best first) and the ones dropped,
+ * each rejected paper carrying a prerankReason.
+ */
+function prerankPapers(papers, keywords = {}, options = {}) {
+  const { minScore, topK, bothGroupsBonus } = { ...DEFAULTS, ...options };
+
+  const rejected = papers
+    .filter(p => !hasAbstract(p))
+    .map(p => ({ ...p, relevance: 1, prerankScore: 0, prerankReason: 'empty abstract' }));
+  const candidates = papers.filter(hasAbstract);
+
+  const docs = candidates.map(p => {
+    const title = normalizeText(p.title);
+    const abstract = normalizeText(p.abstract);
+    return { title, abstract, length: (title + ' ' + abstract).split(' ').length };
+  });
+  const technical = bm25(docs, keywords.technical || []);
+  const domain = bm25(docs, keywords.domain || []);
+
+  const scored = candidates
+    .map((paper, i) => {
+      const both = technical[i].terms.length > 0 && domain[i].terms.length > 0;
+      const score = (technical[i].score + domain[i].score) * (both ? bothGroupsBonus : 1);
+      return {
+        ...paper,
+        prerankScore: Math.round(score * 1000) / 1000,
+        matchedTerms: { technical: technical[i].terms, domain: domain[i].terms }
+      };
+    })
+    .sort((a, b) => b.prerankScore - a.prerankScore);
+
+  const kept = [];
+  let ranked = 0;
+  for (const paper of scored) {
+    if (paper.isWatchlistAuthor) {
+      kept.push(paper);
+    } else if (paper.prerankScore < minScore) {
+      rejected.push({ ...paper, prerankReason: `score below ${minScore}` });
+    } else if (topK && ranked >= topK) {
+      rejected.push({ ...paper, prerankReason: `outside top ${topK}` });
+    } else {
+      kept.push(paper);
+      ranked++;
+    }
+  }
+
+  return { papers: kept, rejected };
+}
+
+function prerankOptionsFromConfig(config = {}) {
+  return {
+    keywords: config.domain?.keywords || {},
+    options: { ...DEFAULTS, ...(config.filters?.prerank || {}) }
+  };
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let papersPath = null;
+  let configPath = path.join(SKILL_DIR, 'config.json');
+  const overrides = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config' && args[i + 1]) configPath = path.resolve(args[++i]);
+    else if (args[i] === '--min-score' && args[i + 1]) overrides.minScore = parseFloat(args[++i]);
+    else if (args[i] === '--top' && args[i + 1]) overrides.topK = parseInt(args[++i]);
+    else if (!args[i].startsWith('--')) papersPath = args[i];
+  }
+
+  if (!papersPath) {
+    console.error('Usage: node prerank_papers.js <papers.json> [--config path] [--min-score N] [--top K]');
+    process.exit(1);
+  }
+
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  const { keywords, options } = prerankOptionsFromConfig(config);
+  const { papers, rejected } = prerankPapers(JSON.parse(fs.readFileSync(papersPath, 'utf8')), keywords, { ...options, ...overrides });
+
+  console.error(`[Prerank] Kept ${papers.length}, rejected ${rejected.length}`);
+  console.log(JSON.stringify(papers, null, 2));
+}
+
+module.exports = { prerankPapers, prerankOptionsFromConfig, bm25, normalizeText };
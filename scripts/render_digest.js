@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+/**
+ * Tool: Render a digest bundle (from run_debrief.js) into a message
+ * Usage: node render_digest.js <bundle.json> [--format telegram|slack|html|markdown|text] [--config path]
+ * Returns: The rendered digest on stdout
+ *
+ * Formats:
+ *   telegram = Telegram MarkdownV2 (every special character escaped)
+ *   slack    = Slack mrkdwn (for incoming webhooks)
+ *   html     = HTML document for email
+ *   markdown = plain Markdown for digests/
+ *   text     = plain text, no markup
+ *
+ * Output is deterministic: the same bundle and templates always render the same string.
+ * Emojis and labels come from DEFAULT_TEMPLATES, overridden by config.domain.categoryEmojis
+ * and config.output.templates (see templatesFromConfig).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = ['telegram', 'slack', 'html', 'markdown', 'text'];
+
+const DEFAULT_TEMPLATES = {
+  title: 'Daily Research Debrief',
+  separator: '━━━━━━━━━━━━━━━━━━━━━━━━━━━',
+  abstractLength: 200,
+  summaryLength: 200,
+  maxPapers: 10,
+  maxRepos: 5,
+  maxDomainRepos: 5,
+  maxRisingRepos: 5,
+  maxMedia: 20,
+  categoryEmojis: {
+    'Pathogen Detection': '🦠',
+    'Quality Assessment': '✅',
+    'Supply Chain Safety': '📦',
+    'Novel Sensors': '🔬',
+    'Predictive Modeling': '📈',
+    'Other': '📋'
+  },
+  defaultCategoryEmoji: '📋',
+  mediaCategoryEmojis: {
+    'Recall': '🔴',
+    'Allergen': '🥜',
+    'Outbreak': '🚨',
+    'Alert': '⚠️',
+    'Policy': '📜',
+    'Research': '🔬'
+  },
+  mediaCategoryOrder: ['Recall', 'Allergen', 'Outbreak', 'Alert', 'Policy', 'Research'],
+  severityEmojis: {
+    high: '🔴',
+    medium: '🟡',
+    low: '🟢'
+  }
+};
+
+// ─── Inline Spans ────────────────────────────────────────────
+// A line is an array of spans; each formatter decides how to mark them up.
+
+const text = value => ({ type: 'text', value: String(value) });
+const bold = value => ({ type: 'bold', value: String(value) });
+const italic = value => ({ type: 'italic', value: String(value) });
+const link = (value, url) => ({ type: 'link', value: String(value), url });
+
+function truncate(str, length) {
+  if (!str) return '';
+  return str.length > length ? str.substring(0, length) + '...' : str;
+}
+
+// ─── Formatters ──────────────────────────────────────────────
+
+function escapeMarkdownV2(str) {
+  return str.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeSlack(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeMarkdown(str) {
+  return str.replace(/[\\`*_[\]]/g, '\\$&');
+}
+
+const FORMATTERS = {
+  telegram: {
+    text: s => escapeMarkdownV2(s.value),
+    bold: s => `*${escapeMarkdownV2(s.value)}*`,
+    italic: s => `_${escapeMarkdownV2(s.value)}_`,
+    link: s => `[${escapeMarkdownV2(s.value)}](${s.url.replace(/[)\\]/g, '\\$&')})`,
+    block: lines => lines.join('\n')
+  },
+  slack: {
+    text: s => escapeSlack(s.value),
+    bold: s => `*${escapeSlack(s.value)}*`,
+    italic: s => `_${escapeSlack(s.value)}_`,
+    link: s => `<${s.url.replace(/[<>|]/g, encodeURIComponent)}|${escapeSlack(s.value).replace(/\|/g, '¦')}>`,
+    block: lines => lines.join('\n')
+  },
+  html: {
+    text: s => escapeHtml(s.value),
+    bold: s => `<b>${escapeHtml(s.value)}</b>`,
+    italic: s => `<i>${escapeHtml(s.value)}</i>`,
+    link: s => `<a href="${escapeHtml(s.url)}">${escapeHtml(s.value)}</a>`,
+    block: lines => `<p>${lines.join('<br>\n')}</p>`
+  },
+  markdown: {
+    text: s => escapeMarkdown(s.value),
+    bold: s => `**${escapeMarkdown(s.value)}**`,
+    italic: s => `_${escapeMarkdown(s.value)}_`,
+    link: s => `[${escapeMarkdown(s.value)}](${s.url.replace(/\)/g, '%29')})`,
+    block: lines => lines.join('  \n')
+  },
+  text: {
+    text: s => s.value,
+    bold: s => s.value,
+    italic: s => s.value,
+    link: s => `${s.value}: ${s.url}`,
+    block: lines => lines.join('\n')
+  }
+};
+
+function formatBlock(lines, format) {
+  const f = FORMATTERS[format];
+  const rendered = lines
+    .filter(line => line !== null)
+    .map(line => (Array.isArray(line) ? line : [line])
+      .filter(Boolean)
+      .map(span => f[span.type](span))
+      .join(''));
+  return f.block(rendered);
+}
+
+// ─── Cards ───────────────────────────────────────────────────
+
+function stars(relevance) {
+  const n = Math.max(0, Math.min(5, Math.round(relevance || 0)));
+  return '⭐'.repeat(n);
+}
+
+function paperCard(paper, t) {
+  const category = paper.category || null;
+  const categoryEmoji = category ? (t.categoryEmojis[category] || t.defaultCategoryEmoji) : null;
+  const ratingLine = [paper.relevance ? stars(paper.relevance) : null, category ? `${categoryEmoji} ${category}` : null]
+    .filter(Boolean)
+    .join(' | ');
+
+  const watchlist = paper.watchlistAuthor || (paper.isWatchlistAuthor ? 'Watchlist author' : null);
+  const meta = [];
+  if (watchlist) meta.push(text('👤 '), bold(watchlist), text(' | '));
+  else if (paper.possibleWatchlistAuthor) meta.push(text('👤? '), italic(`possible watchlist author: ${paper.possibleWatchlistAuthor}`), text(' | '));
+  if (paper.openAccess) meta.push(text('🔓 | '));
+  meta.push(text(`📊 ${paper.citationCount || 0} citations`));
+  if (paper.influentialCitationCount) meta.push(text(` (${paper.influentialCitationCount} influential)`));
+  if (paper.publicationDate) meta.push(text(` | 📅 ${paper.publicationDate}`));
+
+  return [
+    [text('📄 '), bold(paper.title || 'Untitled')],
+    ratingLine ? [text(ratingLine)] : null,
+    meta,
+    paper.venue ? [italic(paper.venue)] : null,
+    '',
+    paper.tldr ? [bold('TL;DR: '), text(paper.tldr)] : null,
+    [text(truncate(paper.abstract, t.abstractLength))],
+    '',
+    paper.url ? [link('Read Full Paper', paper.url)] : null,
+    ...relatedLines(paper.relatedPapers)
+  ];
+}
+
+function relatedLines(related) {
+  if (!related || !related.length) return [];
+  return [
+    [italic('Related:')],
+    ...related.map(r => [text('↳ '), link(r.year ? `${r.title} (${r.year})` : r.title, r.url)])
+  ];
+}
+
+function repoCard(repo) {
+  const statsLine = [`⭐ ${repo.stars ?? 0} stars`];
+  if (repo.starsToday) statsLine.push(`+${repo.starsToday} today`);
+  else if (repo.starsInPeriod) statsLine.push(`+${repo.starsInPeriod} ${repo.since === 'monthly' ? 'this month' : 'this week'}`);
+  else if (repo.starsPerDay) statsLine.push(`~${repo.starsPerDay}/day`);
+  if (repo.starGrowth?.d7) statsLine.push(`📈 ${repo.starGrowth.d7 > 0 ? '+' : ''}${repo.starGrowth.d7} this week`);
+  if (repo.persistentTrending) statsLine.push(`🔥 trending ${repo.trendingDays} of 7 days`);
+  if (repo.forks) statsLine.push(`🍴 ${repo.forks} forks`);
+  if (repo.language) statsLine.push(repo.language);
+
+  return [
+    [text('💻 '), bold(repo.name)],
+    [text(statsLine.join(' | '))],
+    repo.description ? [text(repo.description)] : null,
+    [link('View Repository', repo.url)]
+  ];
+}
+
+function mediaCard(item, t) {
+  const severityEmoji = t.severityEmojis[item.severity] || t.severityEmojis.medium;
+  const details = [];
+  if (item.pathogen) details.push(`🦠 ${item.pathogen}${item.serotype ? ` ${item.serotype}` : ''}`);
+  if (item.allergens && item.allergens.length) details.push(`🥜 Allergens: ${item.allergens.join(', ')}`);
+  if (item.product) details.push(`🥩 ${item.product}`);
+  if (item.states && item.states.length) details.push(`📍 ${item.states.join(', ')}`);
+  else if (item.states_count) details.push(`📍 ${item.states_count} states`);
+  const toll = [
+    item.case_count ? `${item.case_count} ill` : null,
+    item.hospitalizations ? `${item.hospitalizations} hospitalized` : null,
+    item.deaths ? `${item.deaths} ${item.deaths === 1 ? 'death' : 'deaths'}` : null
+  ].filter(Boolean);
+  if (toll.length) details.push(`👥 ${toll.join(', ')}`);
+  if (item.changes && item.changes.length) {
+    details.push(`🔄 ${item.changes.map(c => `${c.from || 'none'} → ${c.to}`).join(', ')}`);
+  }
+
+  return [
+    [text(`${severityEmoji} `), bold(item.title), text(item.severity ? ` (${item.severity})` : '')],
+    [text(`📰 ${(item.sources || []).join(' + ')} | 📅 ${item.date || 'undated'}`)],
+    details.length ? [text(details.join(' | '))] : null,
+    item.summary ? [text(truncate(item.summary, t.summaryLength))] : null,
+    item.source_urls && item.source_urls[0] ? [link('Read More', item.source_urls[0])] : null
+  ];
+}
+
+// ─── Sections ────────────────────────────────────────────────
+
+function countBy(items, keyOf) {
+  const counts = {};
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key) counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+function selectPapers(papers, t) {
+  return papers
+    .map((paper, index) => ({ paper, index }))
+    .sort((a, b) => ((b.paper.relevance || 0) - (a.paper.relevance || 0)) || (a.index - b.index))
+    .slice(0, t.maxPapers)
+    .map(({ paper }) => paper);
+}
+
+function selectMedia(media, t) {
+  const order = category => {
+    const i = t.mediaCategoryOrder.indexOf(category);
+    return i === -1 ? t.mediaCategoryOrder.length : i;
+  };
+  return media
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (order(a.item.category) - order(b.item.category)) || (a.index - b.index))
+    .slice(0, t.maxMedia)
+    .map(({ item }) => item);
+}
+
+/**
+ * Build the digest as an ordered list of blocks. Each block is a list of lines
+ * and is never split further, so delivery code can chunk on block boundaries.
+ */
+function buildBlocks(bundle, t) {
+  const sections = bundle.sections || ['papers', 'repos', 'media'];
+  const papers = selectPapers(bundle.papers || [], t);
+  const repos = (bundle.repos || []).slice(0, t.maxRepos);
+  const domainRepos = (bundle.domainRepos || []).slice(0, t.maxDomainRepos);
+  const risingRepos = (bundle.risingRepos || []).slice(0, t.maxRisingRepos);
+  const media = selectMedia(bundle.media || [], t);
+  const blocks = [];
+
+  const header = [[bold(`${t.title} (${bundle.date})`)]];
+  if (sections.includes('papers')) {
+    header.push('');
+    if (papers.length === 0) {
+      header.push([text(`No new papers matching criteria for ${bundle.date}`)]);
+    } else {
+      const bySource = countBy(papers, p => p.source);
+      const sourceText = Object.entries(bySource).map(([source, n]) => `${n} ${source}`).join(', ');
+      header.push([text(`Found ${papers.length} new ${bundle.domain || ''} papers (${sourceText})`.replace(/\s+/g, ' '))]);
+      const byCategory = countBy(papers, p => p.category);
+      if (Object.keys(byCategory).length) {
+        const breakdown = Object.entries(byCategory).map(([cat, n]) => `${n} ${cat}`).join(', ');
+        header.push([text(`(Category breakdown: ${breakdown})`)]);
+      }
+    }
+  }
+  blocks.push({ kind: 'header', lines: header });
+
+  if (sections.includes('papers')) {
+    for (const paper of papers) {
+      blocks.push({ kind: 'paper', lines: [[text(t.separator)], ...paperCard(paper, t)] });
+    }
+    if (papers.length) blocks.push({ kind: 'separator', lines: [[text(t.separator)]] });
+  }
+
+  if (sections.includes('repos') && repos.length) {
+    blocks.push({ kind: 'heading', lines: [[bold(`🔥 Top ${repos.length} Trending Repos (Today)`)]] });
+    for (const repo of repos) blocks.push({ kind: 'repo', lines: repoCard(repo) });
+  }
+
+  if (sections.includes('repos') && domainRepos.length) {
+    blocks.push({ kind: 'heading', lines: [[bold(`🎯 Trending in Your Field${bundle.domain ? ` (${bundle.domain})` : ''}`)]] });
+    for (const repo of domainRepos) blocks.push({ kind: 'repo', lines: repoCard(repo) });
+  }
+
+  if (sections.includes('repos') && risingRepos.length) {
+    blocks.push({ kind: 'heading', lines: [[bold('📈 Rising in Your Field')]] });
+    for (const repo of risingRepos) blocks.push({ kind: 'repo', lines: repoCard(repo) });
+  }
+
+  if (sections.includes('media') && media.length) {
+    blocks.push({ kind: 'heading', lines: [[bold('🚨 Industry News & Alerts (Past Day)')]] });
+    let currentCategory = null;
+    for (const item of media) {
+      const lines = [];
+      if (item.category !== currentCategory) {
+        currentCategory = item.category;
+        const emoji = t.mediaCategoryEmojis[currentCategory] || '📋';
+        lines.push([italic(`${emoji} ${currentCategory || 'Other'}`)]);
+      }
+      lines.push(...mediaCard(item, t));
+      blocks.push({ kind: 'media', lines });
+    }
+    blocks.push({ kind: 'separator', lines: [[text(t.separator)]] });
+  }
+
+  if (bundle.summary) {
+    blocks.push({ kind: 'summary', lines: [[bold('Why these matter to you:')], [text(bundle.summary)]] });
+  }
+
+  const candidates = bundle.stats?.candidates || {};
+  blocks.push({
+    kind: 'footer',
+    lines: [[text(`(Analyzed ${candidates.papers || 0} paper candidates, ${candidates.repos || 0} repos, ${candidates.media || 0} media items)`)]]
+  });
+
+  return blocks;
+}
+
+// ─── Public API ──────────────────────────────────────────────
+
+/**
+ * Merge DEFAULT_TEMPLATES with the domain-specific overrides from config
+ */
+function templatesFromConfig(config = {}) {
+  const overrides = config.output?.templates || {};
+  return {
+    ...DEFAULT_TEMPLATES,
+    ...(config.filters?.maxPapersPerDigest ? { maxPapers: config.filters.maxPapersPerDigest } : {}),
+    ...overrides,
+    categoryEmojis: {
+      ...DEFAULT_TEMPLATES.categoryEmojis,
+      ...(config.domain?.categoryEmojis || {}),
+      ...(overrides.categoryEmojis || {})
+    },
+    mediaCategoryEmojis: { ...DEFAULT_TEMPLATES.mediaCategoryEmojis, ...(overrides.mediaCategoryEmojis || {}) },
+    severityEmojis: { ...DEFAULT_TEMPLATES.severityEmojis, ...(overrides.severityEmojis || {}) }
+  };
+}
+
+/**
+ * Render the digest as a list of blocks (header, one per card, footer) in the given format
+ */
+function renderDigestParts(bundle, format = 'markdown', templates = DEFAULT_TEMPLATES) {
+  if (!FORMATTERS[format]) throw new Error(`Unknown format "${format}" (expected ${FORMATS.join('|')})`);
+  return buildBlocks(bundle, templates).map(block => formatBlock(block.lines, format));
+}
+
+function renderDigest(bundle, format = 'markdown', templates = DEFAULT_TEMPLATES) {
+  const parts = renderDigestParts(bundle, format, templates);
+  if (format === 'html') {
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head><meta charset="utf-8"></head>',
+      '<body>',
+      ...parts,
+      '</body>',
+      '</html>'
+    ].join('\n');
+  }
+  return parts.join('\n\n');
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let bundlePath = null;
+  let format = 'markdown';
+  let configPath = path.join(path.dirname(__dirname), 'config.json');
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--format' && args[i + 1]) format = args[++i];
+    else if (args[i] === '--config' && args[i + 1]) configPath = path.resolve(args[++i]);
+    else if (!args[i].startsWith('--')) bundlePath = args[i];
+  }
+
+  if (!bundlePath || !FORMATS.includes(format)) {
+    console.error(`Usage: node render_digest.js <bundle.json> [--format ${FORMATS.join('|')}] [--config path]`);
+    process.exit(1);
+  }
+
+  try {
+    const bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+    const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+    console.log(renderDigest(bundle, format, templatesFromConfig(config)));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  renderDigest,
+  renderDigestParts,
+  templatesFromConfig,
+  escapeMarkdownV2,
+  DEFAULT_TEMPLATES,
+  FORMATS
+};
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * Tool: Resolve authors_watchlist.json names to OpenAlex author IDs
+ * Usage: node resolve_watchlist.js [--watchlist path] [--config path] [--pick "Name=A123"]... [--mailto email] [--dry-run]
+ *        [--record <dir> | --replay <dir>]
+ * Returns: JSON summary { resolved, ambiguous, notFound } on stdout
+ *
+ * Every entry without an openalex_id is searched on the OpenAlex /authors endpoint.
+ * Candidates are ranked by name match, institution (an optional "institution" hint on
+ * the entry), works count and topic overlap with the domain keywords in config.json.
+ * Clear winners are written back with their ORCID and name variants (used to match
+ * arXiv author strings); ambiguous entries are listed so one can be chosen with --pick.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { fetchJSON, useCassettesFromArgs } = require('./http_client');
+const { normalizeName } = require('./match_authors');
+
+const SKILL_DIR = path.dirname(__dirname);
+const AUTHORS_URL = 'https://api.openalex.org/authors';
+const SELECT_FIELDS = 'id,display_name,display_name_alternatives,orcid,works_count,last_known_institutions,topics';
+
+// The top candidate must beat the runner-up by this much to be written without asking
+const CLEAR_MARGIN = 1.5;
+// ...and, if no name of it matches the entry, score at least this much (institution hint plus topics)
+const MIN_UNNAMED_SCORE = 3;
+
+function shortId(url) {
+    return url ? url.replace('https://openalex.org/', '') : null;
+}
+
+function shortOrcid(url) {
+    return url ? url.replace('https://orcid.org/', '') : null;
+}
+
+// ─── Ranking ─────────────────────────────────────────────────
+
+/**
+ * Score /authors results for one watchlist entry, best first
+ */
+function rankCandidates(entry, candidates, keywords = []) {
+    const target = normalizeName(entry.name);
+    const institutionHint = normalizeName(entry.institution);
+    const terms = keywords.map(k => k.toLowerCase());
+
+    return candidates
+        .map(c => {
+            const names = [c.display_name, ...(c.display_name_alternatives || [])].map(normalizeName);
+            const institutions = (c.last_known_institutions || []).map(i => i.display_name).filter(Boolean);
+            const topics = (c.topics || []).map(t => t.display_name).filter(Boolean);
+            const topicHits = topics.filter(t => terms.some(k => t.toLowerCase().includes(k)));
+
+            const nameScore = names.includes(target) ? 2 : 0;
+            const institutionScore = institutionHint && institutions.some(i => normalizeName(i).includes(institutionHint)) ? 2 : 0;
+            const worksScore = Math.min(Math.log10((c.works_count || 0) + 1) / 2, 1);
+            const topicScore = topics.length ? 2 * topicHits.length / topics.length : 0;
+
+            return {
+                id: shortId(c.id),
+                name: c.display_name,
+                orcid: shortOrcid(c.orcid),
+                nameVariants: [...new Set([c.display_name, ...(c.display_name_alternatives || [])])].filter(Boolean),
+                institutions,
+                worksCount: c.works_count || 0,
+                topicHits,
+                nameMatch: nameScore > 0,
+                score: Math.round((nameScore + institutionScore + worksScore + topicScore) * 100) / 100
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+function isClearMatch(ranked) {
+    const [top, second] = ranked;
+    if (!top) return false;
+    // A lone search hit is not a match by itself
+    if (!top.nameMatch && top.score < MIN_UNNAMED_SCORE) return false;
+    return !second || top.score - second.score >= CLEAR_MARGIN;
+}
+
+// ─── OpenAlex ────────────────────────────────────────────────
+
+function withMailto(url, mailto) {
+    return mailto ? `${url}&mailto=${encodeURIComponent(mailto)}` : url;
+}
+
+async function searchAuthors(name, mailto) {
+    const url = withMailto(`${AUTHORS_URL}?search=${encodeURIComponent(name)}&per-page=10&select=${SELECT_FIELDS}`, mailto);
+    const response = await fetchJSON(url, { source: 'OpenAlex' });
+    return response.results || [];
+}
+
+async function getAuthor(id, mailto) {
+    const url = withMailto(`${AUTHORS_URL}/${shortId(id)}?select=${SELECT_FIELDS}`, mailto);
+    return fetchJSON(url, { source: 'OpenAlex' });
+}
+
+// ─── Resolve ─────────────────────────────────────────────────
+
+function applyCandidate(entry, candidate) {
+    const variants = candidate.nameVariants.filter(v => v !== entry.name);
+    return {
+        ...entry,
+        openalex_id: candidate.id,
+        ...(candidate.orcid ? { orcid: candidate.orcid } : {}),
+        name_variants: [...new Set([...(entry.name_variants || []), ...variants])]
+    };
+}
+
+/**
+ * Resolve every entry lacking an openalex_id. picks maps a watchlist name to the chosen ID.
+ * Returns the updated author list plus a summary of what happened.
+ */
+async function resolveWatchlist(authors, options = {}) {
+    const { keywords = [], picks = {}, mailto = process.env.OPENALEX_MAILTO || null } = options;
+    const summary = { resolved: [], ambiguous: [], notFound: [] };
+    const updated = [];
+
+    for (const entry of authors) {
+        if (entry.openalex_id && !picks[entry.name]) {
+            updated.push(entry);
+            continue;
+        }
+
+        if (picks[entry.name]) {
+            const [candidate] = rankCandidates(entry, [await getAuthor(picks[entry.name], mailto)], keywords);
+            updated.push(applyCandidate(entry, candidate));
+            summary.resolved.push({ name: entry.name, id: candidate.id, picked: true });
+            continue;
+        }
+
+        const ranked = rankCandidates(entry, await searchAuthors(entry.name, mailto), keywords);
+        if (ranked.length === 0) {
+            updated.push(entry);
+            summary.notFound.push(entry.name);
+        } else if (isClearMatch(ranked)) {
+            updated.push(applyCandidate(entry, ranked[0]));
+            summary.resolved.push({ name: entry.name, id: ranked[0].id, score: ranked[0].score });
+        } else {
+            updated.push(entry);
+            summary.ambiguous.push({ name: entry.name, candidates: ranked.slice(0, 5) });
+        }
+    }
+
+    return { authors: updated, summary };
+}
+
+/**
+ * Write via a temp file + rename so an interrupted run never leaves half a watchlist
+ */
+function writeWatchlist(watchlistPath, data) {
+    const tmp = `${watchlistPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tmp, watchlistPath);
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+    useCassettesFromArgs(process.argv);
+    const args = process.argv.slice(2);
+    let watchlistPath = path.join(SKILL_DIR, 'authors_watchlist.json');
+    let configPath = path.join(SKILL_DIR, 'config.json');
+    let mailto;
+    let dryRun = false;
+    const picks = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--watchlist' && args[i + 1]) watchlistPath = path.resolve(args[++i]);
+        else if (args[i] === '--config' && args[i + 1]) configPath = path.resolve(args[++i]);
+        else if (args[i] === '--mailto' && args[i + 1]) mailto = args[++i];
+        else if (args[i] === '--dry-run') dryRun = true;
+        else if (args[i] === '--pick' && args[i + 1]) {
+            const [name, id] = args[++i].split('=').map(s => s.trim());
+            if (!name || !id) {
+                console.error('Usage: --pick "Author Name=A1234567890"');
+                process.exit(1);
+            }
+            picks[name] = id;
+        }
+    }
+
+    if (!fs.existsSync(watchlistPath)) {
+        console.error(`Watchlist not found: ${watchlistPath}`);
+        console.error('Usage: node resolve_watchlist.js [--watchlist path] [--config path] [--pick "Name=A123"] [--mailto email] [--dry-run]');
+        process.exit(1);
+    }
+
+    const watchlist = JSON.parse(fs.readFileSync(watchlistPath, 'utf8'));
+    const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+    const keywords = [
+        ...(config.domain?.keywords?.technical || []),
+        ...(config.domain?.keywords?.domain || [])
+    ];
+
+    resolveWatchlist(watchlist.authors || [], {
+        keywords,
+        picks,
+        mailto: mailto || config.sources?.openalex?.mailto || undefined
+    })
+        .then(({ authors, summary }) => {
+            if (!dryRun && summary.resolved.length) {
+                writeWatchlist(watchlistPath, { ...watchlist, authors });
+            }
+            for (const r of summary.resolved) console.error(`✓ ${r.name} -> ${r.id}`);
+            for (const name of summary.notFound) console.error(`✗ ${name}: no OpenAlex author found`);
+            for (const a of summary.ambiguous) {
+                console.error(`? ${a.name}: ambiguous, re-run with --pick "${a.name}=<ID>"`);
+                for (const c of a.candidates) {
+                    console.error(`    ${c.id}  ${c.name}  ${c.institutions[0] || '-'}  ${c.worksCount} works  score ${c.score}`);
+                }
+            }
+            console.log(JSON.stringify(summary, null, 2));
+        })
+        .catch(err => {
+            console.error(err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { resolveWatchlist, rankCandidates, isClearMatch, writeWatchlist };
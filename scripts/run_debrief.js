@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+/**
+ * Tool: Run the whole daily debrief pipeline from config.json
+ * Usage: node run_debrief.js [--date YYYY-MM-DD] [--dry-run] [--only papers|repos|media] [--config path]
+ *        [--deliver] [--no-score] [--record <dir> | --replay <dir>]
+ * Returns: Writes a versioned digest bundle to data/bundles/bundle_<date>.json
+ *          and, with output.saveToFile, a Markdown digest to <output.filePath>/digest_<date>.md
+ *          (with --dry-run the bundle is printed to stdout and nothing is written)
+ *
+ * Steps:
+ * 1. Load config.json and compute the target date (default: yesterday, UTC)
+ * 2. Run every enabled fetcher in parallel (OpenAlex, watchlisted authors, Crossref, PubMed, bioRxiv/medRxiv, arXiv, GitHub Trending and search, media sources)
+ * 3. Merge papers found by several sources (see merge_papers.js), flag watchlist
+ *    authors (see match_authors.js) and drop items already recorded in data/*_history.jsonl
+ *    and, with sources.crossref.enrich, fill missing abstracts/licenses/funders from Crossref
+ *    With sources.media.recheckRecalls, FDA recalls already reported are looked up again and
+ *    status/classification changes join the media as update items (see fetch_fda_recalls.js)
+ * 4. Pre-rank the remaining papers with BM25 and apply filters.prerank cutoffs (see prerank_papers.js)
+ *    and, when config.llm has an API key, score them and keep those >= filters.minRelevanceScore
+ *    (see score_papers.js; --no-score leaves scoring to the agent)
+ *    With sources.semanticScholar.enabled, add TLDRs, influential citations, fields of study
+ *    and (relatedPapers > 0) related-paper suggestions to the selected papers
+ *    Repos get 1/7/30-day star growth from data/star_history.jsonl (see star_history.js),
+ *    and domain repos gaining stars fastest become risingRepos
+ * 5. Write one bundle JSON for the day (plus the rendered Markdown digest)
+ * 6. With --deliver, send the digest to every channel in output.channels (see deliver.js)
+ * 7. Record the bundle's papers, repos and media in history so they aren't reported again
+ *    (skipped with --dry-run, and when every delivery channel failed)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { fetchOpenAlex } = require('./fetch_openalex');
+const { fetchWatchlistAuthors, loadWatchlist } = require('./fetch_watchlist_authors');
+const { fetchArxiv } = require('./fetch_arxiv');
+const { fetchCrossref, enrichWithCrossref } = require('./fetch_crossref');
+const { fetchPubMed } = require('./fetch_pubmed');
+const { enrichWithSemanticScholar } = require('./enrich_semantic_scholar');
+const { fetchBiorxiv } = require('./fetch_biorxiv');
+const { annotatePapers } = require('./match_authors');
+const { mergePapers } = require('./merge_papers');
+const { openAllHistory, markBundleSeen } = require('./history');
+const { prerankPapers, prerankOptionsFromConfig } = require('./prerank_papers');
+const { scorePapers, llmSettings } = require('./score_papers');
+const { fetchGitHubTrending } = require('./fetch_github_trending');
+const { fetchGitHubSearch } = require('./fetch_github_search');
+const { openStarHistory, refreshStars, starHistoryOptionsFromConfig } = require('./star_history');
+const { fetchAllMediaSources } = require('./fetch_media_sources');
+const { recheckFDARecalls } = require('./fetch_fda_recalls');
+const { renderDigest, templatesFromConfig } = require('./render_digest');
+const { deliverAll } = require('./deliver');
+const { useCassettesFromArgs } = require('./http_client');
+
+const SKILL_DIR = path.dirname(__dirname);
+const DATA_DIR = path.join(SKILL_DIR, 'data');
+
+const BUNDLE_VERSION = 1;
+const SECTIONS = ['papers', 'repos', 'media'];
+
+// ─── Config & Dates ──────────────────────────────────────────
+
+function loadConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config not found: ${configPath} (copy config.example.json or run scripts/setup.sh)`);
+  }
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+function yesterday() {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().split('T')[0];
+}
+
+function daysBefore(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().split('T')[0];
+}
+
+// ─── Fetch ───────────────────────────────────────────────────
+
+function buildFetchers(config, date, only, watchlist = [], dataDir = DATA_DIR) {
+  const sources = config.sources || {};
+  const keywords = config.domain?.keywords?.domain || [];
+  const fetchers = {};
+
+  const wants = section => !only || only === section;
+
+  if (wants('papers') && sources.openalex?.enabled !== false) {
+    fetchers.openalex = () => fetchOpenAlex(date, keywords, sources.openalex?.perPage || 50, {
+      maxResults: sources.openalex?.maxResults,
+      mailto: sources.openalex?.mailto || undefined,
+      filters: sources.openalex?.filters
+    });
+  }
+  if (wants('papers') && sources.watchlist?.enabled !== false) {
+    if (watchlist.some(a => a.openalex_id)) {
+      fetchers.watchlist = () => fetchWatchlistAuthors(date, watchlist, {
+        maxResults: sources.watchlist?.maxResults,
+        mailto: sources.openalex?.mailto || undefined
+      });
+    }
+  }
+  if (wants('papers') && sources.arxiv?.enabled !== false) {
+    const categories = sources.arxiv?.categories || ['cs.LG', 'cs.CV', 'cs.AI'];
+    fetchers.arxiv = () => fetchArxiv(date, categories, keywords, { maxResults: sources.arxiv?.maxResults });
+  }
+  if (wants('papers') && sources.crossref?.enabled) {
+    fetchers.crossref = () => fetchCrossref(date, keywords, {
+      issns: sources.crossref.issns || [],
+      maxResults: sources.crossref.maxResults,
+      mailto: sources.crossref.mailto || sources.openalex?.mailto || undefined
+    });
+  }
+  if (wants('papers') && sources.pubmed?.enabled) {
+    fetchers.pubmed = () => fetchPubMed(date, keywords, {
+      maxResults: sources.pubmed.maxResults,
+      apiKey: sources.pubmed.apiKey || undefined,
+      email: sources.pubmed.email || undefined
+    });
+  }
+  if (wants('papers') && sources.biorxiv?.enabled) {
+    fetchers.biorxiv = () => fetchBiorxiv(date, keywords, {
+      servers: sources.biorxiv.servers || undefined,
+      categories: sources.biorxiv.categories || undefined,
+      maxResults: sources.biorxiv.maxResults,
+      maxPages: sources.biorxiv.maxPages
+    });
+  }
+  if (wants('repos') && sources.github?.enabled !== false) {
+    fetchers.github = () => fetchGitHubTrending(sources.github?.limit || 25, sources.github?.language || '', {
+      since: sources.github?.since || undefined,
+      spokenLanguage: sources.github?.spokenLanguage || undefined,
+      topics: Boolean(sources.github?.topics),
+      token: sources.github?.token || undefined
+    });
+  }
+  if (wants('repos') && sources.githubSearch?.enabled) {
+    fetchers.githubSearch = () => {
+      // Earlier snapshots give repos older than a month a recent growth rate
+      const stars = openStarHistory({ dataDir, ...starHistoryOptionsFromConfig(config), today: date });
+      return fetchGitHubSearch(date, sources.githubSearch.keywords || keywords, {
+        topics: sources.githubSearch.topics || [],
+        since: daysBefore(date, sources.githubSearch.days ?? 7),
+        maxResults: sources.githubSearch.maxResults,
+        token: sources.githubSearch.token || sources.github?.token || undefined,
+        starSnapshots: id => stars.history(id)
+      });
+    };
+  }
+  if (wants('media') && sources.media?.enabled !== false) {
+    fetchers.media = () => fetchAllMediaSources({
+      since: date,
+      enabledSources: sources.media?.sources || undefined,
+      fda: sources.media?.fda || undefined
+    });
+  }
+
+  return fetchers;
+}
+
+async function runFetchers(fetchers) {
+  const entries = Object.entries(fetchers);
+  const settled = await Promise.allSettled(entries.map(([, fn]) => fn()));
+
+  const results = {};
+  const errors = [];
+  for (let i = 0; i < entries.length; i++) {
+    const [key] = entries[i];
+    const result = settled[i];
+    if (result.status === 'fulfilled') {
+      results[key] = result.value;
+      console.error(`[Debrief] ${key}: ${result.value.length} items`);
+    } else {
+      results[key] = [];
+      errors.push({ source: key, message: result.reason?.message || 'Unknown error' });
+      console.error(`[Debrief] ${key}: FAILED - ${result.reason?.message || 'Unknown error'}`);
+    }
+  }
+
+  return { results, errors };
+}
+
+// ─── Enrich ──────────────────────────────────────────────────
+
+/**
+ * Crossref enrichment runs before pre-ranking so papers OpenAlex returned without an
+ * abstract aren't rejected by the empty-abstract gate. Failures leave papers as they were.
+ */
+async function enrichIfConfigured(papers, config, errors) {
+  const crossref = config.sources?.crossref;
+  if (!crossref?.enrich || !papers.length) return papers;
+
+  try {
+    return await enrichWithCrossref(papers, { mailto: crossref.mailto || config.sources?.openalex?.mailto || undefined });
+  } catch (err) {
+    errors.push({ source: 'crossref-enrich', message: err.message });
+    console.error(`[Debrief] crossref-enrich: FAILED - ${err.message}`);
+    return papers;
+  }
+}
+
+/**
+ * Status/classification changes of FDA recalls already in the media history, as update items
+ */
+async function recheckRecallsIfConfigured(history, config, date, errors) {
+  if (!config.sources?.media?.recheckRecalls) return [];
+
+  try {
+    return await recheckFDARecalls(history.media.entries(), { today: date });
+  } catch (err) {
+    errors.push({ source: 'fda-recheck', message: err.message });
+    console.error(`[Debrief] fda-recheck: FAILED - ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Semantic Scholar context for the papers that made the cut; related papers only for
+ * the ones that fit in the digest (filters.maxPapersPerDigest)
+ */
+async function addSemanticScholar(papers, config, errors) {
+  const s2 = config.sources?.semanticScholar;
+  if (!s2?.enabled || !papers.length) return papers;
+
+  try {
+    return await enrichWithSemanticScholar(papers, {
+      apiKey: s2.apiKey || undefined,
+      relatedPapers: s2.relatedPapers || 0,
+      relatedFor: config.filters?.maxPapersPerDigest || undefined
+    });
+  } catch (err) {
+    errors.push({ source: 'semantic-scholar', message: err.message });
+    console.error(`[Debrief] semantic-scholar: FAILED - ${err.message}`);
+    return papers;
+  }
+}
+
+// ─── Stars ───────────────────────────────────────────────────
+
+/**
+ * Snapshot today's star counts and attach growth; returns the annotated lists plus the
+ * domain repos rising fastest. Snapshots are only saved (and stale repos refreshed) on real runs.
+ */
+async function trackStars(repos, domainRepos, config, date, { dryRun, errors, dataDir }) {
+  const options = starHistoryOptionsFromConfig(config);
+  const stars = openStarHistory({ dataDir, ...options, today: date });
+
+  stars.record(repos, date, { trending: true });
+  stars.record(domainRepos, date, { domain: true });
+
+  if (!dryRun) {
+    if (options.refresh) {
+      try {
+        await refreshStars(stars, date, { token: config.sources?.github?.token || undefined, maxRefresh: options.maxRefresh });
+      } catch (err) {
+        errors.push({ source: 'star-history', message: err.message });
+        console.error(`[Debrief] star-history: FAILED - ${err.message}`);
+      }
+    }
+    stars.save();
+  }
+
+  return {
+    repos: stars.annotate(repos, date),
+    domainRepos: stars.annotate(domainRepos, date),
+    rising: stars.rising(date, { limit: options.risingLimit })
+  };
+}
+
+// ─── Score ───────────────────────────────────────────────────
+
+/**
+ * LLM relevance scoring when config.llm is usable; otherwise papers pass through unscored.
+ * Watchlist papers and papers the LLM couldn't score are kept regardless of relevance.
+ */
+async function scoreIfConfigured(papers, config, errors) {
+  try {
+    llmSettings(config);
+  } catch (err) {
+    console.error(`[Debrief] Skipping LLM scoring: ${err.message}`);
+    return papers;
+  }
+
+  const minRelevance = config.filters?.minRelevanceScore || 1;
+  try {
+    const scored = await scorePapers(papers, config);
+    return scored
+      .filter(p => p.scoreError || p.isWatchlistAuthor || p.relevance >= minRelevance)
+      .sort((a, b) => (b.relevance || 0) - (a.relevance || 0));
+  } catch (err) {
+    errors.push({ source: 'llm', message: err.message });
+    console.error(`[Debrief] llm: FAILED - ${err.message}`);
+    return papers;
+  }
+}
+
+// ─── Main ────────────────────────────────────────────────────
+
+async function runDebrief(options = {}) {
+  const {
+    date = yesterday(),
+    only = null,
+    dryRun = false,
+    deliver = false,
+    score = true,
+    configPath = path.join(SKILL_DIR, 'config.json'),
+    // History, star snapshots and bundles
+    dataDir = DATA_DIR
+  } = options;
+
+  if (only && !SECTIONS.includes(only)) {
+    throw new Error(`--only must be one of: ${SECTIONS.join(', ')}`);
+  }
+
+  const config = loadConfig(configPath);
+  console.error(`[Debrief] ${config.domain?.name || 'Research'} digest for ${date}${only ? ` (${only} only)` : ''}`);
+
+  const watchlist = loadWatchlist(path.resolve(SKILL_DIR, config.authors?.watchlistPath || 'authors_watchlist.json'));
+  const { results, errors } = await runFetchers(buildFetchers(config, date, only, watchlist, dataDir));
+
+  const papers = annotatePapers(
+    // Watchlist results come first so their record is the primary one
+    mergePapers([
+      ...(results.watchlist || []),
+      ...(results.openalex || []),
+      ...(results.crossref || []),
+      ...(results.pubmed || []),
+      ...(results.biorxiv || []),
+      ...(results.arxiv || [])
+    ]),
+    watchlist
+  );
+  // "Trending in your field": domain search results not already in the overall trending list
+  const trendingIds = new Set((results.github || []).map(r => r.id));
+  const stars = !only || only === 'repos'
+    ? await trackStars(results.github || [], (results.githubSearch || []).filter(r => !trendingIds.has(r.id)), config, date, { dryRun, errors, dataDir })
+    : { repos: [], domainRepos: [], rising: [] };
+  const { repos, domainRepos } = stars;
+  const history = openAllHistory(config, { today: date, dataDir });
+  const media = [
+    ...(results.media || []),
+    ...(!only || only === 'media' ? await recheckRecallsIfConfigured(history, config, date, errors) : [])
+  ];
+  const prerank = prerankOptionsFromConfig(config);
+  const unseen = await enrichIfConfigured(papers.filter(p => !history.papers.hasSeen(p)), config, errors);
+  const { papers: ranked, rejected } = prerankPapers(unseen, prerank.keywords, prerank.options);
+  const relevant = await addSemanticScholar(
+    score && ranked.length ? await scoreIfConfigured(ranked, config, errors) : ranked,
+    config,
+    errors
+  );
+
+  const newRepos = repos.filter(r => !history.repos.hasSeen(r));
+  const newDomainRepos = domainRepos.filter(r => !history.repos.hasSeen(r));
+  // Rising repos recur while they keep growing, but not next to their own card
+  const shownIds = new Set([...newRepos, ...newDomainRepos].map(r => r.id));
+
+  const bundle = {
+    version: BUNDLE_VERSION,
+    date,
+    generatedAt: new Date().toISOString(),
+    domain: config.domain?.name || null,
+    sections: only ? [only] : SECTIONS,
+    papers: relevant,
+    repos: newRepos,
+    domainRepos: newDomainRepos,
+    risingRepos: stars.rising.filter(r => !shownIds.has(r.id)),
+    media: media.filter(m => !history.media.hasSeen(m)),
+    stats: {
+      candidates: { papers: papers.length, repos: repos.length + domainRepos.length, media: media.length },
+      prerank: { kept: ranked.length, rejected: rejected.length },
+      bySource: Object.fromEntries(Object.entries(results).map(([k, v]) => [k, v.length]))
+    },
+    errors
+  };
+
+  console.error(`[Debrief] New items: ${bundle.papers.length} papers, ${bundle.repos.length + bundle.domainRepos.length} repos, ${bundle.media.length} media`);
+
+  if (!dryRun) {
+    const bundleDir = path.join(dataDir, 'bundles');
+    fs.mkdirSync(bundleDir, { recursive: true });
+    const bundlePath = path.join(bundleDir, `bundle_${date}.json`);
+    fs.writeFileSync(bundlePath, JSON.stringify(bundle, null, 2));
+    console.error(`[Debrief] Bundle written to ${path.relative(SKILL_DIR, bundlePath)}`);
+    bundle.path = bundlePath;
+
+    if (config.output?.saveToFile) {
+      const digestDir = path.resolve(SKILL_DIR, config.output.filePath || 'digests/');
+      fs.mkdirSync(digestDir, { recursive: true });
+      const digestPath = path.join(digestDir, `digest_${date}.md`);
+      fs.writeFileSync(digestPath, renderDigest(bundle, 'markdown', templatesFromConfig(config)) + '\n');
+      console.error(`[Debrief] Digest written to ${path.relative(SKILL_DIR, digestPath)}`);
+    }
+
+    if (deliver) {
+      bundle.delivery = await deliverAll(bundle, config, { dataDir });
+    }
+
+    // Reported items aren't fetched again tomorrow, unless every channel failed to send them
+    const undelivered = bundle.delivery?.length && bundle.delivery.every(r => !r.ok);
+    if (!undelivered) {
+      const added = markBundleSeen(history, bundle);
+      console.error(`[Debrief] History: ${Object.entries(added).map(([type, n]) => `${n} ${type}`).join(', ')} recorded`);
+    }
+  }
+
+  return bundle;
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  useCassettesFromArgs(process.argv);
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--date' && args[i + 1]) options.date = args[++i];
+    if (args[i] === '--only' && args[i + 1]) options.only = args[++i];
+    if (args[i] === '--config' && args[i + 1]) options.configPath = path.resolve(args[++i]);
+    if (args[i] === '--dry-run') options.dryRun = true;
+    if (args[i] === '--deliver') options.deliver = true;
+    if (args[i] === '--no-score') options.score = false;
+  }
+
+  if (options.date && !/^\d{4}-\d{2}-\d{2}$/.test(options.date)) {
+    console.error('Usage: node run_debrief.js [--date YYYY-MM-DD] [--dry-run] [--only papers|repos|media] [--config path] [--deliver] [--no-score]');
+    process.exit(1);
+  }
+
+  runDebrief(options)
+    .then(bundle => {
+      if (options.dryRun) console.log(JSON.stringify(bundle, null, 2));
+    })
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runDebrief, buildFetchers, BUNDLE_VERSION };
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * Tool: Score paper relevance with the LLM configured in config.llm
+ * Usage: node score_papers.js <papers.json> [--config path] [--min N]
+ * Returns: JSON array of papers with relevance, category and reasoning (best first)
+ *
+ * - Providers: gemini, openai, anthropic (config.llm.provider; model from config.llm.models)
+ * - Prompt: prompts/relevance.txt (or config.llm.promptPath) with ${domain}, ${title},
+ *   ${abstract} and ${categories} placeholders
+ * - Replies must be {"relevance": 1-5, "category": <one of domain.categories>, "reasoning": "..."};
+ *   anything else is retried up to config.llm.maxAttempts times (default 3)
+ * - Results are cached in data/score_cache.json by paper ID + prompt hash, so a re-run
+ *   gives the same scores without calling the API again
+ *
+ * Config (llm): provider, apiKey (or GEMINI_API_KEY / OPENAI_API_KEY / ANTHROPIC_API_KEY),
+ *   models, baseUrl (point at a local mock in tests), promptPath, maxAttempts
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { request } = require('./http_client');
+
+const SKILL_DIR = path.dirname(__dirname);
+const DEFAULT_PROMPT = path.join(SKILL_DIR, 'prompts/relevance.txt');
+const DEFAULT_CACHE = path.join(SKILL_DIR, 'data/score_cache.json');
+const ABSTRACT_LENGTH = 600;
+
+// ─── Providers ───────────────────────────────────────────────
+
+const PROVIDERS = {
+  gemini: {
+    baseUrl: 'https://generativelanguage.googleapis.com',
+    envKey: 'GEMINI_API_KEY',
+    request: (prompt, { model, apiKey, baseUrl }) => ({
+      url: `${baseUrl}/v1beta/models/${model}:generateContent`,
+      // In a header, not ?key=, so it stays out of logged and recorded URLs
+      headers: { 'x-goog-api-key': apiKey },
+      body: {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { temperature: 0, responseMimeType: 'application/json' }
+      }
+    }),
+    text: response => response.candidates?.[0]?.content?.parts?.map(p => p.text).join('') || ''
+  },
+
+  openai: {
+    baseUrl: 'https://api.openai.com',
+    envKey: 'OPENAI_API_KEY',
+    request: (prompt, { model, apiKey, baseUrl }) => ({
+      url: `${baseUrl}/v1/chat/completions`,
+      headers: { Authorization: `Bearer ${apiKey}` },
+      body: {
+        model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [{ role: 'user', content: prompt }]
+      }
+    }),
+    text: response => response.choices?.[0]?.message?.content || ''
+  },
+
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com',
+    envKey: 'ANTHROPIC_API_KEY',
+    request: (prompt, { model, apiKey, baseUrl }) => ({
+      url: `${baseUrl}/v1/messages`,
+      headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+      body: {
+        model,
+        max_tokens: 300,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }]
+      }
+    }),
+    text: response => (response.content || []).filter(c => c.type === 'text').map(c => c.text).join('')
+  }
+};
+
+/**
+ * Resolved provider settings from config.llm; throws when the LLM isn't configured
+ */
+function llmSettings(config = {}) {
+  const llm = config.llm || {};
+  const name = llm.provider || 'gemini';
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`llm.provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+
+  const apiKey = (llm.apiKey && llm.apiKey !== 'YOUR_API_KEY_HERE' ? llm.apiKey : null) || process.env[provider.envKey];
+  if (!apiKey) throw new Error(`No API key for ${name} (set llm.apiKey or ${provider.envKey})`);
+
+  const model = llm.models?.[name];
+  if (!model) throw new Error(`llm.models.${name} is not set`);
+
+  return {
+    name,
+    provider,
+    apiKey,
+    model,
+    baseUrl: (llm.baseUrl || provider.baseUrl).replace(/\/$/, ''),
+    maxAttempts: llm.maxAttempts || 3
+  };
+}
+
+async function complete(prompt, settings) {
+  const { url, headers, body } = settings.provider.request(prompt, settings);
+  const response = await request(url, {
+    source: `LLM (${settings.name})`,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return settings.provider.text(JSON.parse(response.body));
+}
+
+// ─── Prompt & Validation ─────────────────────────────────────
+
+function loadPrompt(config = {}) {
+  const promptPath = config.llm?.promptPath ? path.resolve(SKILL_DIR, config.llm.promptPath) : DEFAULT_PROMPT;
+  return fs.readFileSync(promptPath, 'utf8');
+}
+
+function renderPrompt(template, paper, config = {}) {
+  const values = {
+    domain: config.domain?.name || 'research',
+    title: paper.title || '',
+    abstract: (paper.abstract || '').substring(0, ABSTRACT_LENGTH),
+    categories: (config.domain?.categories || []).join(', ')
+  };
+  return template.replace(/\$\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Parse an LLM reply into { relevance, category, reasoning } or throw saying what's wrong
+ */
+function parseScore(reply, categories = []) {
+  const json = String(reply).replace(/```(?:json)?/g, '').match(/\{[\s\S]*\}/);
+  if (!json) throw new Error('no JSON object in reply');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json[0]);
+  } catch (err) {
+    throw new Error(`invalid JSON: ${err.message}`);
+  }
+
+  const relevance = Number(parsed.relevance);
+  if (!Number.isInteger(relevance) || relevance < 1 || relevance > 5) {
+    throw new Error(`relevance must be an integer 1-5, got ${JSON.stringify(parsed.relevance)}`);
+  }
+  if (typeof parsed.category !== 'string' || (categories.length && !categories.includes(parsed.category))) {
+    throw new Error(`category must be one of: ${categories.join(', ')}`);
+  }
+  if (typeof parsed.reasoning !== 'string' || !parsed.reasoning.trim()) {
+    throw new Error('reasoning must be a non-empty string');
+  }
+
+  return { relevance, category: parsed.category, reasoning: parsed.reasoning.trim() };
+}
+
+// ─── Cache ───────────────────────────────────────────────────
+
+function cacheKey(paper, prompt, settings) {
+  const hash = crypto.createHash('sha1').update(`${settings.name}\n${settings.model}\n${prompt}`).digest('hex').slice(0, 16);
+  return `${paper.id}:${hash}`;
+}
+
+function readCache(cachePath) {
+  if (!fs.existsSync(cachePath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch (err) {
+    console.error(`[Score] Ignoring unreadable cache ${cachePath}: ${err.message}`);
+    return {};
+  }
+}
+
+function writeCache(cachePath, cache) {
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  const tmp = `${cachePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+  fs.renameSync(tmp, cachePath);
+}
+
+// ─── Scoring ─────────────────────────────────────────────────
+
+async function scorePaper(paper, prompt, settings, categories) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+    const reply = await complete(prompt, settings);
+    try {
+      return parseScore(reply, categories);
+    } catch (err) {
+      lastError = err;
+      console.error(`[Score] ${paper.id}: bad reply (${err.message}), attempt ${attempt}/${settings.maxAttempts}`);
+    }
+  }
+  throw new Error(`No valid score after ${settings.maxAttempts} attempts: ${lastError.message}`);
+}
+
+/**
+ * Score every paper; papers are returned with relevance/category/reasoning (or scoreError)
+ */
+async function scorePapers(papers, config = {}, options = {}) {
+  const { cachePath = DEFAULT_CACHE } = options;
+  const settings = llmSettings(config);
+  const template = loadPrompt(config);
+  const cache = readCache(cachePath);
+  let cacheDirty = false;
+
+  const scored = [];
+  for (const paper of papers) {
+    if (!paper.abstract || !paper.abstract.trim()) {
+      scored.push({ ...paper, relevance: 1, reasoning: 'No abstract' });
+      continue;
+    }
+
+    const prompt = renderPrompt(template, paper, config);
+    const key = cacheKey(paper, prompt, settings);
+    if (cache[key]) {
+      scored.push({ ...paper, ...cache[key] });
+      continue;
+    }
+
+    try {
+      const score = await scorePaper(paper, prompt, settings, config.domain?.categories || []);
+      cache[key] = score;
+      cacheDirty = true;
+      scored.push({ ...paper, ...score });
+    } catch (err) {
+      console.error(`[Score] ${paper.id}: ${err.message}`);
+      scored.push({ ...paper, scoreError: err.message });
+    }
+  }
+
+  if (cacheDirty) writeCache(cachePath, cache);
+  return scored;
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let papersPath = null;
+  let configPath = path.join(SKILL_DIR, 'config.json');
+  let minRelevance = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config' && args[i + 1]) configPath = path.resolve(args[++i]);
+    else if (args[i] === '--min' && args[i + 1]) minRelevance = parseInt(args[++i]);
+    else if (!args[i].startsWith('--')) papersPath = args[i];
+  }
+
+  if (!papersPath) {
+    console.error('Usage: node score_papers.js <papers.json> [--config path] [--min N]');
+    process.exit(1);
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const papers = JSON.parse(fs.readFileSync(papersPath, 'utf8'));
+  const min = minRelevance ?? config.filters?.minRelevanceScore ?? 1;
+
+  scorePapers(papers, config)
+    .then(scored => {
+      const kept = scored
+        .filter(p => (p.relevance || 0) >= min)
+        .sort((a, b) => b.relevance - a.relevance);
+      console.error(`[Score] ${kept.length}/${scored.length} papers scored >= ${min}`);
+      console.log(JSON.stringify(kept, null, 2));
+    })
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { scorePapers, parseScore, renderPrompt, llmSettings, PROVIDERS };
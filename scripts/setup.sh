@@ -125,7 +125,7 @@ AUTHORS_JSON='{"authors":[]}'
 if [ "$SETUP_AUTHORS" = "y" ] || [ "$SETUP_AUTHORS" = "Y" ]; then
     echo
     echo "Enter author names (one per line). Press Enter with empty line when done:"
-    echo "(You can find OpenAlex IDs later at https://openalex.org/authors)"
+    echo "(Look up their OpenAlex IDs afterwards with: node scripts/resolve_watchlist.js)"
     echo
     
     AUTHORS_ARRAY="[]"
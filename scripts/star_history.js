@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * Tool: Track repository star counts across runs
+ * Usage: node star_history.js show <owner/repo>            (snapshots plus 1/7/30-day growth)
+ *        node star_history.js rising [--date YYYY-MM-DD] [--limit N]
+ *        node star_history.js refresh [--date YYYY-MM-DD] [--max N]
+ *        [--config path]
+ *
+ * Snapshots live in data/star_history.jsonl, one { id, name, date, stars, ... } line per repo
+ * per day; a second snapshot on the same day replaces the first. The file is rewritten
+ * through a temp file + rename, and snapshots older than retentionDays (default 90) are dropped.
+ *
+ * - growth: stars gained over 1, 7 and 30 days (null without a snapshot 1-2, 7-14 or 30-60 days old)
+ * - persistent trending: on GitHub trending for at least persistentDays (default 3) of the last 7
+ * - rising: domain repos (from GitHub search) ordered by 7-day growth, 1-day when that's unknown
+ *
+ * `refresh` re-reads star counts from the GitHub API for repos seen in the last 30 days that
+ * weren't in today's lists (GITHUB_TOKEN raises the 60 requests/hour limit).
+ * Config (starHistory): refresh, maxRefresh, persistentDays, retentionDays, risingLimit
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { fetchJSON } = require('./http_client');
+
+const SKILL_DIR = path.dirname(__dirname);
+const DATA_DIR = path.join(SKILL_DIR, 'data');
+
+const GROWTH_WINDOWS = { d1: 1, d7: 7, d30: 30 };
+const DEFAULTS = { persistentDays: 3, retentionDays: 90, maxRefresh: 30, risingLimit: 5 };
+const TRENDING_WINDOW_DAYS = 7;
+const ACTIVE_DAYS = 30;
+
+// ─── Dates ───────────────────────────────────────────────────
+
+function daysBefore(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().split('T')[0];
+}
+
+// ─── Files ───────────────────────────────────────────────────
+
+function readJSONL(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try { return JSON.parse(line); } catch (e) { return null; }
+    })
+    .filter(Boolean);
+}
+
+function writeJSONL(file, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+  fs.renameSync(tmp, file);
+}
+
+// ─── Store ───────────────────────────────────────────────────
+
+function repoIdOf(repo) {
+  return String(repo.id && String(repo.id).includes('/') ? repo.id : repo.name).toLowerCase();
+}
+
+/**
+ * Open the snapshot store. Changes stay in memory until save().
+ * options: dataDir, today (YYYY-MM-DD), persistentDays, retentionDays
+ */
+function openStarHistory(options = {}) {
+  const {
+    dataDir = DATA_DIR,
+    today = new Date().toISOString().split('T')[0],
+    persistentDays = DEFAULTS.persistentDays,
+    retentionDays = DEFAULTS.retentionDays
+  } = options;
+
+  const file = path.join(dataDir, 'star_history.jsonl');
+  const byRepo = new Map();
+  for (const entry of readJSONL(file)) addSnapshot(entry);
+
+  function addSnapshot(entry) {
+    const snapshots = byRepo.get(entry.id) || [];
+    const sameDay = snapshots.findIndex(s => s.date === entry.date);
+    if (sameDay === -1) {
+      snapshots.push(entry);
+      snapshots.sort((a, b) => a.date.localeCompare(b.date));
+    } else {
+      const previous = snapshots[sameDay];
+      snapshots[sameDay] = {
+        ...previous,
+        ...entry,
+        trending: Boolean(previous.trending || entry.trending),
+        domain: Boolean(previous.domain || entry.domain)
+      };
+    }
+    byRepo.set(entry.id, snapshots);
+  }
+
+  function snapshotOn(id, date) {
+    const snapshots = byRepo.get(id) || [];
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      if (snapshots[i].date <= date) return snapshots[i];
+    }
+    return null;
+  }
+
+  function growth(id, date = today) {
+    const current = snapshotOn(id, date);
+    const result = {};
+    for (const [key, days] of Object.entries(GROWTH_WINDOWS)) {
+      // A snapshot far older than the window would overstate it: d1 uses one 1-2 days old, d7 7-14
+      const past = current && snapshotOn(id, daysBefore(date, days));
+      result[key] = past && past.date >= daysBefore(date, 2 * days) ? current.stars - past.stars : null;
+    }
+    return result;
+  }
+
+  function trendingDays(id, date = today) {
+    const from = daysBefore(date, TRENDING_WINDOW_DAYS);
+    return (byRepo.get(id) || []).filter(s => s.trending && s.date > from && s.date <= date).length;
+  }
+
+  return {
+    file,
+
+    /**
+     * Snapshot each repo's stars on `date`; flags: trending (from GitHub trending), domain (from search)
+     */
+    record(repos, date = today, flags = {}) {
+      for (const repo of repos) {
+        if (!repo.name) continue;
+        addSnapshot({
+          id: repoIdOf(repo),
+          name: repo.name,
+          url: repo.url || `https://github.com/${repo.name}`,
+          description: repo.description || '',
+          language: repo.language || null,
+          date,
+          stars: repo.stars ?? 0,
+          forks: repo.forks ?? 0,
+          trending: Boolean(flags.trending),
+          domain: Boolean(flags.domain)
+        });
+      }
+    },
+
+    history(id) {
+      return [...(byRepo.get(String(id).toLowerCase()) || [])];
+    },
+
+    growth(id, date = today) {
+      return growth(String(id).toLowerCase(), date);
+    },
+
+    /**
+     * Repos with growth and trending streak attached
+     */
+    annotate(repos, date = today) {
+      return repos.map(repo => {
+        const id = repoIdOf(repo);
+        const days = trendingDays(id, date);
+        return { ...repo, starGrowth: growth(id, date), trendingDays: days, persistentTrending: days >= persistentDays };
+      });
+    },
+
+    /**
+     * Domain repos gaining stars, fastest first
+     */
+    rising(date = today, { limit = DEFAULTS.risingLimit } = {}) {
+      const since = daysBefore(date, ACTIVE_DAYS);
+      const rising = [];
+      for (const [id, snapshots] of byRepo) {
+        if (!snapshots.some(s => s.domain && s.date > since && s.date <= date)) continue;
+        const latest = snapshotOn(id, date);
+        const starGrowth = growth(id, date);
+        const score = starGrowth.d7 ?? starGrowth.d1;
+        if (!score || score <= 0) continue;
+        rising.push({
+          source: 'Star-History',
+          id,
+          name: latest.name,
+          description: latest.description,
+          url: latest.url,
+          stars: latest.stars,
+          forks: latest.forks,
+          language: latest.language,
+          starGrowth,
+          trendingDays: trendingDays(id, date),
+          persistentTrending: trendingDays(id, date) >= persistentDays
+        });
+      }
+      return rising
+        .sort((a, b) => ((b.starGrowth.d7 ?? b.starGrowth.d1) - (a.starGrowth.d7 ?? a.starGrowth.d1)) || a.id.localeCompare(b.id))
+        .slice(0, limit);
+    },
+
+    /**
+     * Repos seen in the last 30 days that have no snapshot on `date`
+     */
+    stale(date = today) {
+      const since = daysBefore(date, ACTIVE_DAYS);
+      return [...byRepo.values()]
+        .map(snapshots => snapshots[snapshots.length - 1])
+        .filter(latest => latest.date > since && latest.date < date);
+    },
+
+    save() {
+      const cutoff = retentionDays ? daysBefore(today, retentionDays) : null;
+      const entries = [...byRepo.values()].flat().filter(s => !cutoff || s.date >= cutoff);
+      writeJSONL(file, entries);
+      return entries.length;
+    }
+  };
+}
+
+/**
+ * Re-read star counts from the GitHub API for repos that weren't in today's lists.
+ * Flags carry over from the repo's latest snapshot; failed lookups are skipped.
+ */
+async function refreshStars(store, date, options = {}) {
+  const { token = process.env.GITHUB_TOKEN || null, maxRefresh = DEFAULTS.maxRefresh } = options;
+  const headers = { 'Accept': 'application/vnd.github+json' };
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+
+  let refreshed = 0;
+  for (const latest of store.stale(date).slice(0, maxRefresh)) {
+    try {
+      const repo = await fetchJSON(`https://api.github.com/repos/${latest.name}`, { source: 'GitHub API', headers });
+      store.record([{
+        name: repo.full_name || latest.name,
+        id: latest.id,
+        url: repo.html_url || latest.url,
+        description: repo.description || latest.description,
+        language: repo.language || latest.language,
+        stars: repo.stargazers_count,
+        forks: repo.forks_count
+      }], date, { domain: latest.domain });
+      refreshed++;
+    } catch (err) {
+      console.error(`[Stars] Could not refresh ${latest.name}: ${err.message}`);
+    }
+  }
+  return refreshed;
+}
+
+function starHistoryOptionsFromConfig(config = {}) {
+  return { ...DEFAULTS, ...(config.starHistory || {}) };
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = [];
+  let date = new Date().toISOString().split('T')[0];
+  let limit = null;
+  let max = null;
+  let configPath = path.join(SKILL_DIR, 'config.json');
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--date' && args[i + 1]) date = args[++i];
+    else if (args[i] === '--limit' && args[i + 1]) limit = parseInt(args[++i]);
+    else if (args[i] === '--max' && args[i + 1]) max = parseInt(args[++i]);
+    else if (args[i] === '--config' && args[i + 1]) configPath = path.resolve(args[++i]);
+    else positional.push(args[i]);
+  }
+
+  const [command, repoName] = positional;
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  const options = starHistoryOptionsFromConfig(config);
+  const store = openStarHistory({ ...options, today: date });
+
+  if (command === 'show' && repoName) {
+    const snapshots = store.history(repoName);
+    if (!snapshots.length) {
+      console.error(`[Stars] ${repoName} is not tracked`);
+      process.exit(1);
+    }
+    for (const s of snapshots) {
+      console.log(`${s.date}  ${String(s.stars).padStart(8)} stars${s.trending ? '  (trending)' : ''}${s.domain ? '  (domain)' : ''}`);
+    }
+    const g = store.growth(repoName, snapshots[snapshots.length - 1].date);
+    const fmt = n => (n === null ? 'n/a' : `${n >= 0 ? '+' : ''}${n}`);
+    console.log(`Growth: 1d ${fmt(g.d1)}, 7d ${fmt(g.d7)}, 30d ${fmt(g.d30)}`);
+  } else if (command === 'rising') {
+    console.log(JSON.stringify(store.rising(date, { limit: limit || options.risingLimit }), null, 2));
+  } else if (command === 'refresh') {
+    refreshStars(store, date, { token: config.sources?.github?.token || undefined, maxRefresh: max || options.maxRefresh })
+      .then(n => {
+        store.save();
+        console.error(`[Stars] Refreshed ${n} repos`);
+      })
+      .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+      });
+  } else {
+    console.error('Usage: node star_history.js show <owner/repo>');
+    console.error('       node star_history.js rising [--date YYYY-MM-DD] [--limit N]');
+    console.error('       node star_history.js refresh [--date YYYY-MM-DD] [--max N]');
+    process.exit(1);
+  }
+}
+
+module.exports = { openStarHistory, refreshStars, starHistoryOptionsFromConfig };
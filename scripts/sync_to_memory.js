@@ -7,50 +7,40 @@
  * - Media items (recalls, outbreaks, news) → memory/research/media_history.json + media_index.md
  * - Digest summaries → memory/research/digest_log.jsonl
  * 
- * Usage: node scripts/sync_to_memory.js [--all]
+ * Usage: node scripts/sync_to_memory.js [--all] [--record <dir> | --replay <dir>]
  *   --all: Sync all items in history (not just new ones)
+ *   --record/--replay: Save OpenAlex responses to, or serve them from, a cassette directory
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { fetchJSON, useCassettesFromArgs } = require('./http_client');
 
 const SKILL_DIR = path.dirname(__dirname);
 const WORKSPACE = path.resolve(SKILL_DIR, '../..');
 const MEMORY_DIR = path.join(WORKSPACE, 'memory/research');
 
-// Paper files
-const PAPERS_HISTORY = path.join(SKILL_DIR, 'data/papers_history.jsonl');
-const ALL_PAPERS_FILE = path.join(MEMORY_DIR, 'all_papers.json');
-const PAPERS_INDEX_FILE = path.join(MEMORY_DIR, 'papers_index.md');
+const DATA_DIR = path.join(SKILL_DIR, 'data');
 
-// Media files
-const MEDIA_HISTORY_SKILL = path.join(SKILL_DIR, 'data/media_history.jsonl');
-const MEDIA_HISTORY_MEM = path.join(MEMORY_DIR, 'media_history.json');
-const MEDIA_INDEX_FILE = path.join(MEMORY_DIR, 'media_index.md');
-
-// Digest log
-const DIGEST_LOG = path.join(MEMORY_DIR, 'digest_log.jsonl');
+// dataDir holds the debrief's *_history.jsonl files, memoryDir the research archive
+function memoryPaths(dataDir = DATA_DIR, memoryDir = MEMORY_DIR) {
+  return {
+    memoryDir,
+    papersHistory: path.join(dataDir, 'papers_history.jsonl'),
+    allPapers: path.join(memoryDir, 'all_papers.json'),
+    papersIndex: path.join(memoryDir, 'papers_index.md'),
+    mediaHistorySkill: path.join(dataDir, 'media_history.jsonl'),
+    mediaHistoryMem: path.join(memoryDir, 'media_history.json'),
+    mediaIndex: path.join(memoryDir, 'media_index.md'),
+    digestLog: path.join(memoryDir, 'digest_log.jsonl')
+  };
+}
 
 // ─── Paper Syncing ───
 
 function fetchPaper(paperId) {
-  return new Promise((resolve, reject) => {
-    const workId = paperId.replace('https://openalex.org/', '');
-    const url = `https://api.openalex.org/works/${workId}`;
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try { resolve(JSON.parse(data)); }
-          catch (e) { reject(new Error(`Parse error: ${e.message}`)); }
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}`));
-        }
-      });
-    }).on('error', reject);
-  });
+  const workId = paperId.replace('https://openalex.org/', '');
+  return fetchJSON(`https://api.openalex.org/works/${workId}`, { source: 'OpenAlex' });
 }
 
 function reconstructAbstract(invertedIndex) {
@@ -62,20 +52,20 @@ function reconstructAbstract(invertedIndex) {
   return positions.join(' ');
 }
 
-async function syncPapers(syncAll) {
+async function syncPapers(syncAll, { paths = memoryPaths(), delayMs = 300 } = {}) {
   console.log('\n📄 Syncing papers...');
   
-  if (!fs.existsSync(PAPERS_HISTORY)) {
+  if (!fs.existsSync(paths.papersHistory)) {
     console.log('  No papers_history.jsonl found');
     return 0;
   }
   
-  const historyLines = fs.readFileSync(PAPERS_HISTORY, 'utf8').trim().split('\n').filter(Boolean);
+  const historyLines = fs.readFileSync(paths.papersHistory, 'utf8').trim().split('\n').filter(Boolean);
   const historyPapers = historyLines.map(line => JSON.parse(line));
   
   let allPapers = [];
-  if (fs.existsSync(ALL_PAPERS_FILE)) {
-    allPapers = JSON.parse(fs.readFileSync(ALL_PAPERS_FILE, 'utf8'));
+  if (fs.existsSync(paths.allPapers)) {
+    allPapers = JSON.parse(fs.readFileSync(paths.allPapers, 'utf8'));
   }
   const existingIds = new Set(allPapers.map(p => p.id));
   
@@ -86,7 +76,7 @@ async function syncPapers(syncAll) {
   if (toSync.length === 0) {
     console.log('  ✓ All papers already synced');
     // Still regenerate index
-    regeneratePapersIndex(allPapers);
+    regeneratePapersIndex(allPapers, paths);
     return 0;
   }
   
@@ -98,20 +88,20 @@ async function syncPapers(syncAll) {
       fullPaper._source = 'daily_debrief';
       fullPaper._added_date = paper.date || new Date().toISOString().split('T')[0];
       newPapers.push(fullPaper);
-      await new Promise(r => setTimeout(r, 300));
+      await new Promise(r => setTimeout(r, delayMs));
     } catch (err) {
       console.log(`  ✗ ${paper.id}: ${err.message}`);
     }
   }
   
   allPapers = [...newPapers, ...allPapers];
-  fs.writeFileSync(ALL_PAPERS_FILE, JSON.stringify(allPapers, null, 2));
-  regeneratePapersIndex(allPapers);
+  fs.writeFileSync(paths.allPapers, JSON.stringify(allPapers, null, 2));
+  regeneratePapersIndex(allPapers, paths);
   console.log(`  ✓ ${newPapers.length} papers synced (${allPapers.length} total)`);
   return newPapers.length;
 }
 
-function regeneratePapersIndex(allPapers) {
+function regeneratePapersIndex(allPapers, paths = memoryPaths()) {
   const debrief = allPapers.filter(p => p._source === 'daily_debrief');
   const user = allPapers.filter(p => p._source === 'user_added');
   
@@ -138,26 +128,26 @@ function regeneratePapersIndex(allPapers) {
     lines.push('');
   }
   
-  fs.writeFileSync(PAPERS_INDEX_FILE, lines.join('\n'));
+  fs.writeFileSync(paths.papersIndex, lines.join('\n'));
 }
 
 // ─── Media Syncing ───
 
-function syncMedia(syncAll) {
+function syncMedia(syncAll, { paths = memoryPaths() } = {}) {
   console.log('\n📰 Syncing media items...');
   
-  if (!fs.existsSync(MEDIA_HISTORY_SKILL)) {
+  if (!fs.existsSync(paths.mediaHistorySkill)) {
     console.log('  No media_history.jsonl found');
     return 0;
   }
   
-  const historyLines = fs.readFileSync(MEDIA_HISTORY_SKILL, 'utf8').trim().split('\n').filter(Boolean);
+  const historyLines = fs.readFileSync(paths.mediaHistorySkill, 'utf8').trim().split('\n').filter(Boolean);
   const newItems = historyLines.map(line => JSON.parse(line));
   
   // Load existing media history
   let allMedia = [];
-  if (fs.existsSync(MEDIA_HISTORY_MEM)) {
-    allMedia = JSON.parse(fs.readFileSync(MEDIA_HISTORY_MEM, 'utf8'));
+  if (fs.existsSync(paths.mediaHistoryMem)) {
+    allMedia = JSON.parse(fs.readFileSync(paths.mediaHistoryMem, 'utf8'));
   }
   
   // Dedup by URL
@@ -173,7 +163,7 @@ function syncMedia(syncAll) {
   
   if (toAdd.length === 0) {
     console.log('  ✓ All media items already synced');
-    regenerateMediaIndex(allMedia);
+    regenerateMediaIndex(allMedia, paths);
     return 0;
   }
   
@@ -185,13 +175,13 @@ function syncMedia(syncAll) {
     allMedia = allMedia.slice(0, 500);
   }
   
-  fs.writeFileSync(MEDIA_HISTORY_MEM, JSON.stringify(allMedia, null, 2));
-  regenerateMediaIndex(allMedia);
+  fs.writeFileSync(paths.mediaHistoryMem, JSON.stringify(allMedia, null, 2));
+  regenerateMediaIndex(allMedia, paths);
   console.log(`  ✓ ${toAdd.length} media items synced (${allMedia.length} total)`);
   return toAdd.length;
 }
 
-function regenerateMediaIndex(allMedia) {
+function regenerateMediaIndex(allMedia, paths = memoryPaths()) {
   const byCategory = {};
   for (const item of allMedia) {
     const cat = item.category || 'Other';
@@ -201,7 +191,7 @@ function regenerateMediaIndex(allMedia) {
   
   const severityOrder = { high: 0, medium: 1, low: 2 };
   const categoryEmoji = {
-    'Outbreak': '🦠', 'Recall': '🔴', 'Alert': '⚠️',
+    'Outbreak': '🦠', 'Recall': '🔴', 'Allergen': '🥜', 'Alert': '⚠️',
     'Policy': '📜', 'Research': '🔬', 'Other': '📋'
   };
   
@@ -214,8 +204,8 @@ function regenerateMediaIndex(allMedia) {
     'Auto-generated by sync_to_memory.js', '', '---', ''
   ];
   
-  // Sort categories: Outbreak, Recall, Alert, Policy, Research, Other
-  const catOrder = ['Outbreak', 'Recall', 'Alert', 'Policy', 'Research', 'Other'];
+  // Sort categories: Outbreak, Recall, Allergen, Alert, Policy, Research, Other
+  const catOrder = ['Outbreak', 'Recall', 'Allergen', 'Alert', 'Policy', 'Research', 'Other'];
   for (const cat of catOrder) {
     const items = byCategory[cat];
     if (!items || items.length === 0) continue;
@@ -236,11 +226,12 @@ function regenerateMediaIndex(allMedia) {
     for (const item of items.slice(0, 50)) {
       const sev = item.severity === 'high' ? '🔴' : item.severity === 'medium' ? '🟡' : '🟢';
       const sources = (item.sources || []).join(', ');
-      const pathogen = item.pathogen ? ` | 🦠 ${item.pathogen}` : '';
+      const pathogen = item.pathogen ? ` | 🦠 ${item.pathogen}${item.serotype ? ` ${item.serotype}` : ''}` : '';
       const product = item.product ? ` | ${item.product}` : '';
+      const allergens = item.allergens && item.allergens.length ? ` | 🥜 ${item.allergens.join(', ')}` : '';
       
       lines.push(`### ${sev} ${item.title} (${item.date || 'undated'})`);
-      lines.push(`📰 ${sources}${pathogen}${product}`);
+      lines.push(`📰 ${sources}${pathogen}${allergens}${product}`);
       if (item.summary) {
         lines.push(item.summary.length > 200 ? item.summary.slice(0, 200) + '...' : item.summary);
       }
@@ -251,25 +242,26 @@ function regenerateMediaIndex(allMedia) {
     }
   }
   
-  fs.writeFileSync(MEDIA_INDEX_FILE, lines.join('\n'));
+  fs.writeFileSync(paths.mediaIndex, lines.join('\n'));
 }
 
 // ─── Digest Log ───
 
-function logDigest(paperCount, mediaCount) {
+function logDigest(paperCount, mediaCount, paths = memoryPaths()) {
   const entry = {
     date: new Date().toISOString().split('T')[0],
     ts: Date.now(),
     papers_synced: paperCount,
     media_synced: mediaCount
   };
-  fs.appendFileSync(DIGEST_LOG, JSON.stringify(entry) + '\n');
+  fs.appendFileSync(paths.digestLog, JSON.stringify(entry) + '\n');
   console.log(`\n📋 Digest logged to digest_log.jsonl`);
 }
 
 // ─── Main ───
 
 async function main() {
+  useCassettesFromArgs(process.argv);
   const syncAll = process.argv.includes('--all');
   const today = new Date().toISOString().split('T')[0];
   
@@ -287,7 +279,11 @@ async function main() {
   console.log(`\n✅ Sync complete: ${paperCount} papers, ${mediaCount} media items`);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { syncPapers, syncMedia, logDigest, memoryPaths };
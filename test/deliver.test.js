@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { deliverAll, filterBundle, resolveChannels } = require('../scripts/deliver');
+
+function startStub(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => handler(req, JSON.parse(body || '{}'), res));
+    }).listen(0, '127.0.0.1', () => resolve({ server, base: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+const bundle = {
+  version: 1,
+  date: '2026-01-26',
+  sections: ['papers', 'repos', 'media'],
+  papers: [{ source: 'OpenAlex', title: 'A paper', abstract: 'Abstract.', relevance: 3, url: 'https://doi.org/10.1000/1' }],
+  repos: [{ name: 'acme/net', url: 'https://github.com/acme/net', stars: 1 }],
+  media: [
+    { title: 'Class I recall', category: 'Recall', severity: 'high', sources: ['FDA'], source_urls: ['https://fda.gov/1'] },
+    { title: 'Policy update', category: 'Policy', severity: 'low', sources: ['Food Safety News'], source_urls: ['https://fsn.com/2'] }
+  ],
+  stats: { candidates: {} }
+};
+
+test('filterBundle applies section and severity filters', () => {
+  const filtered = filterBundle(bundle, { sections: ['media'], minSeverity: 'high' });
+
+  assert.deepEqual(filtered.sections, ['media']);
+  assert.deepEqual(filtered.papers, []);
+  assert.deepEqual(filtered.repos, []);
+  assert.deepEqual(filtered.media.map(m => m.title), ['Class I recall']);
+});
+
+test('configs with only output.telegram resolve to one Telegram channel', () => {
+  assert.deepEqual(resolveChannels({ output: { telegram: { enabled: true } } }), [{ type: 'telegram', name: 'telegram' }]);
+  assert.deepEqual(resolveChannels({ output: { telegram: { enabled: false } } }), []);
+});
+
+test('each channel gets its own format and one failure does not block the others', async () => {
+  const received = {};
+  const { server, base } = await startStub((req, body, res) => {
+    received[req.url] = body;
+    res.writeHead(200);
+    res.end('ok');
+  });
+
+  try {
+    const results = await deliverAll(bundle, {
+      output: {
+        channels: [
+          { type: 'slack', name: 'team-slack', webhookUrl: `${base}/slack`, sections: ['media'], minSeverity: 'high' },
+          { type: 'discord', webhookUrl: `${base}/discord` },
+          { type: 'webhook', name: 'qa-hook', url: `${base}/hook`, format: 'text' },
+          { type: 'email', name: 'qa-email', host: '127.0.0.1', port: 1, from: 'a@example.com', to: 'b@example.com' },
+          { type: 'pager', name: 'unknown' }
+        ]
+      }
+    }, { log: false });
+
+    assert.deepEqual(results.map(r => [r.channel, r.ok]), [
+      ['team-slack', true],
+      ['discord', true],
+      ['qa-hook', true],
+      ['qa-email', false],
+      ['unknown', false]
+    ]);
+    assert.match(results[4].error, /Unknown channel type "pager"/);
+
+    assert.match(received['/slack'].text, /<https:\/\/fda\.gov\/1\|Read More>/);
+    assert.doesNotMatch(received['/slack'].text, /Policy update|A paper/);
+    assert.match(received['/discord'].content, /\*\*A paper\*\*/);
+    assert.equal(received['/hook'].format, 'text');
+    assert.equal(received['/hook'].bundle.date, '2026-01-26');
+  } finally {
+    server.close();
+  }
+});
+
+test('results are logged under the given data directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deliver-'));
+  try {
+    await deliverAll(bundle, { output: { channels: [{ type: 'pager', name: 'unknown' }] } }, { dataDir: dir });
+
+    const [entry] = fs.readFileSync(path.join(dir, 'delivery_log.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(entry.channel, 'unknown');
+    assert.equal(entry.ok, false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { deliverTelegram, splitMessages, toPlainText, TELEGRAM_LIMIT } = require('../scripts/deliver_telegram');
+
+function startStub(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => handler(req, JSON.parse(body || '{}'), res));
+    }).listen(0, '127.0.0.1', () => resolve({ server, base: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+function makeBundle(paperCount) {
+  return {
+    version: 1,
+    date: '2026-01-26',
+    domain: 'Food Safety Research',
+    sections: ['papers'],
+    papers: Array.from({ length: paperCount }, (_, i) => ({
+      source: 'OpenAlex',
+      title: `Paper ${i} about *Salmonella* detection`,
+      abstract: 'x'.repeat(190),
+      citationCount: i,
+      url: `https://doi.org/10.1000/${i}`
+    })),
+    repos: [],
+    media: [],
+    stats: { candidates: { papers: paperCount } }
+  };
+}
+
+function makeConfig(base, dir) {
+  return {
+    filters: { maxPapersPerDigest: 100 },
+    output: { telegram: { botToken: 'TOKEN', chatId: '42', apiBaseUrl: base }, filePath: dir }
+  };
+}
+
+test('splitMessages never exceeds the limit and keeps cards whole', () => {
+  const parts = Array.from({ length: 50 }, (_, i) => `*card ${i}*\n${'y'.repeat(300)}`);
+  const messages = splitMessages(parts);
+
+  assert.ok(messages.length > 1);
+  assert.ok(messages.every(m => m.length <= TELEGRAM_LIMIT));
+  assert.equal(messages.join('\n\n'), parts.join('\n\n'));
+});
+
+test('splitMessages breaks an oversized card between lines', () => {
+  const card = Array.from({ length: 40 }, (_, i) => `line ${i} ${'z'.repeat(200)}`).join('\n');
+  const messages = splitMessages([card]);
+
+  assert.ok(messages.length > 1);
+  assert.ok(messages.every(m => m.length <= TELEGRAM_LIMIT && m.startsWith('line ')));
+});
+
+test('an oversized line is never cut inside a bold or link entity', () => {
+  const words = Array.from({ length: 600 }, (_, i) => `w${i}`).join(' ');
+  const line = `${'a '.repeat(1900)}*bold ${words}* [see the full report](https://example.org/r\\)) end`;
+  const messages = splitMessages([line]);
+
+  assert.ok(messages.length > 1);
+  for (const message of messages) {
+    assert.ok(message.length <= TELEGRAM_LIMIT);
+    // Every piece is balanced MarkdownV2 on its own
+    assert.equal((message.replace(/\\./g, '').match(/\*/g) || []).length % 2, 0);
+    assert.equal((message.match(/\[/g) || []).length, (message.match(/\]\(/g) || []).length);
+  }
+  assert.ok(messages.some(m => m.includes('[see the full report](https://example.org/r\\))')));
+});
+
+test('a bold entity longer than a message is closed and reopened', () => {
+  const messages = splitMessages([`*${'b'.repeat(5000)}*`]);
+
+  assert.equal(messages.length, 2);
+  assert.ok(messages.every(m => m.length <= TELEGRAM_LIMIT && /^\*b+\*$/.test(m)));
+  assert.equal(messages.join('').replace(/\*/g, ''), 'b'.repeat(5000));
+});
+
+test('Discord **bold** is closed and reopened with its own markers', () => {
+  const words = Array.from({ length: 700 }, (_, i) => `w${i}`).join(' ');
+  const messages = splitMessages([`**${words}**`], 2000, 'markdown');
+
+  assert.ok(messages.length > 1);
+  assert.ok(messages.every(m => m.length <= 2000 && /^\*\*[^*]+\*\*$/.test(m)));
+  assert.equal(messages.map(m => m.slice(2, -2)).join(' '), words);
+});
+
+test('Slack lines are cut outside <url|text> links and bold, and a literal _ is not italic', () => {
+  const line = 'Recall of E_coli lots &amp; more *bold words run past the cut* then <https://fda.gov/r/1|the FDA notice> end';
+  const messages = splitMessages([line], 50, 'slack');
+
+  assert.deepEqual(messages, [
+    'Recall of E_coli lots &amp; more',
+    '*bold words run past the cut* then',
+    '<https://fda.gov/r/1|the FDA notice> end'
+  ]);
+});
+
+test('splitMessages rejects formats it has no syntax for', () => {
+  assert.throws(() => splitMessages(['x'], 10, 'html'), /Cannot split html messages/);
+});
+
+test('toPlainText drops MarkdownV2 escapes and markers', () => {
+  assert.equal(toPlainText('*Salmonella* in eggs \\(1\\.5%\\) [report](https://x.org/a\\)b)'), 'Salmonella in eggs (1.5%) report (https://x.org/a)b)');
+});
+
+test('long digests are sent as several MarkdownV2 messages', async () => {
+  const received = [];
+  const { server, base } = await startStub((req, body, res) => {
+    received.push({ url: req.url, body });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true,"result":{}}');
+  });
+
+  try {
+    const result = await deliverTelegram(makeBundle(40), makeConfig(base, os.tmpdir()));
+
+    assert.equal(result.ok, true);
+    assert.equal(result.messages, received.length);
+    assert.ok(received.length > 1);
+    assert.ok(received.every(r => r.url === '/botTOKEN/sendMessage'));
+    assert.ok(received.every(r => r.body.parse_mode === 'MarkdownV2' && r.body.chat_id === '42'));
+    assert.ok(received.every(r => r.body.text.length <= TELEGRAM_LIMIT));
+  } finally {
+    server.close();
+  }
+});
+
+test('429 responses are retried after retry_after', async () => {
+  let calls = 0;
+  const { server, base } = await startStub((req, body, res) => {
+    if (++calls === 1) {
+      res.writeHead(429, { 'Content-Type': 'application/json' });
+      return res.end('{"ok":false,"error_code":429,"parameters":{"retry_after":0}}');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true,"result":{}}');
+  });
+
+  try {
+    const result = await deliverTelegram(makeBundle(1), makeConfig(base, os.tmpdir()));
+
+    assert.equal(result.ok, true);
+    assert.equal(calls, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('failed delivery falls back to digests/digest_<date>.txt', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digests-'));
+  const { server, base } = await startStub((req, body, res) => {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end('{"ok":false,"error_code":400,"description":"Bad Request: chat not found"}');
+  });
+
+  try {
+    const result = await deliverTelegram(makeBundle(1), makeConfig(base, dir));
+
+    assert.equal(result.ok, false);
+    assert.equal(result.fallbackPath, path.join(dir, 'digest_2026-01-26.txt'));
+    assert.match(fs.readFileSync(result.fallbackPath, 'utf8'), /Paper 0 about \*Salmonella\* detection/);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('after a partial send only the unsent messages are written to the fallback file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digests-'));
+  const sent = [];
+  const { server, base } = await startStub((req, body, res) => {
+    if (sent.length === 1) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end('{"ok":false,"error_code":400,"description":"Bad Request: can\'t parse entities"}');
+    }
+    sent.push(body.text);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true,"result":{}}');
+  });
+
+  try {
+    const bundle = makeBundle(40);
+    const result = await deliverTelegram(bundle, makeConfig(base, dir));
+    const fallback = fs.readFileSync(result.fallbackPath, 'utf8');
+
+    assert.equal(result.ok, false);
+    assert.equal(result.messages, 1);
+    assert.ok(result.unsent >= 1);
+    assert.ok(sent[0].includes('Paper 0 about'));
+    assert.doesNotMatch(fallback, /Paper 0 about/);
+    assert.match(fallback, /Paper 39 about \*Salmonella\* detection/);
+    assert.doesNotMatch(fallback, /\\/);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { enrichWithSemanticScholar, s2IdOf } = require('../scripts/enrich_semantic_scholar');
+
+function startStub(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => handler(req, JSON.parse(body || '{}'), res));
+    }).listen(0, '127.0.0.1', () => resolve({ server, base: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+const papers = [
+  { id: 'W1', doi: 'https://doi.org/10.1016/J.FOODCONT.2026.000001', title: 'Published', citationCount: 5 },
+  { id: '2601.12345v2', arxivId: '2601.12345', doi: null, title: 'Preprint', citationCount: 0 },
+  { id: 'W3', doi: '10.1016/j.unknown.2026.1', title: 'Unknown to S2' },
+  { id: 'X', doi: null, title: 'No identifiers' }
+];
+
+const RECORDS = {
+  'DOI:10.1016/j.foodcont.2026.000001': {
+    paperId: 'abc123',
+    url: 'https://www.semanticscholar.org/paper/abc123',
+    tldr: { model: 'tldr@v2.0.0', text: 'Hyperspectral imaging finds Salmonella on carcasses.' },
+    citationCount: 7,
+    influentialCitationCount: 2,
+    fieldsOfStudy: ['Biology'],
+    s2FieldsOfStudy: [{ category: 'Biology', source: 'external' }, { category: 'Computer Science', source: 's2-fos-model' }]
+  },
+  'ARXIV:2601.12345': { paperId: 'def456', url: 'https://www.semanticscholar.org/paper/def456', tldr: null, citationCount: 0, influentialCitationCount: 0, fieldsOfStudy: null, s2FieldsOfStudy: [] }
+};
+
+test('s2IdOf prefers the journal DOI and falls back to the arXiv ID', () => {
+  assert.equal(s2IdOf(papers[0]), 'DOI:10.1016/j.foodcont.2026.000001');
+  assert.equal(s2IdOf({ doi: '10.48550/arXiv.2601.12345' }), 'ARXIV:2601.12345');
+  assert.equal(s2IdOf(papers[3]), null);
+});
+
+test('papers are looked up in one batch and merged with TLDR, influential citations and fields', async () => {
+  const requests = [];
+  const { server, base } = await startStub((req, body, res) => {
+    requests.push({ method: req.method, url: req.url, apiKey: req.headers['x-api-key'], ids: body.ids });
+    res.end(JSON.stringify(body.ids.map(id => RECORDS[id] || null)));
+  });
+
+  try {
+    const [published, preprint, unknown, bare] = await enrichWithSemanticScholar(papers, { baseUrl: base, apiKey: 'KEY', delayMs: 0 });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].method, 'POST');
+    assert.match(requests[0].url, /^\/graph\/v1\/paper\/batch\?fields=.*tldr/);
+    assert.equal(requests[0].apiKey, 'KEY');
+    assert.deepEqual(requests[0].ids, ['DOI:10.1016/j.foodcont.2026.000001', 'ARXIV:2601.12345', 'DOI:10.1016/j.unknown.2026.1']);
+
+    assert.equal(published.tldr, 'Hyperspectral imaging finds Salmonella on carcasses.');
+    assert.equal(published.influentialCitationCount, 2);
+    assert.equal(published.citationCount, 7);
+    assert.deepEqual(published.fieldsOfStudy, ['Biology', 'Computer Science']);
+    assert.equal(published.semanticScholarId, 'abc123');
+    assert.equal(published.relatedPapers, undefined);
+    assert.equal(preprint.tldr, null);
+    assert.equal(unknown, papers[2]);
+    assert.equal(bare, papers[3]);
+  } finally {
+    server.close();
+  }
+});
+
+test('related papers come from the recommendations API for the first relatedFor papers', async () => {
+  const recommendationUrls = [];
+  const { server, base } = await startStub((req, body, res) => {
+    if (req.method === 'POST') return res.end(JSON.stringify(body.ids.map(id => RECORDS[id] || null)));
+    recommendationUrls.push(req.url);
+    res.end(JSON.stringify({
+      recommendedPapers: [
+        { paperId: 'r1', title: 'Related one', url: 'https://www.semanticscholar.org/paper/r1', year: 2025, externalIds: { DOI: '10.1/r1' }, citationCount: 4 },
+        { paperId: 'r2', title: 'Related two', url: 'https://www.semanticscholar.org/paper/r2', year: 2024, externalIds: {}, citationCount: 1 }
+      ]
+    }));
+  });
+
+  try {
+    const [published, preprint] = await enrichWithSemanticScholar(papers, { baseUrl: base, relatedPapers: 2, relatedFor: 1, delayMs: 0 });
+
+    assert.deepEqual(recommendationUrls.map(u => u.split('?')[0]), ['/recommendations/v1/papers/forpaper/abc123']);
+    assert.match(recommendationUrls[0], /limit=2/);
+    assert.deepEqual(published.relatedPapers, [
+      { title: 'Related one', url: 'https://doi.org/10.1/r1', year: 2025, citationCount: 4 },
+      { title: 'Related two', url: 'https://www.semanticscholar.org/paper/r2', year: 2024, citationCount: 1 }
+    ]);
+    assert.equal(preprint.relatedPapers, undefined);
+  } finally {
+    server.close();
+  }
+});
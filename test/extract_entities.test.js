@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractEntities, extractPathogen, mediaFields } = require('../scripts/extract_entities');
+
+// [text, entity, expected value, expected span text]
+const CASES = [
+  ['Salmonella Typhimurium outbreak linked to pork', 'pathogen', 'Salmonella', 'Salmonella Typhimurium'],
+  ['Salmonella enterica serovar Newport infections', 'pathogen', 'Salmonella', 'Salmonella enterica serovar Newport'],
+  ['Salmonella Outbreak Linked to Peaches', 'pathogen', 'Salmonella', 'Salmonella'],
+  ['Ground beef recalled for E. coli O157:H7', 'pathogen', 'E. coli', 'E. coli O157:H7'],
+  ['An O157:H7 E. coli outbreak', 'pathogen', 'E. coli', 'O157:H7 E. coli'],
+  ['STEC O26 infections', 'pathogen', 'E. coli', 'STEC O26'],
+  ['Listeria monocytogenes found in deli meat', 'pathogen', 'Listeria', 'Listeria monocytogenes'],
+  ['Norovirus GII.4 outbreak on a cruise ship', 'pathogen', 'Norovirus', 'Norovirus GII.4'],
+  ['Botulism linked to home-canned vegetables', 'pathogen', 'Clostridium', 'Botulism'],
+  ['Bacillus cereus in rice; not Yersinia', 'pathogen', 'Bacillus cereus', 'Bacillus cereus'],
+  // The earliest pathogen wins, not the first in the list
+  ['Yersinia, then Salmonella', 'pathogen', 'Yersinia', 'Yersinia'],
+  ['No pathogen here', 'pathogen', undefined, undefined],
+
+  ['Outbreak sickens 68 people in 12 states', 'caseCount', 68, 'sickens 68 people'],
+  ['45 people sickened, 20 hospitalized', 'caseCount', 45, '45 people sickened'],
+  ['Eight people have become ill', 'caseCount', 8, 'Eight people have become ill'],
+  ['There are 1,234 confirmed cases', 'caseCount', 1234, '1,234 confirmed cases'],
+  ['Ill: 17 | Hospitalized: 3', 'caseCount', 17, 'Ill: 17'],
+  ['12 cases of Salmonella infection in 4 states', 'caseCount', 12, '12 cases'],
+  ['Officials say 9 cases have been reported', 'caseCount', 9, '9 cases'],
+  // Numbers before "hospitalized" or in statistics aren't cases
+  ['3 people hospitalized after eating oysters', 'caseCount', undefined, undefined],
+  ['1 in 6 people get sick from foodborne illness each year', 'caseCount', undefined, undefined],
+  // Cases of product aren't illnesses
+  ['Recall of 12 cases of canned soup', 'caseCount', undefined, undefined],
+  ['Acme recalled 500 cases of frozen spinach', 'caseCount', undefined, undefined],
+
+  ['45 people sickened, 20 hospitalized', 'hospitalizations', 20, '20 hospitalized'],
+  ['Three people were hospitalized', 'hospitalizations', 3, 'Three people were hospitalized'],
+  ['Ill: 17 | Hospitalized: 3', 'hospitalizations', 3, 'Hospitalized: 3'],
+  ['No hospitalizations have been reported', 'hospitalizations', 0, 'No hospitalizations'],
+  ['The outbreak sickened 12 people, 5 of whom were hospitalized', 'hospitalizations', 5, '5 of whom were hospitalized'],
+
+  ['20 hospitalized and one death', 'deaths', 1, 'one death'],
+  ['Two people have died', 'deaths', 2, 'Two people have died'],
+  ['no deaths reported', 'deaths', 0, 'no deaths'],
+  ['No one has died', 'deaths', 0, 'No one has died'],
+  ['Nine people were sickened, two of whom died', 'deaths', 2, 'two of whom died'],
+
+  ['Acme Meats Recalls Ground Beef Products Due to Possible E. coli O157:H7 Contamination', 'product', 'Ground Beef Products', 'Ground Beef Products'],
+  ['Salmonella outbreak linked to cucumbers sickens 68 people', 'product', 'cucumbers', 'cucumbers'],
+  ['Listeria Outbreak Linked to Deli Meats & Cheeses', 'product', 'Deli Meats & Cheeses', 'Deli Meats & Cheeses'],
+
+  ['Outbreak sickens 68 people in 12 states', 'stateCount', 12, '12 states'],
+  ['Illnesses reported in seven states', 'stateCount', 7, 'seven states'],
+
+  // CDC's label layout: each number belongs to the label before it
+  ['Illnesses: 73 Hospitalizations: 14 Deaths: 0 States: 12', 'caseCount', 73, 'Illnesses: 73'],
+  ['Illnesses: 73 Hospitalizations: 14 Deaths: 0 States: 12', 'hospitalizations', 14, 'Hospitalizations: 14'],
+  ['Illnesses: 73 Hospitalizations: 14 Deaths: 0 States: 12', 'deaths', 0, 'Deaths: 0'],
+  ['Illnesses: 73 Hospitalizations: 14 Deaths: 0 States: 12', 'stateCount', 12, 'States: 12'],
+
+  // Any other colon is just punctuation
+  ['Salmonella outbreak: 45 people sick in 12 states', 'caseCount', 45, '45 people sick'],
+  ['Salmonella outbreak: 45 people sick in 12 states', 'stateCount', 12, '12 states'],
+  ['E. coli outbreak: 3 deaths, 20 hospitalized', 'deaths', 3, '3 deaths'],
+  ['E. coli outbreak: 3 deaths, 20 hospitalized', 'hospitalizations', 20, '20 hospitalized'],
+  ['Update: 45 people sickened in Salmonella outbreak', 'caseCount', 45, '45 people sickened'],
+  ['Outbreak update: 12 cases of illness reported', 'caseCount', 12, '12 cases'],
+  ['Recall update: 3 hospitalized', 'hospitalizations', 3, '3 hospitalized']
+];
+
+for (const [text, entity, value, spanText] of CASES) {
+  test(`${entity}: ${text}`, () => {
+    const result = extractEntities(text)[entity];
+    assert.equal(result?.value, value);
+    assert.equal(result?.text, spanText);
+    if (result) assert.equal(text.slice(result.start, result.end), result.text);
+  });
+}
+
+test('serotypes and strains are returned beside the pathogen', () => {
+  assert.equal(extractEntities('Salmonella Typhimurium outbreak').pathogen.serotype, 'Typhimurium');
+  assert.equal(extractEntities('E. coli O157:H7 in flour').pathogen.serotype, 'O157:H7');
+  assert.equal(extractEntities('Botulism case').pathogen.serotype, 'botulinum');
+  assert.equal(extractEntities('Salmonella Outbreak').pathogen.serotype, null);
+});
+
+test('extractPathogen returns only the normalized name', () => {
+  assert.equal(extractPathogen('Escherichia coli O103 infections'), 'E. coli');
+  assert.equal(extractPathogen(''), null);
+});
+
+test('mediaFields flattens entities into media item fields', () => {
+  const fields = mediaFields('Salmonella Newport outbreak linked to cucumbers sickens 68 people in 12 states; 20 hospitalized, no deaths');
+
+  assert.equal(fields.pathogen, 'Salmonella');
+  assert.equal(fields.serotype, 'Newport');
+  assert.equal(fields.case_count, 68);
+  assert.equal(fields.hospitalizations, 20);
+  assert.equal(fields.deaths, 0);
+  assert.equal(fields.states_count, 12);
+  assert.equal(fields.entities.product.value, 'cucumbers');
+});
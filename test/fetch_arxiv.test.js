@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchArxiv } = require('../scripts/fetch_arxiv');
+
+const CATEGORIES = ['cs.LG', 'cs.CV'];
+const KEYWORDS = ['food safety', 'salmonella'];
+const PAGING = { pageSize: 2, delayMs: 0 };
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/arxiv') }));
+test.after(() => useCassettes());
+
+test('fetchArxiv keeps only entries submitted on the target date', async () => {
+  const papers = await fetchArxiv('2026-01-26', CATEGORIES, KEYWORDS, PAGING);
+
+  assert.deepEqual(papers.map(p => p.id), ['2601.12345v2', '2601.12001v1']);
+});
+
+test('fetchArxiv pages until submissions predate the --since window', async () => {
+  const papers = await fetchArxiv('2026-01-26', CATEGORIES, KEYWORDS, { ...PAGING, since: '2026-01-25' });
+
+  assert.deepEqual(papers.map(p => p.id), ['2601.12345v2', '2601.12001v1', '2601.11000v1']);
+});
+
+test('fetchArxiv honors --until', async () => {
+  const papers = await fetchArxiv('2026-01-26', CATEGORIES, KEYWORDS, { ...PAGING, since: '2026-01-25', until: '2026-01-25' });
+
+  assert.deepEqual(papers.map(p => p.id), ['2601.11000v1']);
+});
+
+test('fetchArxiv maps entries to standardized paper objects', async () => {
+  const [paper] = await fetchArxiv('2026-01-26', CATEGORIES, KEYWORDS, PAGING);
+
+  assert.equal(paper.source, 'arXiv');
+  assert.equal(paper.title, 'Hyperspectral Imaging for Salmonella Detection on Poultry Carcasses');
+  assert.match(paper.abstract, /^We present a deep learning pipeline .* hyperspectral imaging\.$/);
+  assert.deepEqual(paper.authors, [
+    { name: 'Jane Smith', affiliations: ['Cornell University'] },
+    { name: 'Wei Zhang', affiliations: [] }
+  ]);
+  assert.deepEqual(paper.affiliations, ['Cornell University']);
+  assert.equal(paper.doi, '10.1016/j.foodcont.2026.000001');
+  assert.equal(paper.publicationDate, '2026-01-26');
+  assert.equal(paper.updatedDate, '2026-01-26');
+  assert.equal(paper.arxivId, '2601.12345');
+  assert.equal(paper.version, 2);
+  assert.equal(paper.primaryCategory, 'cs.CV');
+  assert.deepEqual(paper.categories, ['cs.CV', 'cs.LG']);
+  assert.equal(paper.url, 'https://arxiv.org/abs/2601.12345v2');
+  assert.equal(paper.pdfUrl, 'https://arxiv.org/pdf/2601.12345v2');
+});
+
+test('the feed title never leaks into an entry title', async () => {
+  const papers = await fetchArxiv('2026-01-26', CATEGORIES, KEYWORDS, PAGING);
+
+  assert.ok(papers.every(p => !p.title.startsWith('ArXiv Query')));
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { useCassettes, cassettePath } = require('../scripts/http_client');
+const { fetchBiorxiv, parseAuthors } = require('../scripts/fetch_biorxiv');
+
+const KEYWORDS = ['food safety', 'salmonella'];
+const CASSETTES = path.join(__dirname, 'fixtures/cassettes/biorxiv');
+const OPTIONS = { delayMs: 0 };
+
+// Replays only the given pages, so a request for any other page fails
+function replayOnly(t, urls) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'biorxiv-'));
+  for (const url of urls) fs.copyFileSync(cassettePath(CASSETTES, 'GET', url), cassettePath(dir, 'GET', url));
+  useCassettes({ replay: dir });
+  t.after(() => {
+    useCassettes({ replay: CASSETTES });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+test.before(() => useCassettes({ replay: CASSETTES }));
+test.after(() => useCassettes());
+
+test('fetchBiorxiv pages both servers and keeps matching subject collections', async () => {
+  const papers = await fetchBiorxiv('2026-01-26', KEYWORDS, OPTIONS);
+
+  // the neuroscience preprint and the off-topic medRxiv one are dropped
+  assert.deepEqual(papers.map(p => p.doi), ['10.1101/2026.01.20.600001', '10.1101/2026.01.19.26300001']);
+  assert.deepEqual(papers.map(p => p.source), ['bioRxiv', 'medRxiv']);
+});
+
+test('only the latest version of a preprint is kept', async () => {
+  const [paper] = await fetchBiorxiv('2026-01-26', KEYWORDS, OPTIONS);
+
+  assert.equal(paper.version, 2);
+  assert.equal(paper.category, 'microbiology');
+  assert.equal(paper.abstract, 'We tracked Salmonella biofilms on food contact surfaces across 40 processing plants.');
+  assert.equal(paper.url, 'https://www.biorxiv.org/content/10.1101/2026.01.20.600001v2');
+  assert.equal(paper.venue, 'bioRxiv preprint');
+  assert.equal(paper.publishedDoi, null);
+});
+
+test('published preprints link to the journal DOI', async () => {
+  const [, paper] = await fetchBiorxiv('2026-01-26', KEYWORDS, OPTIONS);
+
+  assert.equal(paper.publishedDoi, '10.1016/j.jfp.2026.100002');
+  assert.equal(paper.publishedUrl, 'https://doi.org/10.1016/j.jfp.2026.100002');
+});
+
+test('categories and servers can be narrowed', async () => {
+  const papers = await fetchBiorxiv('2026-01-26', KEYWORDS, { ...OPTIONS, servers: ['medrxiv'], categories: ['microbiology'] });
+
+  assert.deepEqual(papers, []);
+});
+
+test('paging stops once maxResults preprints are collected', async (t) => {
+  replayOnly(t, ['https://api.biorxiv.org/details/biorxiv/2026-01-26/2026-01-26/0/json']);
+  const papers = await fetchBiorxiv('2026-01-26', KEYWORDS, { ...OPTIONS, maxResults: 1 });
+
+  assert.deepEqual(papers.map(p => p.doi), ['10.1101/2026.01.20.600001']);
+});
+
+test('maxPages caps the pages fetched from each server', async (t) => {
+  replayOnly(t, [
+    'https://api.biorxiv.org/details/biorxiv/2026-01-26/2026-01-26/0/json',
+    'https://api.biorxiv.org/details/medrxiv/2026-01-26/2026-01-26/0/json'
+  ]);
+  const logged = t.mock.method(console, 'error', () => {});
+  const papers = await fetchBiorxiv('2026-01-26', KEYWORDS, { ...OPTIONS, maxPages: 1 });
+
+  assert.deepEqual(papers.map(p => p.doi), ['10.1101/2026.01.20.600001', '10.1101/2026.01.19.26300001']);
+  assert.match(logged.mock.calls[0].arguments[0], /\[bioRxiv\] Stopped at the 1-page limit/);
+});
+
+test('pages are spaced delayMs apart', async () => {
+  const started = Date.now();
+  await fetchBiorxiv('2026-01-26', KEYWORDS, { delayMs: 50 });
+
+  // Three pages, two gaps
+  assert.ok(Date.now() - started >= 100);
+});
+
+test('parseAuthors turns "Surname, Given" lists into names', () => {
+  assert.deepEqual(parseAuthors('Smith, J.; Rossi, Maria; Consortium'), [
+    { name: 'J. Smith' },
+    { name: 'Maria Rossi' },
+    { name: 'Consortium' }
+  ]);
+});
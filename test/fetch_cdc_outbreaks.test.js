@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchCDCOutbreaks } = require('../scripts/fetch_cdc_outbreaks');
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/cdc') }));
+test.after(() => useCassettes());
+
+test('fetchCDCOutbreaks scrapes outbreak links from the investigation page', async () => {
+  const items = await fetchCDCOutbreaks({ since: '2026-01-20' });
+
+  assert.deepEqual(items.map(i => i.title), [
+    'Salmonella Outbreak Linked to Cucumbers',
+    'Listeria Outbreak Linked to Deli Meats & Cheeses',
+    'E. coli Outbreak Linked to Onions'
+  ]);
+  assert.equal(items[0].source_urls[0], 'https://www.cdc.gov/salmonella/outbreaks/cucumbers-01-26/index.html');
+  assert.equal(items[1].source_urls[0], 'https://www.cdc.gov/listeria/outbreaks/deli-meat-01-26/index.html');
+  assert.deepEqual(items.map(i => i.pathogen), ['Salmonella', 'Listeria', 'E. coli']);
+  assert.deepEqual(items.map(i => i.product), ['Cucumbers', 'Deli Meats & Cheeses', 'Onions']);
+  assert.ok(items.every(i => i.category === 'Outbreak' && i.date_estimated));
+});
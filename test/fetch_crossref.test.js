@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchCrossref, enrichWithCrossref, stripJats } = require('../scripts/fetch_crossref');
+
+const KEYWORDS = ['food safety', 'salmonella'];
+const OPTIONS = { issns: ['0362-028X', '0956-7135'], perPage: 2, mailto: 'debrief@example.com' };
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/crossref') }));
+test.after(() => useCassettes());
+
+test('fetchCrossref follows the cursor through every page', async () => {
+  const papers = await fetchCrossref('2026-01-26', KEYWORDS, OPTIONS);
+
+  assert.deepEqual(papers.map(p => p.doi), ['10.1016/j.jfp.2026.100010', '10.1016/j.foodcont.2026.100011', '10.1016/j.jfp.2026.100012']);
+});
+
+test('without ISSNs only works mentioning a keyword are kept', async () => {
+  // query= only ranks: Crossref returns concrete and corrosion papers too
+  const papers = await fetchCrossref('2026-01-27', KEYWORDS, { perPage: 3 });
+
+  assert.deepEqual(papers.map(p => p.doi), ['10.1016/j.fm.2026.200001', '10.1016/j.foodcont.2026.200003']);
+});
+
+test('works map to standardized papers with license, funders and reference count', async () => {
+  const [paper, partialDate] = await fetchCrossref('2026-01-26', KEYWORDS, OPTIONS);
+
+  assert.equal(paper.source, 'Crossref');
+  assert.equal(paper.title, 'Salmonella transfer during poultry processing');
+  assert.equal(paper.venue, 'Journal of Food Protection');
+  assert.equal(paper.publicationDate, '2026-01-26');
+  assert.equal(paper.referenceCount, 41);
+  assert.equal(paper.license, 'https://creativecommons.org/licenses/by/4.0/');
+  assert.equal(paper.openAccess, true);
+  assert.deepEqual(paper.funders, [{ name: 'National Institute of Food and Agriculture', doi: '10.13039/100005825', awards: ['2024-67017-00001'] }]);
+  assert.deepEqual(paper.authors[0], { name: 'Jane Smith', orcid: 'https://orcid.org/0000-0002-1825-0097', affiliations: ['University of Example'] });
+  assert.equal(partialDate.publicationDate, '2026-01-01');
+});
+
+test('stripJats drops markup and keeps section labels', () => {
+  assert.equal(
+    stripJats('<jats:title>Abstract</jats:title><jats:sec><jats:title>Background</jats:title><jats:p>Risk &amp; loss.</jats:p></jats:sec><jats:p>We used <jats:italic>E. coli</jats:italic>.</jats:p>'),
+    'Background: Risk & loss. We used E. coli.'
+  );
+  assert.equal(stripJats(undefined), '');
+});
+
+test('enrichWithCrossref fills missing fields and leaves existing ones alone', async () => {
+  const papers = [
+    { source: 'OpenAlex', id: 'https://openalex.org/W1', doi: 'https://doi.org/10.1016/j.foodcont.2026.000001', title: 'x', abstract: '' },
+    { source: 'OpenAlex', id: 'https://openalex.org/W2', doi: 'https://doi.org/10.1016/j.jfp.2026.999999', title: 'y', abstract: 'Known.' },
+    { source: 'arXiv', id: '2601.1', doi: null, title: 'z', abstract: '' }
+  ];
+  const [enriched, unknown, noDoi] = await enrichWithCrossref(papers, { mailto: 'debrief@example.com' });
+
+  assert.equal(enriched.abstract, 'We detect Salmonella with hyperspectral imaging.');
+  assert.equal(enriched.abstractSource, 'Crossref');
+  assert.equal(enriched.license, 'https://creativecommons.org/licenses/by-nc/4.0/');
+  assert.equal(enriched.referenceCount, 35);
+  assert.deepEqual(enriched.funders.map(f => f.name), ['USDA']);
+  assert.equal(enriched.title, 'x');
+  assert.equal(unknown, papers[1]);
+  assert.equal(noDoi, papers[2]);
+});
+
+test('papers that need nothing are not looked up', async () => {
+  const complete = { id: 'p', doi: '10.1/x', abstract: 'A', license: 'L', funders: [], referenceCount: 3 };
+
+  // no cassette exists for this DOI, so a request would fail the test
+  assert.deepEqual(await enrichWithCrossref([complete]), [complete]);
+});
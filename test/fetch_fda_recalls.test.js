@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchFDARecalls, recheckFDARecalls, buildSearch } = require('../scripts/fetch_fda_recalls');
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/fda') }));
+test.after(() => useCassettes());
+
+test('fetchFDARecalls pages with skip until the total is reached', async () => {
+  const items = await fetchFDARecalls({ since: '2026-01-20', until: '2026-01-26', pageSize: 2 });
+
+  assert.deepEqual(items.map(i => i.recall_number), ['F-0101-2026', 'F-0102-2026', 'F-0103-2026']);
+  assert.equal(items[0].title, 'Acme Foods Inc. Recalls Acme Peanut Butter Crackers (Class I)');
+  assert.equal(items[0].severity, 'high');
+  assert.equal(items[0].pathogen, 'Salmonella');
+  assert.deepEqual(items[0].states, ['CA', 'NV', 'AZ']);
+  assert.equal(items[0].date, '2026-01-26');
+  assert.equal(items[2].severity, 'medium');
+});
+
+test('fetchFDARecalls files undeclared-allergen recalls under Allergen', async () => {
+  const items = await fetchFDARecalls({ since: '2026-01-20', until: '2026-01-26', pageSize: 2 });
+
+  assert.equal(items[0].category, 'Recall');
+  assert.equal(items[0].hazard_type, 'pathogen');
+  assert.deepEqual(items[0].allergens, []);
+  assert.equal(items[2].category, 'Allergen');
+  assert.equal(items[2].hazard_type, 'allergen');
+  assert.deepEqual(items[2].allergens, ['sesame']);
+});
+
+test('fetchFDARecalls stops at limit without fetching more pages', async () => {
+  const items = await fetchFDARecalls({ since: '2026-01-20', until: '2026-01-26', pageSize: 2, limit: 2 });
+  assert.equal(items.length, 2);
+});
+
+test('fetchFDARecalls searches classification and state fields', async () => {
+  const items = await fetchFDARecalls({ since: '2026-01-20', until: '2026-01-26', classification: 'Class I', state: 'CA' });
+  assert.deepEqual(items.map(i => i.recall_number), ['F-0101-2026']);
+});
+
+test('fetchFDARecalls returns nothing when openFDA finds no matches', async () => {
+  assert.deepEqual(await fetchFDARecalls({ since: '2026-01-01', until: '2026-01-02' }), []);
+});
+
+test('fetchFDARecalls throws when the first page fails', async () => {
+  await assert.rejects(fetchFDARecalls({ since: '2026-02-01', until: '2026-02-02' }), { status: 500 });
+});
+
+test('fetchFDARecalls keeps the pages fetched before a later page fails', async () => {
+  const items = await fetchFDARecalls({ since: '2026-02-03', until: '2026-02-04', pageSize: 2 });
+  assert.deepEqual(items.map(i => i.recall_number), ['F-0101-2026', 'F-0102-2026']);
+});
+
+test('buildSearch ANDs quoted field filters onto the date window', () => {
+  assert.equal(
+    buildSearch({ fromDate: '20260120', toDate: '20260126', firm: 'Acme "Foods"', reason: 'listeria' }),
+    'report_date:[20260120+TO+20260126]+AND+recalling_firm:"Acme+Foods"+AND+reason_for_recall:"listeria"'
+  );
+});
+
+test('recheckFDARecalls reports status changes and reclassifications as updates', async () => {
+  const history = [
+    { recall_number: 'F-0101-2026', status: 'Ongoing', classification: 'Class I', seenDate: '2026-01-26' },
+    { recall_number: 'F-0102-2026', status: 'Ongoing', classification: 'Class II', seenDate: '2026-01-23' },
+    // Terminated recalls aren't looked up again
+    { recall_number: 'F-0099-2025', status: 'Terminated', classification: 'Class II', seenDate: '2026-01-10' }
+  ];
+
+  const updates = await recheckFDARecalls(history, { today: '2026-02-10' });
+
+  assert.equal(updates.length, 2);
+  assert.equal(updates[0].title, 'Update: Acme Foods Inc. Recall F-0101-2026 now Terminated');
+  assert.deepEqual(updates[0].changes, [{ field: 'status', from: 'Ongoing', to: 'Terminated' }]);
+  assert.equal(updates[0].update, true);
+  assert.equal(updates[0].date, '2026-02-10');
+  assert.equal(updates[1].title, 'Update: Sunny Greens LLC Recall F-0102-2026 reclassified Class II → Class I');
+  assert.equal(updates[1].severity, 'high');
+});
+
+test('recheckFDARecalls compares against the latest reported state', async () => {
+  const history = [
+    { recall_number: 'F-0101-2026', status: 'Ongoing', classification: 'Class I', seenDate: '2026-01-26' },
+    { recall_number: 'F-0102-2026', status: 'Ongoing', classification: 'Class II', seenDate: '2026-01-23' },
+    { recall_number: 'F-0102-2026', status: 'Ongoing', classification: 'Class I', update: true, seenDate: '2026-02-01' }
+  ];
+
+  const updates = await recheckFDARecalls(history, { today: '2026-02-10' });
+  assert.deepEqual(updates.map(u => u.recall_number), ['F-0101-2026']);
+});
+
+test('recheckFDARecalls fails loudly when openFDA is down', async () => {
+  const history = [{ recall_number: 'F-0104-2026', status: 'Ongoing', classification: 'Class II', seenDate: '2026-01-26' }];
+  await assert.rejects(recheckFDARecalls(history, { today: '2026-02-10' }), { status: 500 });
+});
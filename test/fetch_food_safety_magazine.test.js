@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchFoodSafetyMagazine } = require('../scripts/fetch_food_safety_magazine');
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/food_safety_magazine') }));
+test.after(() => useCassettes());
+
+test('fetchFoodSafetyMagazine merges topic feeds, newest first, each article once', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const items = await fetchFoodSafetyMagazine({ since: '2026-01-20', topics: ['305', '311'] });
+
+  assert.deepEqual(items.map(i => i.title), [
+    'Deli meat recalled for Listeria monocytogenes',
+    'Undeclared sesame prompts bagel recall'
+  ]);
+  assert.deepEqual(items.map(i => i.tags), [['Recall/Crisis'], ['Allergen']]);
+  assert.equal(items[0].source_urls[0], 'https://www.food-safety.com/articles/1001-deli-meat-recalled');
+  assert.equal(items[0].date, '2026-01-25');
+});
+
+test('fetchFoodSafetyMagazine takes the category from the topic and extracts hazards', async () => {
+  const [recall, allergen] = await fetchFoodSafetyMagazine({ since: '2026-01-20', topics: ['305', '311'] });
+
+  assert.equal(recall.category, 'Recall');
+  assert.equal(recall.severity, 'high');
+  assert.equal(recall.pathogen, 'Listeria');
+  assert.equal(recall.serotype, 'monocytogenes');
+  assert.equal(allergen.category, 'Alert');
+  assert.equal(allergen.hazard_type, 'allergen');
+  assert.deepEqual(allergen.allergens, ['sesame']);
+});
+
+test('a failing topic feed is logged and the others are still returned', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const items = await fetchFoodSafetyMagazine({ since: '2026-01-20', topics: ['305', '312'] });
+
+  assert.deepEqual(items.map(i => i.title), ['Deli meat recalled for Listeria monocytogenes']);
+  assert.match(logged.mock.calls[0].arguments[0], /Topic 312 \(Microbiological\): HTTP 503/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchFoodSafetyNews } = require('../scripts/fetch_food_safety_news');
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/food_safety_news') }));
+test.after(() => useCassettes());
+
+// category, then the entity fields mediaFields adds
+function outbreakFields(item) {
+  return [item.category, item.pathogen, item.case_count, item.hospitalizations, item.deaths, item.states_count, item.product];
+}
+
+test('fetchFoodSafetyNews keeps feed items published since the cutoff', async () => {
+  const items = await fetchFoodSafetyNews({ since: '2026-01-20' });
+
+  assert.deepEqual(items.map(i => i.title), [
+    'Salmonella outbreak linked to cucumbers sickens 68 people',
+    'Bakery recalls cookies over undeclared peanuts',
+    "Study maps 'hot spots' for Listeria in processing plants"
+  ]);
+  assert.deepEqual(items.map(i => i.date), ['2026-01-26', '2026-01-23', '2026-01-21']);
+  assert.equal(items[0].source_urls[0], 'https://www.foodsafetynews.com/2026/01/salmonella-outbreak-cucumbers/');
+  assert.deepEqual(items[0].tags, ['Outbreak Investigations', 'Salmonella']);
+  assert.equal(items[2].summary, 'Researchers sampled drains and floors.');
+});
+
+test('fetchFoodSafetyNews categorizes articles and extracts their entities', async () => {
+  const [outbreak, recall, study] = await fetchFoodSafetyNews({ since: '2026-01-20' });
+
+  assert.deepEqual(outbreakFields(outbreak), ['Outbreak', 'Salmonella', 68, 20, 0, 12, 'cucumbers']);
+  assert.equal(recall.category, 'Allergen');
+  assert.equal(recall.severity, 'medium');
+  assert.deepEqual(recall.allergens, ['milk', 'peanuts']);
+  assert.equal(study.category, 'Research');
+  assert.equal(study.severity, 'low');
+  assert.equal(study.hazard_type, 'pathogen');
+});
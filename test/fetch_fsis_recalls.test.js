@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchFSISRecalls } = require('../scripts/fetch_fsis_recalls');
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/fsis') }));
+test.after(() => useCassettes());
+
+test('fetchFSISRecalls scrapes recall rows inside the date window', async () => {
+  const items = await fetchFSISRecalls({ since: '2026-01-20' });
+
+  assert.equal(items.length, 2);
+  assert.equal(items[0].title, 'Acme Meats Recalls Ground Beef Products Due to Possible E. coli O157:H7 Contamination');
+  assert.deepEqual(items[0].source_urls, [
+    'https://www.fsis.usda.gov/recalls/acme-meats-recalls-ground-beef-products-due-possible-e-coli-o157h7-contamination'
+  ]);
+  assert.equal(items[0].date, '2026-01-26');
+  assert.equal(items[0].pathogen, 'E. coli');
+  assert.equal(items[0].serotype, 'O157:H7');
+  assert.equal(items[0].product, 'Ground Beef Products');
+  assert.equal(items[1].source_urls[0], 'https://www.fsis.usda.gov/recalls/farm-fresh-recalls-chicken-salad-products-due-listeria');
+  assert.equal(items[1].pathogen, 'Listeria');
+  assert.equal(items[1].hazard_type, 'pathogen');
+  assert.deepEqual(items[1].allergens, []);
+});
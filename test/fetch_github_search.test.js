@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchGitHubSearch, buildQueries } = require('../scripts/fetch_github_search');
+
+const OPTIONS = { topics: ['food-safety'], since: '2026-01-19', delayMs: 0 };
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/github_search') }));
+test.after(() => useCassettes());
+
+test('keywords are OR-ed five to a query and each topic gets its own', () => {
+  const keywords = ['a', 'b', 'c', 'd', 'e', 'food safety'];
+
+  assert.deepEqual(buildQueries(keywords, ['haccp'], '2026-01-19', '2026-01-26'), [
+    '(a OR b OR c OR d OR e) in:name,description,topics pushed:2026-01-19..2026-01-26',
+    '"food safety" in:name,description,topics pushed:2026-01-19..2026-01-26',
+    'topic:haccp pushed:2026-01-19..2026-01-26'
+  ]);
+});
+
+test('repos found by several queries appear once, ranked by recent star growth', async () => {
+  const repos = await fetchGitHubSearch('2026-01-26', ['food safety', 'hyperspectral'], OPTIONS);
+
+  // New repos earned all their stars recently; a six-year-old repo's 3,000 say nothing about this week
+  assert.deepEqual(repos.map(r => r.id), ['acme/hyperspec-net', 'haccp/plan-builder', 'oldlab/food-safety-toolkit']);
+  assert.equal(repos[0].starsPerDay, 30);
+  assert.equal(repos[1].starsPerDay, 0.67);
+  assert.equal(repos[2].starsPerDay, null);
+  assert.equal(repos[2].matchedQueries.length, 2);
+});
+
+test('old repos are ranked by stars gained since their star-history snapshot', async () => {
+  const snapshots = {
+    'oldlab/food-safety-toolkit': [
+      { date: '2026-01-12', stars: 2800 },
+      { date: '2026-01-19', stars: 2860 },
+      { date: '2026-01-25', stars: 2990 }
+    ]
+  };
+  const repos = await fetchGitHubSearch('2026-01-26', ['food safety', 'hyperspectral'], {
+    ...OPTIONS,
+    starSnapshots: id => snapshots[id] || []
+  });
+
+  // 140 stars since the snapshot on the window's first day
+  assert.deepEqual(repos.map(r => r.id), ['acme/hyperspec-net', 'oldlab/food-safety-toolkit', 'haccp/plan-builder']);
+  assert.equal(repos[1].starsPerDay, 20);
+});
+
+test('search results use the trending repo shape', async () => {
+  const [repo, bare] = await fetchGitHubSearch('2026-01-26', ['food safety', 'hyperspectral'], OPTIONS);
+
+  assert.equal(repo.source, 'GitHub-Search');
+  assert.equal(repo.name, 'acme/HyperSpec-Net');
+  assert.equal(repo.url, 'https://github.com/acme/HyperSpec-Net');
+  assert.equal(repo.stars, 300);
+  assert.equal(repo.forks, 12);
+  assert.equal(repo.language, 'Python');
+  assert.deepEqual(repo.owner, { name: 'acme', url: 'https://github.com/acme' });
+  assert.deepEqual(repo.topics, ['hyperspectral']);
+  assert.equal(bare.description, '');
+  assert.equal(bare.language, null);
+});
+
+test('maxResults keeps the fastest growing repos', async () => {
+  const repos = await fetchGitHubSearch('2026-01-26', ['food safety', 'hyperspectral'], { ...OPTIONS, maxResults: 1 });
+
+  assert.deepEqual(repos.map(r => r.id), ['acme/hyperspec-net']);
+});
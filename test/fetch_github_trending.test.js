@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchGitHubTrending, fetchGitHubTrendingDevelopers } = require('../scripts/fetch_github_trending');
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/github') }));
+test.after(() => useCassettes());
+
+test('fetchGitHubTrending parses each Box-row article', async () => {
+  const repos = await fetchGitHubTrending(25);
+
+  assert.deepEqual(repos.map(r => r.name), ['acme/salmonella-net', 'foodlab/spoilage-sensors']);
+  assert.equal(repos[0].description, 'Deep learning models for Salmonella detection in food images');
+  assert.equal(repos[0].language, 'Python');
+  assert.equal(repos[0].url, 'https://github.com/acme/salmonella-net');
+  assert.equal(repos[1].description, '');
+  assert.equal(repos[1].language, null);
+});
+
+test('total stars, forks and stars today are read from their own counters', async () => {
+  const [repo, other] = await fetchGitHubTrending(25);
+
+  assert.equal(repo.stars, 12345);
+  assert.equal(repo.forks, 678);
+  assert.equal(repo.starsToday, 321);
+  assert.equal(other.stars, 987);
+  assert.equal(other.forks, 0);
+  assert.equal(other.starsToday, 45);
+});
+
+test('repos carry a stable id, owner and the "Built by" contributors', async () => {
+  const [repo, other] = await fetchGitHubTrending(25);
+
+  assert.equal(repo.id, 'acme/salmonella-net');
+  assert.deepEqual(repo.owner, { name: 'acme', url: 'https://github.com/acme' });
+  assert.deepEqual(repo.builtBy, ['janesmith', 'weizhang']);
+  assert.deepEqual(other.builtBy, []);
+});
+
+test('fetchGitHubTrending honors the limit', async () => {
+  const repos = await fetchGitHubTrending(1);
+
+  assert.equal(repos.length, 1);
+});
+
+test('weekly trending with a spoken language reports stars for the period', async () => {
+  const [repo] = await fetchGitHubTrending(25, 'python', { since: 'weekly', spokenLanguage: 'en' });
+
+  assert.equal(repo.since, 'weekly');
+  assert.equal(repo.starsInPeriod, 1234);
+  assert.equal(repo.starsToday, null);
+  await assert.rejects(fetchGitHubTrending(25, '', { since: 'yearly' }), /since must be one of/);
+});
+
+test('topics and dates come from the GitHub API; failed lookups keep the scraped repo', async () => {
+  const [repo, other] = await fetchGitHubTrending(25, '', { topics: true });
+
+  assert.deepEqual(repo.topics, ['food-safety', 'deep-learning']);
+  assert.equal(repo.createdAt, '2025-11-02T08:00:00Z');
+  assert.equal(repo.updatedAt, '2026-01-26T15:00:00Z');
+  assert.equal(other.topics, undefined);
+  assert.equal(other.stars, 987);
+});
+
+test('the developers page is parsed into developer entries', async () => {
+  const [jane, wei] = await fetchGitHubTrendingDevelopers(25);
+
+  assert.equal(jane.type, 'developer');
+  assert.equal(jane.login, 'janesmith');
+  assert.equal(jane.name, 'Jane Smith');
+  assert.equal(jane.url, 'https://github.com/janesmith');
+  assert.deepEqual(jane.popularRepo, {
+    name: 'janesmith/pathogen-detect',
+    description: 'Spectral models for pathogen detection',
+    url: 'https://github.com/janesmith/pathogen-detect'
+  });
+  assert.equal(wei.name, 'weizhang');
+  assert.equal(wei.popularRepo, null);
+});
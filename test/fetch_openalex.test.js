@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchOpenAlex } = require('../scripts/fetch_openalex');
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/openalex') }));
+test.after(() => useCassettes());
+
+const KEYWORDS = ['food safety', 'salmonella'];
+const PAGING = { mailto: 'debrief@example.com' };
+
+test('fetchOpenAlex reconstructs abstracts and maps authors', async () => {
+  const [paper, noAbstract] = await fetchOpenAlex('2026-01-26', KEYWORDS, 2, PAGING);
+
+  assert.equal(paper.source, 'OpenAlex');
+  assert.equal(paper.id, 'https://openalex.org/W4390000001');
+  assert.equal(paper.abstract, 'We detect Salmonella with hyperspectral imaging.');
+  assert.deepEqual(paper.authors, [
+    { name: 'Jane Smith', id: 'https://openalex.org/A5000000001', orcid: null },
+    { name: 'Wei Zhang', id: 'https://openalex.org/A5000000002', orcid: null }
+  ]);
+  assert.equal(paper.venue, 'Food Control');
+  assert.equal(paper.openAccess, true);
+
+  assert.equal(noAbstract.abstract, '');
+  assert.equal(noAbstract.url, 'https://openalex.org/W4390000002');
+});
+
+test('fetchOpenAlex follows cursors until the last page', async () => {
+  const papers = await fetchOpenAlex('2026-01-26', KEYWORDS, 2, PAGING);
+
+  assert.deepEqual(papers.map(p => p.id), [
+    'https://openalex.org/W4390000001',
+    'https://openalex.org/W4390000002',
+    'https://openalex.org/W4390000003'
+  ]);
+});
+
+test('fetchOpenAlex stops at maxResults', async () => {
+  const papers = await fetchOpenAlex('2026-01-26', KEYWORDS, 2, { ...PAGING, maxResults: 2 });
+
+  assert.equal(papers.length, 2);
+});
+
+test('fetchOpenAlex maps topics, reference counts and the OA PDF', async () => {
+  const [paper] = await fetchOpenAlex('2026-01-26', KEYWORDS, 2, PAGING);
+
+  assert.deepEqual(paper.topics, [
+    { id: 'https://openalex.org/T10001', name: 'Foodborne Pathogen Detection', score: 0.98 }
+  ]);
+  assert.equal(paper.referencedWorksCount, 42);
+  assert.equal(paper.oaPdfUrl, 'https://example.org/paper.pdf');
+  assert.equal(paper.type, 'article');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchPubMed, parsePubMedXml } = require('../scripts/fetch_pubmed');
+
+const KEYWORDS = ['food safety', 'salmonella'];
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/pubmed') }));
+test.after(() => useCassettes());
+
+test('fetchPubMed combines ESummary metadata with EFetch abstracts and MeSH terms', async () => {
+  const [paper] = await fetchPubMed('2026-01-26', KEYWORDS, { delayMs: 0 });
+
+  assert.equal(paper.source, 'PubMed');
+  assert.equal(paper.pmid, '41000001');
+  assert.equal(paper.pmcid, 'PMC12000001');
+  assert.equal(paper.doi, '10.1016/j.jfp.2026.100001');
+  assert.equal(paper.title, 'Salmonella persistence on poultry processing surfaces');
+  assert.equal(paper.venue, 'Journal of food protection');
+  assert.equal(paper.publicationDate, '2026-01-26');
+  assert.deepEqual(paper.meshTerms, ['Salmonella', 'Poultry']);
+  assert.equal(paper.openAccess, true);
+  assert.equal(paper.url, 'https://pubmed.ncbi.nlm.nih.gov/41000001/');
+});
+
+test('structured abstracts keep their section labels', async () => {
+  const [paper, plain] = await fetchPubMed('2026-01-26', KEYWORDS, { delayMs: 0 });
+
+  assert.equal(paper.abstract, 'BACKGROUND: Salmonella persists on stainless steel.\nMETHODS: We sampled 40 plants.\nRESULTS: Biofilms survived sanitation.');
+  assert.deepEqual(paper.abstractSections.map(s => s.label), ['BACKGROUND', 'METHODS', 'RESULTS']);
+  assert.equal(plain.abstract, 'Listeria monocytogenes was found in 3% of samples at 10^4 CFU/g.');
+});
+
+test('inline markup in abstracts keeps its text', async () => {
+  const details = await parsePubMedXml(`<PubmedArticleSet><PubmedArticle><MedlineCitation>
+    <PMID>1</PMID>
+    <Article><Abstract>
+      <AbstractText Label="OBJECTIVE">Detection of <i>Salmonella enterica</i> in eggs is slow.</AbstractText>
+      <AbstractText Label="RESULTS">Counts fell from 10<sup>6</sup> to 10<sup>2</sup> CFU/mL (<i>P</i>&lt;0.05).</AbstractText>
+      <AbstractText Label="CONCLUSIONS"/>
+    </Abstract></Article>
+  </MedlineCitation></PubmedArticle></PubmedArticleSet>`);
+
+  assert.deepEqual(details.get('1').abstractSections, [
+    { label: 'OBJECTIVE', text: 'Detection of Salmonella enterica in eggs is slow.' },
+    { label: 'RESULTS', text: 'Counts fell from 10^6 to 10^2 CFU/mL (P<0.05).' }
+  ]);
+});
+
+test('titles come from EFetch with their inline markup flattened', async () => {
+  const [, paper] = await fetchPubMed('2026-01-26', KEYWORDS, { delayMs: 0 });
+
+  // ESummary has the same title with raw <i> and <sup> tags
+  assert.equal(paper.title, 'Listeria monocytogenes in cold-smoked salmon: counts above 10^2 CFU/g');
+});
+
+test('an article without an English title falls back to its vernacular title', async () => {
+  const details = await parsePubMedXml(`<PubmedArticleSet><PubmedArticle><MedlineCitation>
+    <PMID>1</PMID>
+    <Article><ArticleTitle/><VernacularTitle>Détection de <i>Listeria</i> dans le fromage.</VernacularTitle></Article>
+  </MedlineCitation></PubmedArticle></PubmedArticleSet>`);
+
+  assert.equal(details.get('1').title, 'Détection de Listeria dans le fromage.');
+});
+
+test('authors carry full names, affiliations and ORCIDs', async () => {
+  const [paper] = await fetchPubMed('2026-01-26', KEYWORDS, { delayMs: 0 });
+
+  assert.deepEqual(paper.authors[0], {
+    name: 'Jane Smith',
+    affiliations: ['Cornell University, Ithaca, NY, USA.'],
+    orcid: '0000-0002-1825-0097'
+  });
+});
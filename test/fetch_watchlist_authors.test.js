@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { fetchWatchlistAuthors, normalizeAuthorId } = require('../scripts/fetch_watchlist_authors');
+
+const WATCHLIST = [
+  { name: 'Jane Smith', openalex_id: 'A5000000001' },
+  { name: 'Maria Rossi', openalex_id: 'https://openalex.org/A5000000003' },
+  { name: 'No Id Yet', openalex_id: '' }
+];
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/watchlist') }));
+test.after(() => useCassettes());
+
+test('fetchWatchlistAuthors flags works with every watchlisted co-author', async () => {
+  const papers = await fetchWatchlistAuthors('2026-01-26', WATCHLIST, { mailto: 'debrief@example.com' });
+
+  assert.equal(papers.length, 1);
+  assert.equal(papers[0].title, 'Whole-Genome Sequencing of Poultry Processing Isolates');
+  assert.equal(papers[0].isWatchlistAuthor, true);
+  assert.equal(papers[0].watchlistAuthor, 'Jane Smith, Maria Rossi');
+});
+
+test('fetchWatchlistAuthors makes no request without any OpenAlex IDs', async () => {
+  const papers = await fetchWatchlistAuthors('2026-01-26', [{ name: 'No Id Yet', openalex_id: '' }]);
+
+  assert.deepEqual(papers, []);
+});
+
+test('normalizeAuthorId accepts bare IDs and OpenAlex URLs', () => {
+  assert.equal(normalizeAuthorId('https://openalex.org/A5000000003'), 'A5000000003');
+  assert.equal(normalizeAuthorId('a123'), 'A123');
+  assert.equal(normalizeAuthorId(''), null);
+});
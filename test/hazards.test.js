@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractAllergens, classifyHazard, detectHazards, recallCategory } = require('../scripts/hazards');
+
+const ALLERGEN_CASES = [
+  ['Product contains undeclared milk and soy', ['milk', 'soy']],
+  ['Undeclared whey and cashews', ['milk', 'tree nuts']],
+  ['Undeclared almond milk in coffee drinks', ['tree nuts']],
+  ['Undeclared shrimp and egg in fried rice', ['egg', 'shellfish']],
+  ['Undeclared sesame (tahini) in hummus', ['sesame']],
+  ['Contains wheat and peanuts, allergens not declared on the label', ['peanuts', 'wheat']],
+  ['The product contains milk which is not declared on the label', ['milk']],
+  // reason_for_recall wording from openFDA food enforcement reports
+  ['Product was distributed in packaging that did not reveal the presence of wheat and soy.', ['wheat', 'soy']],
+  ['Chocolate chip cookies contain milk, egg and soy which are not listed on the label.', ['milk', 'egg', 'soy']],
+  ['The label does not declare the presence of cashews.', ['tree nuts']],
+  // The product name isn't the undeclared allergen
+  ['Peanut butter crackers recalled due to undeclared milk', ['milk']],
+  ['Peanut butter recalled for possible Salmonella contamination', []],
+  ['Salmon fillets recalled over Listeria concerns', []],
+  ['', []]
+];
+
+for (const [text, expected] of ALLERGEN_CASES) {
+  test(`extractAllergens: ${text || '(empty)'}`, () => {
+    assert.deepEqual(extractAllergens(text), expected);
+  });
+}
+
+const HAZARD_CASES = [
+  ['Peanut butter recalled for possible Salmonella contamination', 'Salmonella', 'pathogen'],
+  ['Listeria and undeclared milk', 'Listeria', 'pathogen'],
+  ['Undeclared soy lecithin', null, 'allergen'],
+  ['Product was distributed in packaging that did not reveal the presence of wheat and soy.', null, 'allergen'],
+  ['Acme Recalls Cookies Due to Misbranding and Undeclared Allergens', null, 'allergen'],
+  ['Possible foreign material contamination (pieces of hard plastic)', null, 'foreign material'],
+  ['Metal fragments found in frozen meals', null, 'foreign material'],
+  ['Elevated levels of lead in cinnamon applesauce', null, 'chemical'],
+  ['Pesticide residue above tolerance', null, 'chemical'],
+  ['Contains undeclared sulfites', null, 'undeclared ingredient'],
+  ['Undeclared FD&C Yellow No. 5', null, 'undeclared ingredient'],
+  ['New FSMA traceability rule could lead to changes', null, null]
+];
+
+for (const [text, pathogen, expected] of HAZARD_CASES) {
+  test(`classifyHazard: ${text}`, () => {
+    assert.equal(classifyHazard(text, { pathogen }), expected);
+  });
+}
+
+test('detectHazards returns the media item fields', () => {
+  assert.deepEqual(detectHazards('Undeclared milk'), { allergens: ['milk'], hazard_type: 'allergen' });
+  assert.deepEqual(detectHazards('Ground beef E. coli O157:H7', 'E. coli'), { allergens: [], hazard_type: 'pathogen' });
+});
+
+test('recallCategory files allergen recalls under Allergen only', () => {
+  assert.equal(recallCategory('Recall', 'allergen'), 'Allergen');
+  assert.equal(recallCategory('Recall', 'pathogen'), 'Recall');
+  assert.equal(recallCategory('Outbreak', 'allergen'), 'Outbreak');
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { openHistory, openAllHistory, markBundleSeen } = require('../scripts/history');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+}
+
+test('paper identifiers match across DOI case, arXiv versions and OpenAlex URLs', () => {
+  const dataDir = tempDir();
+  const papers = openHistory('papers', { dataDir });
+  papers.markSeen([
+    { id: 'https://openalex.org/W4390000001', doi: 'https://doi.org/10.1016/J.FOODCONT.2026.000001', title: 'A' },
+    { id: '2601.12345v1', arxivId: '2601.12345', title: 'B' }
+  ], '2026-01-26');
+
+  assert.ok(papers.hasSeen({ id: 'x', doi: '10.1016/j.foodcont.2026.000001' }));
+  assert.ok(papers.hasSeen({ id: 'W4390000001' }));
+  assert.ok(papers.hasSeen({ id: '2601.12345v3' }));
+  assert.ok(papers.hasSeen({ id: 'https://openalex.org/W9', doi: 'https://doi.org/10.48550/arXiv.2601.12345' }));
+  assert.ok(!papers.hasSeen({ id: '2601.99999v1' }));
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('markSeen writes JSONL that reopens with the same answers', () => {
+  const dataDir = tempDir();
+  const added = openHistory('papers', { dataDir }).markSeen([
+    { id: 'https://openalex.org/W1', doi: null, title: 'He said "hi"' },
+    { id: 'https://openalex.org/W1', title: 'duplicate' }
+  ], '2026-01-26');
+
+  assert.equal(added, 1);
+  const lines = fs.readFileSync(path.join(dataDir, 'papers_history.jsonl'), 'utf8').trim().split('\n');
+  assert.deepEqual(JSON.parse(lines[0]), { id: 'https://openalex.org/W1', doi: null, title: 'He said "hi"', date: '2026-01-26' });
+  assert.ok(openHistory('papers', { dataDir }).hasSeen({ id: 'W1' }));
+  assert.deepEqual(fs.readdirSync(dataDir), ['papers_history.jsonl']);
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('expired entries no longer count as seen and are dropped by compact', () => {
+  const dataDir = tempDir();
+  openHistory('repos', { dataDir, today: '2026-01-01' }).markSeen([{ name: 'acme/old' }]);
+  openHistory('repos', { dataDir, today: '2026-01-26' }).markSeen([{ name: 'acme/new' }, { name: 'ACME/old' }]);
+
+  const repos = openHistory('repos', { dataDir, expiryDays: 7, today: '2026-01-27' });
+  assert.ok(repos.hasSeen({ name: 'acme/new' }));
+  assert.ok(!repos.hasSeen({ name: 'acme/old' }));
+
+  const expired = openHistory('repos', { dataDir, expiryDays: 7, today: '2026-02-20' });
+  assert.ok(!expired.hasSeen({ name: 'acme/new' }));
+  assert.deepEqual(expired.compact(), { type: 'repos', before: 2, after: 0 });
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('compact keeps the newest record of a repeated identifier', () => {
+  const dataDir = tempDir();
+  const file = path.join(dataDir, 'media_history.jsonl');
+  fs.writeFileSync(file, [
+    { title: 'Recall v1', source_urls: ['https://www.fda.gov/y'], date: '2026-01-20' },
+    { title: 'Recall v2', source_urls: ['https://www.fda.gov/y'], date: '2026-01-25' }
+  ].map(e => JSON.stringify(e)).join('\n') + '\n');
+
+  const media = openHistory('media', { dataDir, today: '2026-01-26' });
+  assert.deepEqual(media.compact(), { type: 'media', before: 2, after: 1 });
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).title, 'Recall v2');
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('a recall update is new once per status and classification', () => {
+  const dataDir = tempDir();
+  const media = openHistory('media', { dataDir, today: '2026-02-10' });
+  const recall = { title: 'Acme recall', source_urls: ['https://api.fda.gov/x'], recall_number: 'F-1', status: 'Ongoing' };
+  const update = { ...recall, title: 'Update: Acme recall now Terminated', status: 'Terminated', update: true };
+
+  media.markSeen([recall], '2026-01-26');
+  assert.equal(media.hasSeen(update), false);
+  assert.equal(media.markSeen([update]), 1);
+  assert.equal(media.hasSeen({ ...update }), true);
+  assert.deepEqual(media.entries().map(e => e.status), ['Ongoing', 'Terminated']);
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('markBundleSeen records papers, repos, domain repos and media but not rising repos', () => {
+  const dataDir = tempDir();
+  const history = openAllHistory({}, { dataDir, today: '2026-01-26' });
+  const added = markBundleSeen(history, {
+    date: '2026-01-26',
+    papers: [{ id: 'https://openalex.org/W1' }],
+    repos: [{ id: 'acme/net' }],
+    domainRepos: [{ id: 'lab/haccp' }],
+    risingRepos: [{ id: 'lab/rising' }],
+    media: [{ title: 'Recall', source_urls: ['https://fda.gov/1'] }]
+  });
+
+  assert.deepEqual(added, { papers: 1, repos: 2, media: 1 });
+  assert.ok(history.repos.hasSeen({ id: 'lab/haccp' }));
+  assert.ok(!history.repos.hasSeen({ id: 'lab/rising' }));
+  assert.equal(openHistory('papers', { dataDir }).entries()[0].date, '2026-01-26');
+  fs.rmSync(dataDir, { recursive: true });
+});
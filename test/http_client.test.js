@@ -0,0 +1,259 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { fetchJSON, fetchText, request, useCassettes, HttpError, parseRetryAfter, redactUrl } = require('../scripts/http_client');
+
+function startServer(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler).listen(0, '127.0.0.1', () => {
+      resolve({ server, base: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// Collects console.error lines (the retry log) while fn runs
+async function captureErrors(fn) {
+  const lines = [];
+  const original = console.error;
+  console.error = (...args) => lines.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    console.error = original;
+  }
+  return lines;
+}
+
+test.afterEach(() => useCassettes());
+
+test('retries 5xx responses and honors Retry-After', async () => {
+  let calls = 0;
+  const { server, base } = await startServer((req, res) => {
+    if (++calls < 3) {
+      res.writeHead(503, { 'Retry-After': '0' });
+      return res.end('busy');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+
+  try {
+    assert.deepEqual(await fetchJSON(`${base}/flaky`, { backoffMs: 1 }), { ok: true });
+    assert.equal(calls, 3);
+  } finally {
+    server.close();
+  }
+});
+
+test('throws HttpError with source, url and status', async () => {
+  const { server, base } = await startServer((req, res) => {
+    res.writeHead(404);
+    res.end('not here');
+  });
+
+  try {
+    await assert.rejects(fetchText(`${base}/missing`, { source: 'Test' }), (err) => {
+      assert.ok(err instanceof HttpError);
+      assert.equal(err.source, 'Test');
+      assert.equal(err.url, `${base}/missing`);
+      assert.equal(err.status, 404);
+      return true;
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test('records responses to a cassette directory and replays them offline', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+  const { server, base } = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`hello from ${req.url}`);
+  });
+
+  try {
+    useCassettes({ record: dir });
+    assert.equal(await fetchText(`${base}/a`), 'hello from /a');
+  } finally {
+    server.close();
+  }
+
+  useCassettes({ replay: dir });
+  assert.equal(await fetchText(`${base}/a`), 'hello from /a');
+  await assert.rejects(fetchText(`${base}/b`), /No cassette for GET/);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('backs off exponentially and gives up after the configured retries', async () => {
+  let calls = 0;
+  const { server, base } = await startServer((req, res) => {
+    calls++;
+    res.writeHead(500);
+    res.end('boom');
+  });
+
+  try {
+    const log = await captureErrors(async () => {
+      await assert.rejects(fetchText(`${base}/down`, { source: 'Test', retries: 2, backoffMs: 5 }), (err) => {
+        assert.equal(err.status, 500);
+        assert.equal(err.retryable, true);
+        return true;
+      });
+    });
+    assert.equal(calls, 3);
+    assert.deepEqual(log.map(line => line.match(/in (\d+)ms/)[1]), ['5', '10']);
+    assert.match(log[0], /^\[Test\] Retrying http:\/\/127\.0\.0\.1:\d+\/down in 5ms \(500\)$/);
+  } finally {
+    server.close();
+  }
+});
+
+test('waits for Retry-After instead of the backoff, capped at maxBackoffMs', async () => {
+  let calls = 0;
+  const { server, base } = await startServer((req, res) => {
+    if (++calls === 1) {
+      res.writeHead(429, { 'Retry-After': '120' });
+      return res.end('slow down');
+    }
+    res.end('ok');
+  });
+
+  try {
+    const log = await captureErrors(async () => {
+      assert.equal(await fetchText(`${base}/limited`, { backoffMs: 1, maxBackoffMs: 20 }), 'ok');
+    });
+    assert.match(log[0], /in 20ms \(429\)/);
+  } finally {
+    server.close();
+  }
+
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('does not retry 4xx responses other than 429', async () => {
+  let calls = 0;
+  const { server, base } = await startServer((req, res) => {
+    calls++;
+    res.writeHead(403);
+    res.end('forbidden');
+  });
+
+  try {
+    await assert.rejects(fetchText(`${base}/private`, { backoffMs: 1 }), { status: 403 });
+    assert.equal(calls, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('follows redirects up to maxRedirects', async () => {
+  const { server, base } = await startServer((req, res) => {
+    const hop = Number(req.url.slice(1));
+    if (hop < 3) {
+      res.writeHead(302, { Location: `/${hop + 1}` });
+      return res.end();
+    }
+    res.end(`landed on ${req.url}`);
+  });
+
+  try {
+    const response = await request(`${base}/0`);
+    assert.equal(response.body, 'landed on /3');
+    assert.equal(response.url, `${base}/3`);
+    await assert.rejects(request(`${base}/0`, { maxRedirects: 2 }), /Too many redirects/);
+  } finally {
+    server.close();
+  }
+});
+
+test('rejects bodies larger than maxBytes', async () => {
+  const { server, base } = await startServer((req, res) => {
+    res.end('x'.repeat(2048));
+  });
+
+  try {
+    await assert.rejects(fetchText(`${base}/big`, { maxBytes: 1024 }), /Response exceeds 1024 bytes/);
+    assert.equal((await fetchText(`${base}/big`, { maxBytes: 4096 })).length, 2048);
+  } finally {
+    server.close();
+  }
+});
+
+test('maxBytes also caps the decompressed size of gzip, deflate and brotli bodies', async () => {
+  const plain = Buffer.from('x'.repeat(1024 * 1024));
+  const encoded = { gzip: zlib.gzipSync(plain), deflate: zlib.deflateSync(plain), br: zlib.brotliCompressSync(plain) };
+  const { server, base } = await startServer((req, res) => {
+    const encoding = req.url.slice(1);
+    res.writeHead(200, { 'Content-Encoding': encoding });
+    res.end(encoded[encoding]);
+  });
+
+  try {
+    for (const encoding of Object.keys(encoded)) {
+      // A few KB on the wire, a megabyte once decoded
+      assert.ok(encoded[encoding].length < 4096);
+      await assert.rejects(fetchText(`${base}/${encoding}`, { maxBytes: 4096, retries: 0 }), /Response exceeds 4096 bytes/);
+      assert.equal((await fetchText(`${base}/${encoding}`, { maxBytes: 2 * 1024 * 1024 })).length, plain.length);
+    }
+  } finally {
+    server.close();
+  }
+});
+
+test('redactUrl masks API keys and Telegram bot tokens', () => {
+  assert.equal(
+    redactUrl('https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=pubmed&api_key=abc123&tool=x'),
+    'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=pubmed&api_key=REDACTED&tool=x'
+  );
+  assert.equal(redactUrl('https://example.org/v1?key=k&token=t'), 'https://example.org/v1?key=REDACTED&token=REDACTED');
+  assert.equal(
+    redactUrl('https://api.telegram.org/bot123456:AA-bb_CC/sendMessage'),
+    'https://api.telegram.org/botREDACTED/sendMessage'
+  );
+  assert.equal(redactUrl('https://example.org/monkey?keyword=salmonella'), 'https://example.org/monkey?keyword=salmonella');
+});
+
+test('credentials never reach retry logs, errors or cassettes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+  const { server, base } = await startServer((req, res) => {
+    res.writeHead(req.url.startsWith('/bot') ? 503 : 200);
+    res.end('done');
+  });
+
+  try {
+    const log = await captureErrors(async () => {
+      await assert.rejects(fetchText(`${base}/bot123456:SECRET/sendMessage`, { retries: 1, backoffMs: 1 }), (err) => {
+        assert.equal(err.url, `${base}/botREDACTED/sendMessage`);
+        return true;
+      });
+    });
+    assert.doesNotMatch(log.join('\n'), /SECRET/);
+
+    useCassettes({ record: dir });
+    await fetchText(`${base}/search?term=x&api_key=SECRET`);
+    const [file] = fs.readdirSync(dir);
+    const cassette = fs.readFileSync(path.join(dir, file), 'utf8');
+    assert.doesNotMatch(cassette, /SECRET/);
+    assert.equal(JSON.parse(cassette).request.url, `${base}/search?term=x&api_key=REDACTED`);
+  } finally {
+    server.close();
+  }
+
+  // Replays with whatever key the caller has
+  useCassettes({ replay: dir });
+  assert.equal(await fetchText(`${base}/search?term=x&api_key=OTHER`), 'done');
+  await assert.rejects(fetchText(`${base}/search?term=y&api_key=SECRET`), (err) => {
+    assert.doesNotMatch(err.message, /SECRET/);
+    return true;
+  });
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
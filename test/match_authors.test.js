@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { annotatePapers, buildMatcher, normalizeName } = require('../scripts/match_authors');
+
+const WATCHLIST = [
+  { name: 'Jane Smith', openalex_id: 'A5000000001', orcid: '0000-0002-1825-0097', name_variants: ['Jane M. Smith'] },
+  { name: 'Wei Zhang', openalex_id: '' }
+];
+
+test('normalizeName folds diacritics, case and "Surname, Given" order', () => {
+  assert.equal(normalizeName('Jané  SMITH'), 'jane smith');
+  assert.equal(normalizeName('Smith, Jane'), 'jane smith');
+  assert.equal(normalizeName('Jean-Luc Picard'), 'jean luc picard');
+});
+
+const CASES = [
+  [{ name: 'Someone Else', id: 'https://openalex.org/A5000000001' }, 'Jane Smith', 'openalex_id', 'high'],
+  [{ name: 'J Smith', orcid: 'https://orcid.org/0000-0002-1825-0097' }, 'Jane Smith', 'orcid', 'high'],
+  [{ name: 'Jané Smith' }, 'Jane Smith', 'full_name', 'medium'],
+  [{ name: 'Smith, Jane' }, 'Jane Smith', 'full_name', 'medium'],
+  [{ name: 'Jane M. Smith' }, 'Jane Smith', 'full_name', 'medium'],
+  [{ name: 'J. Smith' }, 'Jane Smith', 'initials', 'low'],
+  [{ name: 'W. Zhang' }, 'Wei Zhang', 'initials', 'low'],
+  [{ name: 'K. Smith' }, null],
+  [{ name: 'Jane Smithers' }, null]
+];
+
+for (const [author, expected, strategy, confidence] of CASES) {
+  test(`matchAuthor: ${JSON.stringify(author)}`, () => {
+    const match = buildMatcher(WATCHLIST)(author);
+
+    if (!expected) return assert.equal(match, null);
+    assert.equal(match.entry.name, expected);
+    assert.equal(match.strategy, strategy);
+    assert.equal(match.confidence, confidence);
+  });
+}
+
+test('annotatePapers flags confident matches and keeps low ones as possible', () => {
+  const [confident, possible, none] = annotatePapers([
+    { id: 'a', authors: [{ name: 'J. Smith' }, { name: 'Smith, Jane' }] },
+    { id: 'b', authors: [{ name: 'W. Zhang' }] },
+    { id: 'c', authors: [{ name: 'Nobody' }], isWatchlistAuthor: true, watchlistAuthor: 'stale' }
+  ], WATCHLIST);
+
+  assert.equal(confident.isWatchlistAuthor, true);
+  assert.equal(confident.watchlistAuthor, 'Jane Smith');
+  assert.deepEqual(confident.watchlistMatches, [
+    { name: 'Jane Smith', author: 'Smith, Jane', strategy: 'full_name', confidence: 'medium' }
+  ]);
+
+  assert.equal(possible.isWatchlistAuthor, false);
+  assert.equal(possible.possibleWatchlistAuthor, 'Wei Zhang');
+
+  assert.deepEqual(none, { id: 'c', authors: [{ name: 'Nobody' }] });
+});
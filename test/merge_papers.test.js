@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergePapers, arxivIdOf, normalizeDoi } = require('../scripts/merge_papers');
+
+const published = {
+  source: 'OpenAlex',
+  id: 'https://openalex.org/W4390000001',
+  doi: 'https://doi.org/10.1016/J.FOODCONT.2026.000001',
+  title: 'Hyperspectral Imaging for Salmonella Detection on Poultry Carcasses',
+  abstract: 'Short.',
+  authors: [{ name: 'Jane Smith', id: 'https://openalex.org/A5000000001' }],
+  venue: 'Food Control',
+  citationCount: 3,
+  openAccess: false,
+  url: 'https://doi.org/10.1016/j.foodcont.2026.000001'
+};
+
+const preprint = {
+  source: 'arXiv',
+  id: '2601.12345v2',
+  arxivId: '2601.12345',
+  doi: null,
+  title: 'Hyperspectral imaging for Salmonella detection on poultry carcasses',
+  abstract: 'We present a deep learning pipeline that detects Salmonella with hyperspectral imaging.',
+  authors: [{ name: 'J. Smith', affiliations: ['Cornell University'] }],
+  venue: 'arXiv preprint',
+  citationCount: 0,
+  openAccess: true,
+  url: 'https://arxiv.org/abs/2601.12345v2',
+  pdfUrl: 'https://arxiv.org/pdf/2601.12345v2'
+};
+
+test('identifiers are normalized before matching', () => {
+  assert.equal(normalizeDoi('https://doi.org/10.1016/J.X'), '10.1016/j.x');
+  assert.equal(normalizeDoi('doi:10.1016/j.x'), '10.1016/j.x');
+  assert.equal(arxivIdOf({ doi: 'https://doi.org/10.48550/arXiv.2601.12345' }), '2601.12345');
+  assert.equal(arxivIdOf({ url: 'https://arxiv.org/abs/2601.12345v3' }), '2601.12345');
+});
+
+test('a preprint and its published record merge on title and first author', () => {
+  const [merged, ...rest] = mergePapers([published, preprint]);
+
+  assert.equal(rest.length, 0);
+  assert.deepEqual(merged.sources, ['OpenAlex', 'arXiv']);
+  assert.equal(merged.id, published.id);
+  assert.equal(merged.url, published.url);
+  assert.deepEqual(merged.urls, [published.url, preprint.url]);
+  assert.equal(merged.arxivId, '2601.12345');
+  assert.equal(merged.arxivUrl, preprint.url);
+  assert.equal(merged.pdfUrl, preprint.pdfUrl);
+  assert.equal(merged.abstract, preprint.abstract);
+  assert.equal(merged.venue, 'Food Control');
+  assert.equal(merged.citationCount, 3);
+  assert.equal(merged.openAccess, true);
+  assert.deepEqual(merged.authors, published.authors);
+});
+
+test('the published DOI and venue win even when the preprint comes first', () => {
+  const [merged] = mergePapers([preprint, published]);
+
+  assert.equal(merged.doi, published.doi);
+  assert.equal(merged.url, published.url);
+  assert.equal(merged.venue, 'Food Control');
+  assert.deepEqual(merged.authors, published.authors);
+});
+
+test('an OpenAlex record with the arXiv DOI merges on the arXiv ID', () => {
+  const arxivDoi = { ...published, doi: 'https://doi.org/10.48550/arxiv.2601.12345', title: 'Renamed in indexing', venue: 'arXiv (Cornell University)' };
+  const [merged, ...rest] = mergePapers([arxivDoi, preprint]);
+
+  assert.equal(rest.length, 0);
+  assert.equal(merged.arxivId, '2601.12345');
+});
+
+test('similar titles by different first authors stay separate', () => {
+  const other = { ...preprint, arxivId: '2601.99999', url: 'https://arxiv.org/abs/2601.99999v1', authors: [{ name: 'Wei Zhang' }] };
+
+  assert.equal(mergePapers([published, other]).length, 2);
+});
+
+test('a bioRxiv preprint merges with the journal version named in publishedDoi', () => {
+  const biorxiv = {
+    ...preprint,
+    source: 'bioRxiv',
+    id: 'https://doi.org/10.1101/2026.01.20.600001',
+    arxivId: undefined,
+    doi: '10.1101/2026.01.20.600001',
+    publishedDoi: '10.1016/j.foodcont.2026.000001',
+    title: 'A different preprint title',
+    venue: 'bioRxiv preprint',
+    url: 'https://www.biorxiv.org/content/10.1101/2026.01.20.600001v2'
+  };
+  const [merged, ...rest] = mergePapers([biorxiv, published]);
+
+  assert.equal(rest.length, 0);
+  assert.equal(merged.doi, published.doi);
+  assert.equal(merged.venue, 'Food Control');
+  assert.deepEqual(merged.sources, ['bioRxiv', 'OpenAlex']);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { prerankPapers } = require('../scripts/prerank_papers');
+
+const KEYWORDS = {
+  technical: ['deep learning', 'hyperspectral', 'sensor'],
+  domain: ['salmonella', 'food safety', 'e. coli']
+};
+
+const papers = [
+  { id: 'both', title: 'Hyperspectral imaging for Salmonella detection', abstract: 'A deep learning model finds Salmonella on poultry.' },
+  { id: 'domain', title: 'Salmonella prevalence in retail chicken', abstract: 'A survey of Salmonella and E. coli in food safety inspections.' },
+  { id: 'technical', title: 'Low-cost gas sensors', abstract: 'We build cheap sensors for air monitoring.' },
+  { id: 'neither', title: 'Medieval trade routes', abstract: 'A history of the spice trade.' },
+  { id: 'empty', title: 'Salmonella deep learning', abstract: '   ' }
+];
+
+test('papers matching both keyword groups rank first with their matched terms', () => {
+  const { papers: ranked } = prerankPapers(papers, KEYWORDS);
+
+  assert.equal(ranked[0].id, 'both');
+  assert.deepEqual(ranked[0].matchedTerms, { technical: ['deep learning', 'hyperspectral'], domain: ['salmonella'] });
+  assert.deepEqual(ranked[1].matchedTerms.domain, ['salmonella', 'food safety', 'e. coli']);
+  assert.deepEqual(ranked.find(p => p.id === 'technical').matchedTerms.technical, ['sensor']);
+  assert.equal(ranked.at(-1).id, 'neither');
+  assert.equal(ranked.at(-1).prerankScore, 0);
+});
+
+test('an empty abstract is rejected before scoring', () => {
+  const { papers: ranked, rejected } = prerankPapers(papers, KEYWORDS);
+
+  assert.ok(!ranked.some(p => p.id === 'empty'));
+  assert.deepEqual(rejected.map(p => [p.id, p.relevance, p.prerankReason]), [['empty', 1, 'empty abstract']]);
+});
+
+test('minScore and topK cut the list; watchlist papers always pass', () => {
+  const withWatchlist = [...papers, { id: 'watchlist', title: 'Off-topic', abstract: 'Nothing relevant.', isWatchlistAuthor: true }];
+  const { papers: ranked, rejected } = prerankPapers(withWatchlist, KEYWORDS, { minScore: 0.01, topK: 2 });
+
+  assert.deepEqual(ranked.map(p => p.id).sort(), ['both', 'domain', 'watchlist']);
+  assert.deepEqual(rejected.map(p => p.prerankReason).sort(), ['empty abstract', 'outside top 2', 'score below 0.01']);
+});
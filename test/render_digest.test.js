@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderDigest, renderDigestParts, templatesFromConfig, escapeMarkdownV2 } = require('../scripts/render_digest');
+
+const bundle = {
+  version: 1,
+  date: '2026-01-26',
+  domain: 'Food Safety Research',
+  sections: ['papers', 'repos', 'media'],
+  papers: [{
+    source: 'arXiv',
+    title: 'Detecting E_coli with *deep* nets (v2.0)!',
+    abstract: 'Short abstract.',
+    venue: 'arXiv preprint',
+    citationCount: 0,
+    publicationDate: '2026-01-26',
+    openAccess: true,
+    url: 'https://arxiv.org/abs/2601.12345',
+    relevance: 4,
+    category: 'Pathogen Detection'
+  }],
+  repos: [{ name: 'acme/salmonella-net', url: 'https://github.com/acme/salmonella-net', stars: 10, language: 'Python' }],
+  media: [
+    { title: 'Outbreak X', category: 'Outbreak', severity: 'high', sources: ['CDC'], source_urls: ['https://www.cdc.gov/x'], date: '2026-01-26' },
+    { title: 'Recall Y', category: 'Recall', severity: 'low', sources: ['FDA'], source_urls: ['https://www.fda.gov/y'], date: '2026-01-26' }
+  ],
+  stats: { candidates: { papers: 5, repos: 25, media: 10 } }
+};
+
+test('escapeMarkdownV2 escapes every Telegram special character', () => {
+  assert.equal(escapeMarkdownV2('a_b*c[d]e(f)g~h`i>j#k+l-m=n|o{p}q.r!s\\'), 'a\\_b\\*c\\[d\\]e\\(f\\)g\\~h\\`i\\>j\\#k\\+l\\-m\\=n\\|o\\{p\\}q\\.r\\!s\\\\');
+});
+
+test('telegram titles with markup characters stay inside one bold entity', () => {
+  const digest = renderDigest(bundle, 'telegram');
+
+  assert.ok(digest.includes('📄 *Detecting E\\_coli with \\*deep\\* nets \\(v2\\.0\\)\\!*'));
+  assert.ok(digest.includes('[Read Full Paper](https://arxiv.org/abs/2601.12345)'));
+});
+
+test('rendering is deterministic and groups media recalls first', () => {
+  const first = renderDigest(bundle, 'markdown');
+
+  assert.equal(renderDigest(bundle, 'markdown'), first);
+  assert.ok(first.indexOf('Recall Y') < first.indexOf('Outbreak X'));
+});
+
+test('category emojis come from config', () => {
+  const templates = templatesFromConfig({ domain: { categoryEmojis: { 'Pathogen Detection': '🧫' } } });
+
+  assert.ok(renderDigest(bundle, 'text', templates).includes('⭐⭐⭐⭐ | 🧫 Pathogen Detection'));
+});
+
+test('parts are one block per card', () => {
+  const parts = renderDigestParts(bundle, 'text');
+
+  assert.equal(parts.filter(p => p.includes('📄 ')).length, 1);
+  assert.equal(parts.filter(p => p.startsWith('💻 ')).length, 1);
+  assert.ok(parts[parts.length - 1].startsWith('(Analyzed 5 paper candidates'));
+});
+
+test('html output escapes markup', () => {
+  const html = renderDigest({ ...bundle, papers: [{ ...bundle.papers[0], title: '<Listeria> & milk' }] }, 'html');
+
+  assert.ok(html.includes('<b>&lt;Listeria&gt; &amp; milk</b>'));
+});
+
+test('low-confidence watchlist matches render as a possible watchlist author', () => {
+  const paper = { ...bundle.papers[0], isWatchlistAuthor: false, possibleWatchlistAuthor: 'Jane Smith' };
+  const digest = renderDigest({ ...bundle, papers: [paper] }, 'markdown');
+
+  assert.ok(digest.includes('👤? _possible watchlist author: Jane Smith_'));
+});
+
+test('Semantic Scholar context shows as TL;DR, influential citations and related papers', () => {
+  const paper = {
+    ...bundle.papers[0],
+    citationCount: 7,
+    influentialCitationCount: 2,
+    tldr: 'Deep nets find E. coli.',
+    relatedPapers: [{ title: 'Related one', url: 'https://doi.org/10.1/r1', year: 2025 }]
+  };
+  const digest = renderDigest({ ...bundle, papers: [paper] }, 'markdown');
+
+  assert.ok(digest.includes('📊 7 citations (2 influential)'));
+  assert.ok(digest.includes('**TL;DR: **Deep nets find E. coli.'));
+  assert.ok(digest.includes('_Related:_  \n↳ [Related one (2025)](https://doi.org/10.1/r1)'));
+});
+
+test('domain search repos get their own "Trending in Your Field" section', () => {
+  const domainRepos = [{ name: 'acme/HyperSpec-Net', url: 'https://github.com/acme/HyperSpec-Net', stars: 300, starsPerDay: 30, forks: 12 }];
+  const digest = renderDigest({ ...bundle, domainRepos }, 'text');
+
+  assert.ok(digest.indexOf('🔥 Top 1 Trending Repos') < digest.indexOf('🎯 Trending in Your Field (Food Safety Research)'));
+  assert.ok(digest.includes('⭐ 300 stars | ~30/day | 🍴 12 forks'));
+});
+
+test('rising repos show their weekly star growth and trending streak', () => {
+  const risingRepos = [{
+    name: 'oldlab/food-safety-toolkit',
+    url: 'https://github.com/oldlab/food-safety-toolkit',
+    stars: 3050,
+    starGrowth: { d1: 50, d7: 120, d30: null },
+    trendingDays: 4,
+    persistentTrending: true
+  }];
+  const digest = renderDigest({ ...bundle, risingRepos }, 'text');
+
+  assert.ok(digest.includes('📈 Rising in Your Field'));
+  assert.ok(digest.includes('⭐ 3050 stars | 📈 +120 this week | 🔥 trending 4 of 7 days'));
+});
+
+test('recall updates show what changed', () => {
+  const media = [{
+    title: 'Update: Acme Foods Inc. Recall F-0101-2026 now Terminated',
+    category: 'Recall',
+    severity: 'high',
+    sources: ['FDA'],
+    date: '2026-02-10',
+    update: true,
+    changes: [{ field: 'status', from: 'Ongoing', to: 'Terminated' }]
+  }];
+  const digest = renderDigest({ ...bundle, media }, 'text');
+
+  assert.ok(digest.includes('🔄 Ongoing → Terminated'));
+});
+
+test('allergen recalls get their own category after recalls', () => {
+  const media = [
+    { title: 'Baker Bros Recalls Sesame Bagels (Class II)', category: 'Allergen', severity: 'medium', sources: ['FDA'], allergens: ['sesame'] },
+    { title: 'Acme Recalls Crackers (Class I)', category: 'Recall', severity: 'high', sources: ['FDA'] }
+  ];
+  const digest = renderDigest({ ...bundle, media }, 'text');
+
+  assert.ok(digest.indexOf('Acme Recalls Crackers') < digest.indexOf('Baker Bros Recalls Sesame Bagels'));
+  assert.ok(digest.includes('🥜 Allergens: sesame'));
+});
+
+test('outbreak cards show serotype and case, hospitalization and death counts', () => {
+  const media = [{
+    title: 'Salmonella Outbreak Linked to Cucumbers',
+    category: 'Outbreak',
+    severity: 'high',
+    sources: ['CDC'],
+    pathogen: 'Salmonella',
+    serotype: 'Newport',
+    case_count: 68,
+    hospitalizations: 20,
+    deaths: 1,
+    states_count: 12
+  }];
+  const digest = renderDigest({ ...bundle, media }, 'text');
+
+  assert.ok(digest.includes('🦠 Salmonella Newport | 📍 12 states | 👥 68 ill, 20 hospitalized, 1 death'));
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { resolveWatchlist, rankCandidates, isClearMatch, writeWatchlist } = require('../scripts/resolve_watchlist');
+
+const KEYWORDS = ['food safety', 'salmonella', 'foodborne', 'deep learning', 'hyperspectral', 'spoilage'];
+const OPTIONS = { keywords: KEYWORDS, mailto: 'debrief@example.com' };
+const WATCHLIST = [
+  { name: 'Jane Smith', openalex_id: '' },
+  { name: 'Wei Zhang', openalex_id: '' },
+  { name: 'Nobody Atall', openalex_id: '' },
+  { name: 'Known', openalex_id: 'A1' }
+];
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/resolve_watchlist') }));
+test.after(() => useCassettes());
+
+test('a clear match is written back with its ORCID and name variants', async () => {
+  const { authors, summary } = await resolveWatchlist(WATCHLIST, OPTIONS);
+
+  assert.deepEqual(authors[0], {
+    name: 'Jane Smith',
+    openalex_id: 'A5000000001',
+    orcid: '0000-0002-1825-0097',
+    name_variants: ['J. Smith', 'Jane M. Smith', 'Smith, Jane']
+  });
+  assert.deepEqual(summary.resolved.map(r => r.name), ['Jane Smith']);
+  assert.deepEqual(summary.notFound, ['Nobody Atall']);
+  assert.deepEqual(authors[3], WATCHLIST[3]);
+});
+
+test('close candidates are listed instead of guessed', async () => {
+  const { authors, summary } = await resolveWatchlist(WATCHLIST, OPTIONS);
+
+  assert.equal(authors[1].openalex_id, '');
+  assert.equal(summary.ambiguous[0].name, 'Wei Zhang');
+  assert.deepEqual(summary.ambiguous[0].candidates.map(c => c.id), ['A5000000002', 'A5000000088']);
+  assert.deepEqual(summary.ambiguous[0].candidates[0].institutions, ['Zhejiang University']);
+});
+
+test('a lone candidate is only clear when its name matches or the evidence is strong', () => {
+  const entry = { name: 'Jane Smith', institution: 'Cornell University' };
+  const stranger = { id: 'https://openalex.org/A9', display_name: 'John Smithers', works_count: 5, topics: [] };
+  const sameName = { ...stranger, display_name: 'Jane Smith' };
+  const sameLab = {
+    ...stranger,
+    last_known_institutions: [{ display_name: 'Cornell University' }],
+    topics: [{ display_name: 'Salmonella detection' }, { display_name: 'Food safety' }]
+  };
+
+  assert.equal(isClearMatch(rankCandidates(entry, [stranger], KEYWORDS)), false);
+  assert.equal(isClearMatch(rankCandidates(entry, [sameName], KEYWORDS)), true);
+  assert.equal(isClearMatch(rankCandidates(entry, [sameLab], KEYWORDS)), true);
+  assert.equal(isClearMatch([]), false);
+});
+
+test('--pick resolves an ambiguous entry to the chosen author', async () => {
+  const { authors, summary } = await resolveWatchlist(WATCHLIST, { ...OPTIONS, picks: { 'Wei Zhang': 'A5000000002' } });
+
+  assert.equal(authors[1].openalex_id, 'A5000000002');
+  assert.deepEqual(authors[1].name_variants, ['W. Zhang']);
+  assert.equal(summary.ambiguous.length, 0);
+});
+
+test('writeWatchlist replaces the file without leaving a temp file behind', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+  const file = path.join(dir, 'authors_watchlist.json');
+  fs.writeFileSync(file, '{"authors":[]}');
+
+  writeWatchlist(file, { authors: [{ name: 'Jane Smith', openalex_id: 'A5000000001' }] });
+
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).authors[0].openalex_id, 'A5000000001');
+  assert.deepEqual(fs.readdirSync(dir), ['authors_watchlist.json']);
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { openHistory } = require('../scripts/history');
+
+const DATE = '2026-01-26';
+
+const PAPERS = {
+  seen: { source: 'OpenAlex', id: 'https://openalex.org/W1', doi: 'https://doi.org/10.1000/seen', title: 'Salmonella on eggs', abstract: 'Salmonella survives on eggs.', authors: [] },
+  fresh: { source: 'OpenAlex', id: 'https://openalex.org/W2', doi: 'https://doi.org/10.1000/fresh', title: 'Hyperspectral imaging for food safety', abstract: 'Hyperspectral imaging finds Salmonella on poultry.', authors: [] },
+  noAbstract: { source: 'arXiv', id: '2601.00001', arxivId: '2601.00001', title: 'Deep learning for spoilage', abstract: '', authors: [] }
+};
+const REPOS = {
+  seen: { source: 'GitHub-Trending', id: 'old/repo', name: 'old/repo', url: 'https://github.com/old/repo', stars: 10 },
+  fresh: { source: 'GitHub-Trending', id: 'acme/net', name: 'acme/net', url: 'https://github.com/acme/net', stars: 50 },
+  domain: { source: 'GitHub-Search', id: 'lab/haccp', name: 'lab/haccp', url: 'https://github.com/lab/haccp', stars: 5, starsPerDay: 1 }
+};
+const MEDIA = {
+  seen: { title: 'Old recall', category: 'Recall', recall_number: 'F-0001-2026', source_urls: ['https://fda.gov/1'] },
+  fresh: { title: 'New outbreak', category: 'Outbreak', source_urls: ['https://cdc.gov/2'] },
+  update: { title: 'Update: Acme Recall F-0001-2026 now Terminated', update: true, recall_number: 'F-0001-2026', status: 'Terminated', classification: 'Class I', source_urls: ['https://fda.gov/1'] }
+};
+
+// Fetchers are stubbed on their modules before run_debrief.js picks them up
+function stub(modulePath, name, impl) {
+  return test.mock.method(require(modulePath), name, impl);
+}
+
+const fetchers = {
+  openalex: stub('../scripts/fetch_openalex', 'fetchOpenAlex', async () => [PAPERS.seen, PAPERS.fresh]),
+  watchlist: stub('../scripts/fetch_watchlist_authors', 'fetchWatchlistAuthors', async () => []),
+  arxiv: stub('../scripts/fetch_arxiv', 'fetchArxiv', async () => [PAPERS.noAbstract]),
+  pubmed: stub('../scripts/fetch_pubmed', 'fetchPubMed', async () => {
+    throw new Error('PubMed is down');
+  }),
+  github: stub('../scripts/fetch_github_trending', 'fetchGitHubTrending', async () => [REPOS.seen, REPOS.fresh]),
+  // acme/net is already in the overall trending list
+  githubSearch: stub('../scripts/fetch_github_search', 'fetchGitHubSearch', async () => [{ ...REPOS.fresh, source: 'GitHub-Search' }, REPOS.domain]),
+  media: stub('../scripts/fetch_media_sources', 'fetchAllMediaSources', async () => [MEDIA.seen, MEDIA.fresh]),
+  recheck: stub('../scripts/fetch_fda_recalls', 'recheckFDARecalls', async () => [MEDIA.update])
+};
+
+const deliverAll = stub('../scripts/deliver', 'deliverAll', async () => [{ channel: 'telegram', ok: true, messages: 3 }]);
+
+const { runDebrief, buildFetchers, BUNDLE_VERSION } = require('../scripts/run_debrief');
+
+let dir;
+
+function makeConfig() {
+  return {
+    domain: { name: 'Food Safety Research', keywords: { domain: ['food safety', 'salmonella'], technical: ['hyperspectral'] } },
+    sources: {
+      openalex: { mailto: 'debrief@example.com' },
+      arxiv: { categories: ['eess.IV'] },
+      pubmed: { enabled: true, apiKey: 'NCBI' },
+      github: { limit: 10 },
+      githubSearch: { enabled: true, days: 7, topics: ['food-safety'] },
+      media: { sources: ['fda', 'cdc'], fda: { classification: 'Class I' }, recheckRecalls: true }
+    },
+    authors: { watchlistPath: path.join(dir, 'authors_watchlist.json') },
+    starHistory: { refresh: false }
+  };
+}
+
+function writeConfig(config = makeConfig()) {
+  const configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return configPath;
+}
+
+function run(options = {}) {
+  return runDebrief({ date: DATE, dryRun: true, score: false, dataDir: dir, configPath: writeConfig(), ...options });
+}
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'debrief-'));
+  fs.writeFileSync(path.join(dir, 'authors_watchlist.json'), JSON.stringify({ authors: [{ name: 'Jane Smith', openalex_id: 'A1' }] }));
+  openHistory('papers', { dataDir: dir, today: DATE }).markSeen([PAPERS.seen], '2026-01-20');
+  openHistory('repos', { dataDir: dir, today: DATE }).markSeen([REPOS.seen], '2026-01-20');
+  openHistory('media', { dataDir: dir, today: DATE }).markSeen([MEDIA.seen], '2026-01-20');
+  for (const fetcher of Object.values(fetchers)) fetcher.mock.resetCalls();
+  deliverAll.mock.resetCalls();
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('every enabled source is fetched with its config', async () => {
+  await run();
+
+  assert.deepEqual(fetchers.openalex.mock.calls[0].arguments, [DATE, ['food safety', 'salmonella'], 50, {
+    maxResults: undefined, mailto: 'debrief@example.com', filters: undefined
+  }]);
+  assert.deepEqual(fetchers.watchlist.mock.calls[0].arguments[1], [{ name: 'Jane Smith', openalex_id: 'A1' }]);
+  assert.deepEqual(fetchers.arxiv.mock.calls[0].arguments.slice(0, 3), [DATE, ['eess.IV'], ['food safety', 'salmonella']]);
+  assert.equal(fetchers.pubmed.mock.calls[0].arguments[2].apiKey, 'NCBI');
+  assert.deepEqual(fetchers.github.mock.calls[0].arguments.slice(0, 2), [10, '']);
+
+  const [, , search] = fetchers.githubSearch.mock.calls[0].arguments;
+  assert.equal(search.since, '2026-01-19');
+  assert.deepEqual(search.topics, ['food-safety']);
+  assert.equal(typeof search.starSnapshots, 'function');
+
+  assert.deepEqual(fetchers.media.mock.calls[0].arguments[0], { since: DATE, enabledSources: ['fda', 'cdc'], fda: { classification: 'Class I' } });
+  assert.deepEqual(fetchers.recheck.mock.calls[0].arguments[1], { today: DATE });
+});
+
+test('disabled sources are not fetched and --only keeps one section', () => {
+  const config = makeConfig();
+  config.sources.pubmed.enabled = false;
+  config.sources.githubSearch.enabled = false;
+
+  assert.deepEqual(Object.keys(buildFetchers(config, DATE, null, [])), ['openalex', 'arxiv', 'github', 'media']);
+  assert.deepEqual(Object.keys(buildFetchers(config, DATE, 'repos', [])), ['github']);
+  assert.deepEqual(Object.keys(buildFetchers(config, DATE, 'papers', [{ name: 'Jane Smith', openalex_id: 'A1' }])), ['openalex', 'watchlist', 'arxiv']);
+});
+
+test('items already in history are left out of the bundle', async () => {
+  const bundle = await run();
+
+  assert.deepEqual(bundle.papers.map(p => p.doi), ['https://doi.org/10.1000/fresh']);
+  assert.deepEqual(bundle.repos.map(r => r.id), ['acme/net']);
+  assert.deepEqual(bundle.domainRepos.map(r => r.id), ['lab/haccp']);
+  // The recall itself was reported, its status change wasn't
+  assert.deepEqual(bundle.media.map(m => m.title), ['New outbreak', MEDIA.update.title]);
+});
+
+test('a failing source is recorded in errors and the rest still run', async () => {
+  fetchers.recheck.mock.mockImplementationOnce(async () => {
+    throw new Error('HTTP 500: openFDA unavailable');
+  });
+  const bundle = await run();
+
+  assert.deepEqual(bundle.errors, [
+    { source: 'pubmed', message: 'PubMed is down' },
+    { source: 'fda-recheck', message: 'HTTP 500: openFDA unavailable' }
+  ]);
+  assert.deepEqual(bundle.media.map(m => m.title), ['New outbreak']);
+  assert.equal(bundle.stats.bySource.pubmed, 0);
+});
+
+test('--only media fetches and reports media alone', async () => {
+  const bundle = await run({ only: 'media' });
+
+  assert.deepEqual(bundle.sections, ['media']);
+  assert.equal(fetchers.openalex.mock.callCount(), 0);
+  assert.equal(fetchers.github.mock.callCount(), 0);
+  assert.deepEqual([bundle.papers, bundle.repos, bundle.domainRepos, bundle.risingRepos], [[], [], [], []]);
+  assert.equal(bundle.media.length, 2);
+  assert.deepEqual(Object.keys(bundle.stats.bySource), ['media']);
+
+  await assert.rejects(run({ only: 'podcasts' }), /--only must be one of: papers, repos, media/);
+});
+
+test('the bundle has a stable shape and is written under the data directory', async () => {
+  const bundle = await run({ dryRun: false });
+
+  assert.deepEqual(Object.keys(bundle), [
+    'version', 'date', 'generatedAt', 'domain', 'sections', 'papers', 'repos', 'domainRepos',
+    'risingRepos', 'media', 'stats', 'errors', 'path'
+  ]);
+  assert.equal(bundle.version, BUNDLE_VERSION);
+  assert.equal(bundle.date, DATE);
+  assert.equal(bundle.domain, 'Food Safety Research');
+  assert.deepEqual(bundle.sections, ['papers', 'repos', 'media']);
+  assert.deepEqual(bundle.stats.candidates, { papers: 3, repos: 3, media: 3 });
+  assert.deepEqual(bundle.stats.prerank, { kept: 1, rejected: 1 });
+  assert.deepEqual(bundle.stats.bySource, { openalex: 2, watchlist: 0, arxiv: 1, pubmed: 0, github: 2, githubSearch: 2, media: 2 });
+
+  assert.equal(bundle.path, path.join(dir, 'bundles', `bundle_${DATE}.json`));
+  const { path: _, ...written } = bundle;
+  assert.deepEqual(JSON.parse(fs.readFileSync(bundle.path, 'utf8')), written);
+  assert.ok(fs.existsSync(path.join(dir, 'star_history.jsonl')));
+});
+
+test('what a run reports is recorded, so the next run has nothing new', async () => {
+  const first = await run({ dryRun: false });
+  assert.deepEqual([first.papers.length, first.repos.length, first.domainRepos.length, first.media.length], [1, 1, 1, 2]);
+
+  const second = await run({ dryRun: false });
+  assert.deepEqual([second.papers, second.repos, second.domainRepos, second.media], [[], [], [], []]);
+});
+
+test('a dry run records nothing', async () => {
+  await run();
+  const bundle = await run();
+
+  assert.equal(bundle.papers.length, 1);
+  assert.equal(bundle.media.length, 2);
+});
+
+test('a delivered bundle is recorded and delivery uses the data directory', async () => {
+  const bundle = await run({ dryRun: false, deliver: true });
+
+  assert.deepEqual(bundle.delivery, [{ channel: 'telegram', ok: true, messages: 3 }]);
+  assert.deepEqual(deliverAll.mock.calls[0].arguments[2], { dataDir: dir });
+  assert.deepEqual((await run({ dryRun: false, deliver: true })).media, []);
+});
+
+test('a bundle no channel received is not recorded', async () => {
+  deliverAll.mock.mockImplementationOnce(async () => [{ channel: 'telegram', ok: false, messages: 0, error: 'HTTP 401' }]);
+  await run({ dryRun: false, deliver: true });
+
+  assert.deepEqual((await run({ dryRun: false, deliver: true })).media.map(m => m.title), ['New outbreak', MEDIA.update.title]);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { scorePapers, parseScore } = require('../scripts/score_papers');
+
+const CATEGORIES = ['Pathogen Detection', 'Other'];
+
+function startStub(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => handler(req, JSON.parse(body || '{}'), res));
+    }).listen(0, '127.0.0.1', () => resolve({ server, base: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+function makeConfig(provider, base) {
+  return {
+    domain: { name: 'Food Safety Research', categories: CATEGORIES },
+    llm: { provider, apiKey: 'KEY', baseUrl: base, models: { openai: 'gpt-test', anthropic: 'claude-test', gemini: 'gemini-test' } }
+  };
+}
+
+const papers = [
+  { id: 'W1', title: 'Salmonella detection with CNNs', abstract: 'We detect Salmonella with a CNN.' },
+  { id: 'W2', title: 'No abstract', abstract: '' }
+];
+
+test('parseScore accepts fenced JSON and rejects invalid fields', () => {
+  assert.deepEqual(
+    parseScore('```json\n{"relevance": 4, "category": "Other", "reasoning": " Fine. "}\n```', CATEGORIES),
+    { relevance: 4, category: 'Other', reasoning: 'Fine.' }
+  );
+  assert.throws(() => parseScore('{"relevance": 7, "category": "Other", "reasoning": "x"}', CATEGORIES), /relevance/);
+  assert.throws(() => parseScore('{"relevance": 3, "category": "Robotics", "reasoning": "x"}', CATEGORIES), /category/);
+  assert.throws(() => parseScore('I think it is a 4', CATEGORIES), /no JSON/);
+});
+
+test('bad output is retried and good scores are cached by paper and prompt', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'score-'));
+  const cachePath = path.join(dir, 'score_cache.json');
+  const prompts = [];
+  const replies = ['not json at all', '{"relevance": 5, "category": "Pathogen Detection", "reasoning": "Core topic."}'];
+  const { server, base } = await startStub((req, body, res) => {
+    assert.equal(req.url, '/v1/chat/completions');
+    assert.equal(req.headers.authorization, 'Bearer KEY');
+    prompts.push(body.messages[0].content);
+    res.end(JSON.stringify({ choices: [{ message: { content: replies.shift() } }] }));
+  });
+
+  try {
+    const config = makeConfig('openai', base);
+    const [scored, noAbstract] = await scorePapers(papers, config, { cachePath });
+
+    assert.deepEqual([scored.relevance, scored.category, scored.reasoning], [5, 'Pathogen Detection', 'Core topic.']);
+    assert.equal(noAbstract.relevance, 1);
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[0], /Title: Salmonella detection with CNNs/);
+    assert.match(prompts[0], /categorize into ONE of: Pathogen Detection, Other/);
+
+    const [again] = await scorePapers(papers, config, { cachePath });
+    assert.equal(again.relevance, 5);
+    assert.equal(prompts.length, 2);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test('anthropic replies are read from content blocks; exhausted retries set scoreError', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'score-'));
+  const replies = ['{"relevance": 2, "category": "Other", "reasoning": "Tangential."}', 'nope', 'nope', 'nope'];
+  const { server, base } = await startStub((req, body, res) => {
+    assert.equal(req.url, '/v1/messages');
+    assert.equal(req.headers['x-api-key'], 'KEY');
+    assert.equal(body.model, 'claude-test');
+    res.end(JSON.stringify({ content: [{ type: 'text', text: replies.shift() }] }));
+  });
+
+  try {
+    const config = makeConfig('anthropic', base);
+    const [first, second] = await scorePapers([papers[0], { ...papers[0], id: 'W3' }], config, { cachePath: path.join(dir, 'cache.json') });
+
+    assert.equal(first.relevance, 2);
+    assert.match(second.scoreError, /No valid score after 3 attempts/);
+    assert.equal(second.relevance, undefined);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test('gemini sends the API key in a header, never in the URL', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'score-'));
+  const { server, base } = await startStub((req, body, res) => {
+    assert.equal(req.url, '/v1beta/models/gemini-test:generateContent');
+    assert.equal(req.headers['x-goog-api-key'], 'KEY');
+    assert.equal(body.generationConfig.temperature, 0);
+    res.end(JSON.stringify({ candidates: [{ content: { parts: [{ text: '{"relevance": 4, "category": "Other", "reasoning": "Related."}' }] } }] }));
+  });
+
+  try {
+    const [scored] = await scorePapers([papers[0]], makeConfig('gemini', base), { cachePath: path.join(dir, 'cache.json') });
+    assert.equal(scored.relevance, 4);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true });
+  }
+});
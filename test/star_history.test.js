@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { openStarHistory, refreshStars } = require('../scripts/star_history');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'stars-'));
+}
+
+const repo = (stars, extra = {}) => ({ id: 'acme/hyperspec-net', name: 'acme/HyperSpec-Net', url: 'https://github.com/acme/HyperSpec-Net', stars, ...extra });
+
+test('growth compares against a snapshot 1, 7 and 30 days old', () => {
+  const dataDir = tempDir();
+  const store = openStarHistory({ dataDir, today: '2026-01-26' });
+  store.record([repo(100)], '2025-12-20');
+  store.record([repo(250)], '2026-01-19');
+  store.record([repo(280)], '2026-01-25');
+  store.record([repo(300)], '2026-01-26');
+
+  assert.deepEqual(store.growth('acme/HyperSpec-Net'), { d1: 20, d7: 50, d30: 200 });
+  // a month-old snapshot doesn't count as 1- or 7-day growth
+  assert.deepEqual(store.growth('acme/hyperspec-net', '2026-01-19'), { d1: null, d7: null, d30: 150 });
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('a second snapshot on the same day replaces the first and keeps its flags', () => {
+  const dataDir = tempDir();
+  const store = openStarHistory({ dataDir, today: '2026-01-26' });
+  store.record([repo(290)], '2026-01-26', { trending: true });
+  store.record([repo(300)], '2026-01-26', { domain: true });
+
+  const snapshots = store.history('acme/hyperspec-net');
+  assert.equal(snapshots.length, 1);
+  assert.equal(snapshots[0].stars, 300);
+  assert.equal(snapshots[0].trending, true);
+  assert.equal(snapshots[0].domain, true);
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('save writes JSONL that reopens and drops snapshots past retention', () => {
+  const dataDir = tempDir();
+  const store = openStarHistory({ dataDir, today: '2026-01-26', retentionDays: 30 });
+  store.record([repo(10)], '2025-11-01');
+  store.record([repo(300)], '2026-01-26');
+
+  assert.equal(store.save(), 1);
+  assert.deepEqual(fs.readdirSync(dataDir), ['star_history.jsonl']);
+  assert.deepEqual(openStarHistory({ dataDir }).history('acme/hyperspec-net').map(s => s.stars), [300]);
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('repos on trending for 3 of the last 7 days are flagged as persistently trending', () => {
+  const dataDir = tempDir();
+  const store = openStarHistory({ dataDir, today: '2026-01-26' });
+  for (const date of ['2026-01-18', '2026-01-22', '2026-01-24']) store.record([repo(100)], date, { trending: true });
+  store.record([repo(120)], '2026-01-25');
+
+  const [before] = store.annotate([repo(130)], '2026-01-25');
+  assert.equal(before.trendingDays, 2);
+  assert.equal(before.persistentTrending, false);
+
+  store.record([repo(130)], '2026-01-26', { trending: true });
+  const [annotated] = store.annotate([repo(130)]);
+  assert.equal(annotated.trendingDays, 3);
+  assert.equal(annotated.persistentTrending, true);
+  assert.deepEqual(annotated.starGrowth, { d1: 10, d7: 30, d30: null });
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('rising lists domain repos gaining stars, fastest first', () => {
+  const dataDir = tempDir();
+  const store = openStarHistory({ dataDir, today: '2026-01-26' });
+  const slow = { id: 'oldlab/food-safety-toolkit', name: 'oldlab/food-safety-toolkit' };
+  const flat = { id: 'haccp/plan-builder', name: 'haccp/plan-builder' };
+  const offTopic = { id: 'big/framework', name: 'big/framework' };
+  store.record([repo(100), { ...slow, stars: 3000 }, { ...flat, stars: 20 }], '2026-01-19', { domain: true });
+  store.record([{ ...offTopic, stars: 1000 }], '2026-01-19', { trending: true });
+  store.record([repo(300), { ...slow, stars: 3010 }, { ...flat, stars: 20 }], '2026-01-26', { domain: true });
+  store.record([{ ...offTopic, stars: 5000 }], '2026-01-26', { trending: true });
+
+  const rising = store.rising();
+  assert.deepEqual(rising.map(r => r.id), ['acme/hyperspec-net', 'oldlab/food-safety-toolkit']);
+  assert.equal(rising[0].starGrowth.d7, 200);
+  assert.equal(rising[0].url, 'https://github.com/acme/HyperSpec-Net');
+  assert.deepEqual(store.rising('2026-01-26', { limit: 1 }).map(r => r.id), ['acme/hyperspec-net']);
+  fs.rmSync(dataDir, { recursive: true });
+});
+
+test('refreshStars snapshots repos missing from today\'s lists via the GitHub API', async () => {
+  const dataDir = tempDir();
+  const store = openStarHistory({ dataDir, today: '2026-01-26' });
+  store.record([{ name: 'oldlab/food-safety-toolkit', stars: 3000 }], '2026-01-25', { domain: true });
+  store.record([{ name: 'gone/deleted-repo', stars: 5 }], '2026-01-25');
+  store.record([{ name: 'ancient/repo', stars: 5 }], '2025-11-01');
+  store.record([repo(300)], '2026-01-26');
+
+  useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/star_history') });
+  try {
+    assert.equal(await refreshStars(store, '2026-01-26'), 1);
+  } finally {
+    useCassettes();
+  }
+
+  const [, today] = store.history('oldlab/food-safety-toolkit');
+  assert.equal(today.stars, 3050);
+  assert.equal(today.domain, true);
+  assert.equal(store.growth('oldlab/food-safety-toolkit').d1, 50);
+  fs.rmSync(dataDir, { recursive: true });
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { useCassettes } = require('../scripts/http_client');
+const { syncPapers, syncMedia, logDigest, memoryPaths } = require('../scripts/sync_to_memory');
+
+let dir;
+let paths;
+
+function writeLines(file, entries) {
+  fs.writeFileSync(file, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test.before(() => useCassettes({ replay: path.join(__dirname, 'fixtures/cassettes/sync_to_memory') }));
+test.after(() => useCassettes());
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-'));
+  paths = memoryPaths(path.join(dir, 'data'), path.join(dir, 'memory'));
+  fs.mkdirSync(path.join(dir, 'data'));
+  fs.mkdirSync(paths.memoryDir);
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('syncPapers fetches new papers from OpenAlex and skips ones it cannot', async () => {
+  writeLines(paths.papersHistory, [
+    { id: 'https://openalex.org/W101', date: '2026-01-26' },
+    { id: 'https://openalex.org/W102', date: '2026-01-26' }
+  ]);
+
+  assert.equal(await syncPapers(false, { paths, delayMs: 0 }), 1);
+
+  const [paper] = readJSON(paths.allPapers);
+  assert.equal(paper.title, 'Hyperspectral imaging of Salmonella on poultry');
+  assert.equal(paper._source, 'daily_debrief');
+  assert.equal(paper._added_date, '2026-01-26');
+  assert.match(console.log.mock.calls.map(c => c.arguments[0]).join('\n'), /✗ https:\/\/openalex.org\/W102: HTTP 404/);
+
+  const index = fs.readFileSync(paths.papersIndex, 'utf8');
+  assert.match(index, /### Hyperspectral imaging of Salmonella on poultry \(2026\) 📬\nHyperspectral imaging detects Salmonella\nDOI: https:\/\/doi.org\/10.1000\/w101/);
+});
+
+test('syncPapers leaves papers already in memory alone', async () => {
+  writeLines(paths.papersHistory, [{ id: 'https://openalex.org/W101', date: '2026-01-26' }]);
+  fs.writeFileSync(paths.allPapers, JSON.stringify([{ id: 'https://openalex.org/W101', title: 'Kept', _source: 'user_added' }]));
+
+  assert.equal(await syncPapers(false, { paths, delayMs: 0 }), 0);
+  assert.deepEqual(readJSON(paths.allPapers).map(p => p.title), ['Kept']);
+  assert.match(fs.readFileSync(paths.papersIndex, 'utf8'), /### Kept \(\) ⭐/);
+});
+
+test('syncMedia adds items whose URLs are new and indexes them by category', () => {
+  fs.writeFileSync(paths.mediaHistoryMem, JSON.stringify([
+    { title: 'Old recall', category: 'Recall', severity: 'medium', source_urls: ['https://fda.gov/1'] }
+  ]));
+  writeLines(paths.mediaHistorySkill, [
+    { title: 'Old recall', category: 'Recall', severity: 'medium', source_urls: ['https://fda.gov/1'] },
+    { title: 'Salmonella outbreak', category: 'Outbreak', severity: 'high', date: '2026-01-26', sources: ['CDC'], pathogen: 'Salmonella', serotype: 'Newport', source_urls: ['https://cdc.gov/2'] }
+  ]);
+
+  assert.equal(syncMedia(false, { paths }), 1);
+  assert.deepEqual(readJSON(paths.mediaHistoryMem).map(m => m.title), ['Salmonella outbreak', 'Old recall']);
+
+  const index = fs.readFileSync(paths.mediaIndex, 'utf8');
+  assert.match(index, /\*\*Categories:\*\* Outbreak \(1\), Recall \(1\)/);
+  assert.match(index, /## 🦠 Outbreak \(1\)\n\n### 🔴 Salmonella outbreak \(2026-01-26\)\n📰 CDC \| 🦠 Salmonella Newport\nURL: https:\/\/cdc.gov\/2/);
+});
+
+test('logDigest appends one line per sync', () => {
+  logDigest(1, 2, paths);
+  logDigest(0, 0, paths);
+
+  const entries = fs.readFileSync(paths.digestLog, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(entries.map(e => [e.papers_synced, e.media_synced]), [[1, 2], [0, 0]]);
+});